@@ -0,0 +1,272 @@
+// Achievements and daily missions: goals on a few measures of how the
+// player drives, followed tick by tick from the game events and the input.
+// Achievements unlock once and stay unlocked; missions are three goals a
+// day, picked from the date so every driver gets the same ones, and their
+// progress starts again at midnight. The caller loads and saves the
+// progress (the game keeps it in localStorage); no DOM or storage here.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core.js'), require('./random.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ TICKS_PER_SECOND }, { createRandom }) {
+    const ACHIEVEMENTS_VERSION = 1;
+    const DAILY_MISSION_COUNT = 3;
+    const KMH_PER_SPEED = TICKS_PER_SECOND * 3.6; // player speed (units per tick) to km/h
+
+    // The measures goals are set on, and how runs add up to a total: 'sum'
+    // adds every run's value, 'best' keeps the highest.
+    //   distance      - metres along the road
+    //   passed        - cars got past
+    //   coins         - coins banked in the wallet
+    //   runs          - runs played to the end
+    //   topSpeed      - km/h
+    //   noBrakeTime   - seconds driven without touching the brake
+    //   noBrakePassed - cars passed without touching the brake
+    const GOAL_METRICS = {
+        distance: 'sum',
+        passed: 'sum',
+        nearMisses: 'sum',
+        coins: 'sum',
+        runs: 'sum',
+        score: 'best',
+        topSpeed: 'best',
+        noBrakeTime: 'best',
+        noBrakePassed: 'best'
+    };
+
+    // `scope`: 'run' counts one run at a time; 'total' every run ever played
+    // or, for missions, 'day' every run played today.
+    const ACHIEVEMENTS = [
+        { id: 'firstRun', label: 'Learner Driver', description: 'Finish your first run', metric: 'runs', target: 1, scope: 'total' },
+        { id: 'regular', label: 'Regular', description: 'Finish 25 runs', metric: 'runs', target: 25, scope: 'total' },
+        { id: 'roadTrip', label: 'Road Trip', description: 'Drive 5 km in total', metric: 'distance', target: 5000, scope: 'total' },
+        { id: 'marathon', label: 'Marathon', description: 'Drive 42 km in total', metric: 'distance', target: 42000, scope: 'total' },
+        { id: 'longHaul', label: 'Long Haul', description: 'Drive 2 km in one run', metric: 'distance', target: 2000, scope: 'run' },
+        { id: 'overtaker', label: 'Overtaker', description: 'Pass 1,000 cars in total', metric: 'passed', target: 1000, scope: 'total' },
+        { id: 'weaver', label: 'Traffic Weaver', description: 'Pass 50 cars without braking', metric: 'noBrakePassed', target: 50, scope: 'run' },
+        { id: 'coolHead', label: 'Cool Head', description: 'Drive for a minute without braking', metric: 'noBrakeTime', target: 60, scope: 'run' },
+        { id: 'upToSpeed', label: 'Up to Speed', description: 'Reach 100 km/h', metric: 'topSpeed', target: 100, scope: 'run' },
+        { id: 'speedDemon', label: 'Speed Demon', description: 'Reach 150 km/h', metric: 'topSpeed', target: 150, scope: 'run' },
+        { id: 'closeCalls', label: 'Close Calls', description: 'Get 10 near misses in one run', metric: 'nearMisses', target: 10, scope: 'run' },
+        { id: 'collector', label: 'Collector', description: 'Collect 500 coins in total', metric: 'coins', target: 500, scope: 'total' },
+        { id: 'highRoller', label: 'High Roller', description: 'Score 10,000 in one run', metric: 'score', target: 10000, scope: 'run' }
+    ];
+
+    const DAILY_MISSIONS = [
+        { id: 'drive', label: 'Drive 3 km today', metric: 'distance', target: 3000, scope: 'day' },
+        { id: 'driveRun', label: 'Drive 1 km in one run', metric: 'distance', target: 1000, scope: 'run' },
+        { id: 'pass', label: 'Pass 100 cars today', metric: 'passed', target: 100, scope: 'day' },
+        { id: 'weave', label: 'Pass 30 cars without braking', metric: 'noBrakePassed', target: 30, scope: 'run' },
+        { id: 'calm', label: 'Drive 45 seconds without braking', metric: 'noBrakeTime', target: 45, scope: 'run' },
+        { id: 'speed', label: 'Reach 130 km/h', metric: 'topSpeed', target: 130, scope: 'run' },
+        { id: 'score', label: 'Score 5,000 in one run', metric: 'score', target: 5000, scope: 'run' },
+        { id: 'runs', label: 'Finish 5 runs today', metric: 'runs', target: 5, scope: 'day' },
+        { id: 'nearMisses', label: 'Get 5 near misses in one run', metric: 'nearMisses', target: 5, scope: 'run' },
+        { id: 'coins', label: 'Collect 50 coins today', metric: 'coins', target: 50, scope: 'day' }
+    ];
+
+    // The local date as YYYY-MM-DD, so the day turns over at the player's midnight
+    function dateKey(date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // The day's missions, the same for everyone: the date seeds a shuffle of the pool
+    function dailyMissions(day) {
+        let hash = 0x811c9dc5; // FNV-1a
+        for (let i = 0; i < day.length; i++) hash = Math.imul(hash ^ day.charCodeAt(i), 0x01000193);
+        const random = createRandom(hash);
+        const pool = DAILY_MISSIONS.slice();
+        for (let i = 0; i < DAILY_MISSION_COUNT; i++) {
+            const j = i + Math.floor(random() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return pool.slice(0, DAILY_MISSION_COUNT);
+    }
+
+    // A goal's progress for display, in the units of its measure
+    function formatGoalValue(metric, value) {
+        switch (metric) {
+            case 'distance':
+                return `${(value / 1000).toFixed(1)} km`;
+            case 'topSpeed':
+                return `${Math.floor(value)} km/h`;
+            case 'noBrakeTime':
+                return `${Math.floor(value)} s`;
+            default:
+                return Math.floor(value).toLocaleString('en-US');
+        }
+    }
+
+    // `saved` is what toJSON() returned last time; `save` is handed the progress
+    // whenever it changes.
+    class Achievements {
+        constructor(saved = {}, save = () => {}) {
+            this.records = createRecords(); // every run ever played
+            this.unlocked = {}; // achievement id -> when it was unlocked (ms since 1970)
+            this.daily = createDay(dateKey()); // today's runs, and the missions done
+            this.run = null; // the run being driven, while there is one
+            this.saveProgress = save;
+            this.load(saved || {});
+        }
+
+        load(saved) {
+            Object.assign(this.records, readRecords(saved.records));
+            this.unlocked = Object.assign({}, saved.unlocked);
+            if (saved.daily && saved.daily.date === this.daily.date) {
+                Object.assign(this.daily, readRecords(saved.daily));
+                if (Array.isArray(saved.daily.done)) this.daily.done = saved.daily.done.filter(id => typeof id === 'string');
+            }
+        }
+
+        save() {
+            this.saveProgress(this.toJSON());
+        }
+
+        toJSON() {
+            return {
+                version: ACHIEVEMENTS_VERSION,
+                records: this.records,
+                unlocked: this.unlocked,
+                daily: this.daily
+            };
+        }
+
+        // Today's missions, starting a new day's progress after midnight
+        missions() {
+            const today = dateKey();
+            if (this.daily.date !== today) this.daily = createDay(today);
+            return dailyMissions(this.daily.date);
+        }
+
+        startRun() {
+            this.missions();
+            this.run = { calmTicks: 0, calmPassed: 0, collected: 0 };
+            Object.keys(GOAL_METRICS).forEach(metric => { this.run[metric] = 0; });
+        }
+
+        // Follow one simulation tick: its events, and the input the player gave.
+        // Returns the goals it completed, as { kind: 'achievement' | 'mission', goal }.
+        track(state, input) {
+            const run = this.run;
+            if (!run) return [];
+            state.events.forEach(event => {
+                if (event.type === 'passed') {
+                    run.passed++;
+                    run.calmPassed++;
+                } else if (event.type === 'nearMiss') {
+                    run.nearMisses++;
+                }
+            });
+            const player = state.player;
+            if (input.brake > 0) {
+                run.calmTicks = 0;
+                run.calmPassed = 0;
+            } else if (player.velocityZ > 0) {
+                run.calmTicks++;
+            }
+            run.noBrakeTime = Math.max(run.noBrakeTime, run.calmTicks / TICKS_PER_SECOND);
+            run.noBrakePassed = Math.max(run.noBrakePassed, run.calmPassed);
+            run.distance = Math.max(0, -player.position.z);
+            run.topSpeed = Math.max(run.topSpeed, player.velocityZ * KMH_PER_SPEED);
+            run.collected = state.coins;
+            run.score = state.score;
+            return this.check();
+        }
+
+        // The run is over: `finished` if it was played to the end rather than
+        // abandoned. Its progress goes into the records; returns the goals that
+        // completed, as track() does. Coins count once the wallet has them,
+        // which is only at the end of a finished run.
+        finishRun(finished) {
+            const run = this.run;
+            if (!run) return [];
+            if (finished) {
+                run.runs = 1;
+                run.coins = run.collected;
+            }
+            const completed = this.check();
+            addRun(this.records, run);
+            addRun(this.daily, run);
+            this.run = null;
+            this.save();
+            return completed;
+        }
+
+        // How far along `goal` is, counting the run being driven. Goals for one
+        // run show the best run so far (today's, for missions).
+        progress(goal) {
+            const metric = goal.metric;
+            const records = DAILY_MISSIONS.includes(goal) ? this.daily : this.records;
+            const value = this.run ? this.run[metric] : 0;
+            if (goal.scope === 'run') return Math.max(records.best[metric] || 0, value);
+            return combine(metric, records.total[metric] || 0, value);
+        }
+
+        isDone(goal) {
+            return DAILY_MISSIONS.includes(goal) ? this.daily.done.includes(goal.id) : goal.id in this.unlocked;
+        }
+
+        // Mark every goal that has just been reached
+        check() {
+            const completed = [];
+            ACHIEVEMENTS.forEach(goal => {
+                if (goal.id in this.unlocked || this.progress(goal) < goal.target) return;
+                this.unlocked[goal.id] = Date.now();
+                completed.push({ kind: 'achievement', goal });
+            });
+            this.missions().forEach(goal => {
+                if (this.daily.done.includes(goal.id) || this.progress(goal) < goal.target) return;
+                this.daily.done.push(goal.id);
+                completed.push({ kind: 'mission', goal });
+            });
+            if (completed.length) this.save();
+            return completed;
+        }
+    }
+
+    // Measure -> value: all runs added up (`total`), and the best single run (`best`)
+    function createRecords() {
+        return { total: {}, best: {} };
+    }
+
+    function createDay(date) {
+        return Object.assign(createRecords(), { date, done: [] });
+    }
+
+    // Saved records, keeping only known measures with sensible values
+    function readRecords(saved) {
+        const records = createRecords();
+        ['total', 'best'].forEach(key => {
+            Object.keys(GOAL_METRICS).forEach(metric => {
+                const value = Number(saved && saved[key] && saved[key][metric]);
+                if (Number.isFinite(value) && value > 0) records[key][metric] = value;
+            });
+        });
+        return records;
+    }
+
+    function combine(metric, total, value) {
+        return GOAL_METRICS[metric] === 'sum' ? total + value : Math.max(total, value);
+    }
+
+    function addRun(records, run) {
+        Object.keys(GOAL_METRICS).forEach(metric => {
+            records.total[metric] = combine(metric, records.total[metric] || 0, run[metric]);
+            records.best[metric] = Math.max(records.best[metric] || 0, run[metric]);
+        });
+    }
+
+    return {
+        GOAL_METRICS,
+        ACHIEVEMENTS,
+        DAILY_MISSIONS,
+        dateKey,
+        dailyMissions,
+        formatGoalValue,
+        Achievements
+    };
+});
@@ -0,0 +1,253 @@
+// Sky, sun, fog, rain and car lights, driven by the core's clock and weather
+// (weather.js). Browser-only: the simulation core never touches these.
+// Every light is created up front and only dimmed during the day, so night
+// never changes the number of lights (which would recompile every shader).
+
+// Sky colours by sun elevation (-1 midnight, 1 noon), blended in between
+const SKY_STOPS = [
+    { elevation: -0.2, top: 0x02040f, bottom: 0x0c1428, ambient: 0x1a2340 },  // night
+    { elevation: 0.0, top: 0x2c3e6b, bottom: 0xff9a5c, ambient: 0x8a6a70 },   // dusk
+    { elevation: 0.3, top: 0x87ceeb, bottom: 0xe0f6ff, ambient: 0x87ceeb }    // day
+];
+const STORM_COLOR = new THREE.Color(0x6b7380); // rain and fog wash the sky towards this
+const SUN_DISTANCE = 400; // the disc sits inside the 500 unit sky dome
+const SHADOW_DISTANCE = 120; // the shadow-casting light sits this far from the player
+const CLEAR_FOG_FAR = 900;
+const THICK_FOG_FAR = 70;
+const RAIN_DROPS = 1200;
+const RAIN_AREA = 60; // drops fall in a box this wide around the camera
+const RAIN_HEIGHT = 30;
+const RAIN_SPEED = 40; // units per second
+const OBSTACLE_LIGHTS = 4; // oncoming cars nearest the player get real headlights
+const PLAYER_LIGHT_SIDES = [-0.35, 0.35]; // the player's beams, either side of the centre
+
+class Atmosphere {
+    constructor(scene) {
+        this.scene = scene;
+        this.night = 0; // 0 in daylight, 1 at night
+        // The daytime sky gradient; the biome (see updateBiome in game.js) tints it
+        this.daySky = {
+            top: new THREE.Color(SKY_STOPS[SKY_STOPS.length - 1].top),
+            bottom: new THREE.Color(SKY_STOPS[SKY_STOPS.length - 1].bottom)
+        };
+
+        // Sky gradient - reduced polygon count
+        this.skyUniforms = {
+            topColor: { value: new THREE.Color(0x87CEEB) },
+            bottomColor: { value: new THREE.Color(0xE0F6FF) },
+            offset: { value: 33 },
+            exponent: { value: 0.6 }
+        };
+        this.sky = new THREE.Mesh(
+            new THREE.SphereGeometry(500, 16, 16),
+            new THREE.ShaderMaterial({
+                uniforms: this.skyUniforms,
+                vertexShader: `
+                    varying vec3 vWorldPosition;
+                    void main() {
+                        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                        vWorldPosition = worldPosition.xyz - cameraPosition;
+                        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    }
+                `,
+                fragmentShader: `
+                    uniform vec3 topColor;
+                    uniform vec3 bottomColor;
+                    uniform float offset;
+                    uniform float exponent;
+                    varying vec3 vWorldPosition;
+                    void main() {
+                        float h = normalize(vWorldPosition + offset).y;
+                        gl_FragColor = vec4(mix(bottomColor, topColor, max(pow(max(h, 0.0), exponent), 0.0)), 1.0);
+                    }
+                `,
+                side: THREE.BackSide
+            })
+        );
+        scene.add(this.sky);
+
+        // Sun by day, moon by night - optimized shadows
+        this.sunLight = new THREE.DirectionalLight(0xffffff, 1.0);
+        this.sunLight.castShadow = true;
+        this.sunLight.shadow.mapSize.width = 1024; // setShadowQuality() changes it with the graphics settings
+        this.sunLight.shadow.mapSize.height = 1024;
+        this.sunLight.shadow.camera.near = 0.5;
+        this.sunLight.shadow.camera.far = 250;
+        this.sunLight.shadow.camera.left = -50;
+        this.sunLight.shadow.camera.right = 50;
+        this.sunLight.shadow.camera.top = 50;
+        this.sunLight.shadow.camera.bottom = -50;
+        this.sunLight.shadow.bias = -0.0001;
+        scene.add(this.sunLight);
+        scene.add(this.sunLight.target); // moved along with the player
+
+        this.ambientLight = new THREE.AmbientLight(0x87CEEB, 0.4);
+        scene.add(this.ambientLight);
+
+        // Visible sun and moon discs - reduced polygons
+        const discGeometry = new THREE.SphereGeometry(10, 8, 8);
+        this.sun = new THREE.Mesh(discGeometry, new THREE.MeshBasicMaterial({ color: 0xffff00, fog: false }));
+        this.moon = new THREE.Mesh(discGeometry, new THREE.MeshBasicMaterial({ color: 0xdde6ff, fog: false }));
+        scene.add(this.sun, this.moon);
+
+        scene.fog = new THREE.Fog(0xE0F6FF, 1, CLEAR_FOG_FAR);
+
+        this.rain = this.createRain();
+        scene.add(this.rain);
+
+        // Headlights: two beams for the player, one per lit oncoming car
+        this.playerLights = PLAYER_LIGHT_SIDES.map(() => this.createHeadlight(0xfff4d6, 40));
+        this.obstacleLights = [];
+        for (let i = 0; i < OBSTACLE_LIGHTS; i++) {
+            this.obstacleLights.push(this.createHeadlight(0xfff1b0, 25));
+        }
+
+        this.sunDirection = new THREE.Vector3();
+        this.scratch = new THREE.Vector3();
+        this.color = new THREE.Color();
+    }
+
+    // Shadows on or off, and the shadow map's resolution
+    setShadowQuality(enabled, mapSize) {
+        const shadow = this.sunLight.shadow;
+        this.sunLight.castShadow = enabled;
+        if (shadow.mapSize.width === mapSize) return;
+        shadow.mapSize.set(mapSize, mapSize);
+        if (shadow.map) {
+            shadow.map.dispose(); // reallocated at the new size on the next render
+            shadow.map = null;
+        }
+    }
+
+    createHeadlight(color, distance) {
+        const light = new THREE.SpotLight(color, 0, distance, Math.PI / 7, 0.5, 1.5);
+        this.scene.add(light);
+        this.scene.add(light.target);
+        return light;
+    }
+
+    // Rain is one set of line segments, a short slanted streak per drop
+    createRain() {
+        const positions = new Float32Array(RAIN_DROPS * 6);
+        for (let i = 0; i < RAIN_DROPS; i++) {
+            const x = (Math.random() - 0.5) * RAIN_AREA;
+            const y = Math.random() * RAIN_HEIGHT;
+            const z = (Math.random() - 0.5) * RAIN_AREA;
+            positions.set([x, y, z, x, y + 0.7, z - 0.2], i * 6);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const rain = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+            color: 0xaab8cc,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false
+        }));
+        rain.frustumCulled = false; // it always surrounds the camera
+        rain.visible = false;
+        return rain;
+    }
+
+    // Bring the sky, lights and weather up to date for this frame.
+    // `time` is timeOfDay() and `weather` the core's state.weather (or null).
+    update(time, weather, camera, playerCar, frameTime) {
+        const rain = weather ? weather.rain : 0;
+        const fog = weather ? Math.max(weather.fog, rain * 0.5) : 0;
+
+        // The sun rises in the east (+x) at 0.25 and sets in the west at 0.75
+        const angle = (time - 0.25) * Math.PI * 2;
+        const elevation = Math.sin(angle);
+        this.sunDirection.set(Math.cos(angle), elevation, 0.4).normalize();
+        const daylight = THREE.MathUtils.smoothstep(elevation, -0.15, 0.2);
+        this.night = 1 - daylight;
+
+        // Sky, ambient and fog colours, greyed by the weather
+        const grey = Math.max(rain * 0.7, fog * 0.6);
+        this.skyColor('top', elevation, this.skyUniforms.topColor.value, grey * (0.3 + 0.7 * daylight));
+        this.skyColor('bottom', elevation, this.skyUniforms.bottomColor.value, grey * (0.3 + 0.7 * daylight));
+        this.skyColor('ambient', elevation, this.ambientLight.color, grey * 0.5);
+        this.ambientLight.intensity = 0.15 + 0.25 * daylight;
+        this.scene.fog.color.copy(this.skyUniforms.bottomColor.value);
+        this.scene.fog.far = CLEAR_FOG_FAR + (THICK_FOG_FAR - CLEAR_FOG_FAR) * fog;
+        this.scene.fog.near = this.scene.fog.far * 0.1;
+
+        // The directional light follows the sun by day and the moon by night,
+        // always from above the horizon; clouds dim it
+        this.sky.position.copy(camera.position);
+        this.sun.position.copy(camera.position).addScaledVector(this.sunDirection, SUN_DISTANCE);
+        this.moon.position.copy(camera.position).addScaledVector(this.sunDirection, -SUN_DISTANCE);
+        this.sun.visible = elevation > -0.1 && fog < 0.8;
+        this.moon.visible = elevation < 0.1 && fog < 0.8;
+        const lightDirection = this.scratch.copy(this.sunDirection);
+        if (elevation < 0) lightDirection.negate();
+        this.sunLight.intensity = (0.1 + 0.9 * daylight) * (1 - 0.5 * grey);
+        this.sunLight.color.setHex(0xffffff).lerp(this.color.setHex(0x8899cc), this.night);
+        if (playerCar) {
+            this.sunLight.target.position.copy(playerCar.position);
+            this.sunLight.position.copy(playerCar.position).addScaledVector(lightDirection, SHADOW_DISTANCE);
+        }
+
+        this.updateRain(rain, camera, frameTime);
+    }
+
+    // Colour `key` of SKY_STOPS at this sun elevation, washed out by `grey`
+    skyColor(key, elevation, target, grey) {
+        const upper = SKY_STOPS.findIndex(stop => stop.elevation >= elevation);
+        if (upper === 0) this.stopColor(0, key, target);
+        else if (upper < 0) this.stopColor(SKY_STOPS.length - 1, key, target);
+        else {
+            const from = SKY_STOPS[upper - 1], to = SKY_STOPS[upper];
+            const t = (elevation - from.elevation) / (to.elevation - from.elevation);
+            this.stopColor(upper - 1, key, target).lerp(this.stopColor(upper, key, this.color), t);
+        }
+        // Storm clouds are darker at night, so grey towards a dimmed storm colour
+        target.lerp(this.color.copy(STORM_COLOR).multiplyScalar(0.2 + 0.8 * (1 - this.night)), grey);
+    }
+
+    // Colour `key` of one stop; the day stop's sky comes from daySky
+    stopColor(index, key, out) {
+        const day = index === SKY_STOPS.length - 1 && this.daySky[key];
+        return day ? out.copy(day) : out.setHex(SKY_STOPS[index][key]);
+    }
+
+    updateRain(amount, camera, frameTime) {
+        this.rain.visible = amount > 0.01;
+        if (!this.rain.visible) return;
+        this.rain.material.opacity = 0.6 * amount;
+        this.rain.position.set(camera.position.x, camera.position.y - RAIN_HEIGHT / 2, camera.position.z);
+        const positions = this.rain.geometry.attributes.position;
+        const array = positions.array;
+        const fall = RAIN_SPEED * frameTime / 1000;
+        for (let i = 0; i < array.length; i += 6) {
+            let y = array[i + 1] - fall;
+            if (y < 0) y += RAIN_HEIGHT;
+            array[i + 1] = y;
+            array[i + 4] = y + 0.7;
+        }
+        positions.needsUpdate = true;
+    }
+
+    // Point the player's beams down the road. `rig` is placed like the car
+    // but faces forward (-z), unscaled.
+    placePlayerHeadlights(rig) {
+        const intensity = 2.5 * this.night;
+        rig.updateMatrixWorld();
+        this.playerLights.forEach((light, i) => {
+            const side = PLAYER_LIGHT_SIDES[i];
+            light.intensity = intensity;
+            light.position.copy(rig.localToWorld(this.scratch.set(side, 0.5, -1)));
+            light.target.position.copy(rig.localToWorld(this.scratch.set(side * 4, 0, -25)));
+        });
+    }
+
+    // Light up the given cars' headlights (nearest first); cars face +z locally
+    placeObstacleHeadlights(carGroups) {
+        this.obstacleLights.forEach((light, i) => {
+            const car = carGroups[i];
+            light.intensity = car ? 1.5 * this.night : 0;
+            if (!car) return;
+            light.position.copy(car.localToWorld(this.scratch.set(0, 0.4, 1.2)));
+            light.target.position.copy(car.localToWorld(this.scratch.set(0, 0, 15)));
+        });
+    }
+}
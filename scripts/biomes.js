@@ -0,0 +1,84 @@
+// Biomes: the scenery themes the road runs through, in order, one every
+// BIOME_LENGTH units of distance and blending into the next over the last
+// BIOME_BLEND units. Each biome is pure data - ground, roadside props,
+// backdrop, daytime sky and the paint of the traffic - and the renderer
+// builds everything from it.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const BIOME_LENGTH = 1500;
+    const BIOME_BLEND = 250;
+
+    // ground:   colour, plus the speckles of its procedural texture
+    // props:    roadside prop kinds with relative weights; `spacing` is the
+    //           distance between props along each side of the road and
+    //           `density` the chance that a spot gets one
+    // backdrop: the shapes on the horizon (cone peaks, flat mesas or towers)
+    // sky:      daytime sky gradient (dawn, dusk and night are shared)
+    // vehicles: paint colours for the oncoming traffic
+    const BIOMES = [
+        {
+            id: 'countryside',
+            name: 'Countryside',
+            ground: { color: 0x90ee90, speckle: 0x6fcf6f },
+            props: { kinds: { tree: 5, bush: 3, lampPost: 1 }, spacing: 14, density: 0.6 },
+            backdrop: { shape: 'peak', color: 0x8b4513 },
+            sky: { top: 0x87ceeb, bottom: 0xe0f6ff },
+            vehicles: [0xff0000, 0xff6600, 0xcc0000, 0x990000, 0xff3300, 0x0066cc, 0x00cc66, 0xcc6600]
+        },
+        {
+            id: 'desert',
+            name: 'Desert',
+            ground: { color: 0xe8c98a, speckle: 0xd4ad62 },
+            props: { kinds: { cactus: 4, rock: 3 }, spacing: 18, density: 0.45 },
+            backdrop: { shape: 'mesa', color: 0xc0693a },
+            sky: { top: 0x5aa9e6, bottom: 0xfbe8c8 },
+            vehicles: [0xf4f1de, 0xe07a5f, 0x3d405b, 0x81b29a, 0xf2cc8f, 0xb5651d]
+        },
+        {
+            id: 'city',
+            name: 'City',
+            ground: { color: 0x8a8f96, speckle: 0x6e737a },
+            props: { kinds: { building: 6, lampPost: 3 }, spacing: 10, density: 0.8 },
+            backdrop: { shape: 'tower', color: 0x4a5568 },
+            sky: { top: 0x9db4c8, bottom: 0xd9dee3 },
+            vehicles: [0xf1c40f, 0xffffff, 0x2c3e50, 0x95a5a6, 0xc0392b, 0x2980b9, 0x111111]
+        },
+        {
+            id: 'snow',
+            name: 'Snowfields',
+            ground: { color: 0xf4f8fb, speckle: 0xdfe8ef },
+            props: { kinds: { pine: 6, rock: 1, lampPost: 1 }, spacing: 12, density: 0.65 },
+            backdrop: { shape: 'peak', color: 0xe8eef5 },
+            sky: { top: 0xb8d4ea, bottom: 0xf2f6fa },
+            vehicles: [0xc0392b, 0x1f3a93, 0x27ae60, 0x8e44ad, 0x2c3e50, 0xd35400]
+        }
+    ];
+
+    // The biome at `distance` and the one after it; `blend` rises from 0 to
+    // 1 across the last BIOME_BLEND units before the next one takes over
+    function biomeAt(distance) {
+        const stretch = Math.floor(Math.max(0, distance) / BIOME_LENGTH);
+        const into = Math.max(0, distance) - stretch * BIOME_LENGTH;
+        return {
+            biome: BIOMES[stretch % BIOMES.length],
+            next: BIOMES[(stretch + 1) % BIOMES.length],
+            blend: Math.max(0, (into - (BIOME_LENGTH - BIOME_BLEND)) / BIOME_BLEND)
+        };
+    }
+
+    // Pick the biome for something placed at `distance`: in a blend zone the
+    // next biome is chosen with probability `blend`, for a mixed border.
+    // `roll` is a number in [0, 1).
+    function pickBiome(distance, roll) {
+        const { biome, next, blend } = biomeAt(distance);
+        return roll < blend ? next : biome;
+    }
+
+    return { BIOMES, BIOME_LENGTH, BIOME_BLEND, biomeAt, pickBiome };
+});
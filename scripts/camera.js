@@ -0,0 +1,165 @@
+// Camera modes: the driving views the player cycles through (saved in
+// localStorage), plus the shots the game cuts to by itself - following the
+// car as it tumbles after a crash, and orbiting it on the game-over screen.
+// Changes of view glide over rather than cut, and near the speed cap the
+// field of view widens and the camera shakes a little.
+// Browser-only; game.js hands it the player's road position every frame.
+
+// Driving views, in the order the camera key cycles through them.
+// Distances are in road coordinates from the player car: `behind` is how
+// far back the camera sits (negative is in front of the car's centre),
+// `lookAhead` how far down the road it looks. `ease` lets the camera drift
+// after the car across the road instead of sitting rigidly on it;
+// `effects` scales the speed shake and steering roll; `hideCar` is for
+// views from inside the car.
+const CAMERA_MODES = [
+    { id: 'chase', label: 'Chase', height: 3, behind: 8, lookAhead: 52, lookHeight: 0, fov: 75, ease: true, effects: 1 },
+    { id: 'bumper', label: 'Bumper', height: 0.55, behind: -1.4, lookAhead: 40, lookHeight: 0.5, fov: 80, ease: false, effects: 1.5 },
+    { id: 'cockpit', label: 'Cockpit', height: 1, behind: -0.2, lookAhead: 40, lookHeight: 0.9, fov: 70, ease: false, effects: 1, hideCar: true },
+    { id: 'topDown', label: 'Top-down', height: 30, behind: 8, lookAhead: 12, lookHeight: 0, fov: 60, ease: true, effects: 0 }
+];
+// Shots the game picks itself: the chase view watching the car tumble, and
+// a slow circle around it. `radius` and `height` are the orbit's, in world units.
+const CINEMATIC_MODES = {
+    crash: Object.assign({}, CAMERA_MODES[0], { id: 'crash', watchCar: true, effects: 0 }),
+    orbit: { id: 'orbit', radius: 9, height: 3.5, turnSpeed: 0.35, fov: 60, effects: 0 }
+};
+const DEFAULT_CAMERA = 'chase';
+const CAMERA_TRANSITION = 700; // ms to glide from one view to the next
+const EASE_TICK = 1000 / 60; // ms; the easing rates below are per 60 Hz tick
+const CAMERA_EASE = 0.1; // share of the gap across the road closed each tick
+const SPEED_FOV = 8; // extra degrees of field of view at the speed cap
+const SPEED_EFFECTS_FROM = 0.6; // share of the speed cap where the widening starts
+const SPEED_SHAKE = 0.03; // units of shake at the speed cap
+const SPEED_SHAKE_FROM = 0.85;
+const STEER_ROLL = 0.05; // radians of roll at full sideways speed
+const ROLL_EASE = 0.15; // share of the way to the target roll each tick
+
+function cameraModeById(id) {
+    return CAMERA_MODES.find(mode => mode.id === id) || CINEMATIC_MODES[id] || cameraModeById(DEFAULT_CAMERA);
+}
+
+class CameraRig {
+    constructor(storageKey = 'carGame.camera') {
+        this.storageKey = storageKey;
+        this.chosen = DEFAULT_CAMERA; // the player's driving view
+        this.load();
+        this.mode = cameraModeById(this.chosen);
+        this.previous = null; // the view being glided away from
+        this.transition = 1; // 0 at the start of a glide, 1 once it is over
+        this.easedX = 0;
+        this.roll = 0;
+        this.orbitAngle = 0;
+        this.fromPose = createPose();
+        this.toPose = createPose();
+        this.scratch = new THREE.Vector3();
+    }
+
+    load() {
+        const saved = loadStored(this.storageKey, {});
+        if (CAMERA_MODES.some(mode => mode.id === saved.mode)) this.chosen = saved.mode;
+    }
+
+    save() {
+        store(this.storageKey, { mode: this.chosen });
+    }
+
+    // Move on to the next driving view; returns it
+    cycle() {
+        const index = CAMERA_MODES.findIndex(mode => mode.id === this.chosen);
+        this.chosen = CAMERA_MODES[(index + 1) % CAMERA_MODES.length].id;
+        this.save();
+        this.show(this.chosen);
+        return cameraModeById(this.chosen);
+    }
+
+    // Glide over to a view: a driving view, or 'crash' or 'orbit'.
+    // null goes back to the player's choice.
+    show(id) {
+        const mode = cameraModeById(id === null ? this.chosen : id);
+        if (mode === this.mode) return;
+        this.previous = this.mode;
+        this.mode = mode;
+        this.transition = 0;
+    }
+
+    // Straight back to the driving view, e.g. at the start of a run
+    reset(x) {
+        this.mode = cameraModeById(this.chosen);
+        this.previous = null;
+        this.transition = 1;
+        this.easedX = x;
+        this.roll = 0;
+    }
+
+    // Place `camera` for this frame. `subject`: the player's road position
+    // (x, z), speed (0 at a standstill to 1 at the speed cap), sway
+    // (sideways speed, -1 to 1) and car (its THREE object).
+    update(camera, road, subject, frameTime) {
+        const ticks = frameTime / EASE_TICK;
+        this.easedX += (subject.x - this.easedX) * (1 - Math.pow(1 - CAMERA_EASE, ticks));
+        this.transition = Math.min(1, this.transition + frameTime / CAMERA_TRANSITION);
+        if (this.mode.radius) this.orbitAngle += this.mode.turnSpeed * frameTime / 1000;
+        else this.orbitAngle = this.angleAround(camera, subject.car);
+
+        const pose = this.pose(this.mode, road, subject, this.toPose);
+        if (this.transition < 1) {
+            const previous = this.pose(this.previous, road, subject, this.fromPose);
+            const t = this.transition * this.transition * (3 - 2 * this.transition); // smoothstep
+            pose.position.lerpVectors(previous.position, pose.position, t);
+            pose.target.lerpVectors(previous.target, pose.target, t);
+            pose.fov += (previous.fov - pose.fov) * (1 - t);
+            pose.effects += (previous.effects - pose.effects) * (1 - t);
+        }
+
+        // Near the speed cap the view widens and shakes
+        const rush = Math.max(0, (subject.speed - SPEED_EFFECTS_FROM) / (1 - SPEED_EFFECTS_FROM));
+        const shake = SPEED_SHAKE * pose.effects * Math.max(0, (subject.speed - SPEED_SHAKE_FROM) / (1 - SPEED_SHAKE_FROM));
+        camera.position.copy(pose.position);
+        if (shake > 0) {
+            camera.position.add(this.scratch.set(Math.random() - 0.5, Math.random() - 0.5, 0).multiplyScalar(shake * 2));
+        }
+        camera.lookAt(pose.target);
+        this.roll += (-subject.sway * STEER_ROLL * pose.effects - this.roll) * (1 - Math.pow(1 - ROLL_EASE, ticks));
+        camera.rotateZ(this.roll);
+
+        const fov = pose.fov + SPEED_FOV * rush * rush * Math.min(pose.effects, 1);
+        if (Math.abs(camera.fov - fov) > 0.01) {
+            camera.fov = fov;
+            camera.updateProjectionMatrix();
+        }
+        // Views from inside the car hide it once the camera is in there
+        if (subject.car) subject.car.visible = !(this.mode.hideCar && this.transition > 0.5);
+    }
+
+    // Where `mode` puts the camera and what it looks at
+    pose(mode, road, subject, out) {
+        if (mode.radius) {
+            const centre = subject.car.position;
+            out.position.set(
+                centre.x + Math.sin(this.orbitAngle) * mode.radius,
+                centre.y + mode.height,
+                centre.z + Math.cos(this.orbitAngle) * mode.radius
+            );
+            out.target.copy(centre);
+        } else {
+            const x = mode.ease ? this.easedX : subject.x;
+            road.toWorld(x, mode.height, subject.z + mode.behind, out.position);
+            if (mode.watchCar) out.target.copy(subject.car.position);
+            else road.toWorld(x, mode.lookHeight, subject.z - mode.lookAhead, out.target);
+        }
+        out.fov = mode.fov;
+        out.effects = mode.effects;
+        return out;
+    }
+
+    // The camera's bearing from the car, so an orbit starts where the camera already is
+    angleAround(camera, car) {
+        if (!car) return 0;
+        return Math.atan2(camera.position.x - car.position.x, camera.position.z - car.position.z);
+    }
+}
+
+function createPose() {
+    return { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 0, effects: 0 };
+}
@@ -0,0 +1,62 @@
+// Player cars for the garage: model, paint and handling stats per car.
+// Handling values override the core's PHYSICS constants (per 60 Hz tick).
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_CAR_ID = 'classic';
+
+    // `tint` recolours the model's materials; null keeps the original paint
+    const CARS = [
+        {
+            id: 'classic',
+            name: 'Classic',
+            price: 0,
+            model: 'assets/cartoon_car.glb',
+            tint: null,
+            handling: {}
+        },
+        {
+            id: 'sprinter',
+            name: 'Sprinter',
+            price: 150,
+            model: 'assets/cartoon_car.glb',
+            tint: 0xe74c3c,
+            handling: { maxSpeedZ: 0.58, accelerationZ: 0.012, frictionX: 0.96 }
+        },
+        {
+            id: 'grip',
+            name: 'Grip GT',
+            price: 300,
+            model: 'assets/cartoon_car.glb',
+            tint: 0x2ecc71,
+            handling: { accelerationX: 0.02, maxSpeedX: 0.24, frictionX: 0.9, dragX: 0.88 }
+        },
+        {
+            id: 'cruiser',
+            name: 'Cruiser',
+            price: 500,
+            model: 'assets/cartoon_car.glb',
+            tint: 0x34495e,
+            handling: { maxSpeedZ: 0.62, accelerationZ: 0.008, frictionZ: 0.99, accelerationX: 0.012 }
+        },
+        {
+            id: 'rocket',
+            name: 'Rocket',
+            price: 900,
+            model: 'assets/cartoon_car.glb',
+            tint: 0xf1c40f,
+            handling: { maxSpeedZ: 0.66, accelerationZ: 0.014, accelerationX: 0.018, maxSpeedX: 0.22, dragZ: 0.995 }
+        }
+    ];
+
+    function carById(id) {
+        return CARS.find(car => car.id === id) || CARS.find(car => car.id === DEFAULT_CAR_ID);
+    }
+
+    return { CARS, DEFAULT_CAR_ID, carById };
+});
@@ -0,0 +1,50 @@
+// Coins laid out on the road in patterns and collected through the pickup path.
+// Operates on GameState; no DOM or THREE.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./traffic.js'), require('./powerups.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ LANE_COUNT, TRAFFIC, laneCenter, isLaneClear }, { createPickup, collectHandlers }) {
+    const COIN_SPAWN_CHANCE = 0.5; // per traffic spawn
+    const COIN_SPACING = 2.5;
+
+    // Each pattern lists [lane offset, z offset in coin spacings] from a start lane
+    const COIN_PATTERNS = {
+        line: [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]],
+        zigzag: [[0, 0], [1, 1], [0, 2], [1, 3], [0, 4], [1, 5]],
+        diagonal: [[0, 0], [1, 1.5], [2, 3], [3, 4.5]],
+        arc: [[0, 0], [1, 1], [1, 2], [1, 3], [0, 4]]
+    };
+    const COIN_PATTERN_NAMES = Object.keys(COIN_PATTERNS);
+
+    // Sometimes lay a pattern of coins from z on, starting in a random lane
+    // that keeps it on the road with no coin within spawnGap of a car.
+    // When no start lane does, there are no coins this time.
+    function maybeSpawnCoins(state, lanes, z) {
+        if (state.random() >= COIN_SPAWN_CHANCE) return;
+        const pattern = COIN_PATTERNS[COIN_PATTERN_NAMES[Math.floor(state.random() * COIN_PATTERN_NAMES.length)]];
+        const starts = LANE_COUNT - Math.max(...pattern.map(([laneOffset]) => laneOffset));
+        const first = Math.floor(state.random() * starts);
+        for (let i = 0; i < starts; i++) {
+            const lane = (first + i) % starts;
+            const isClear = pattern.every(([laneOffset, step]) =>
+                isLaneClear(lanes, lane + laneOffset, z - step * COIN_SPACING, TRAFFIC.spawnGap));
+            if (isClear) {
+                pattern.forEach(([laneOffset, step]) => {
+                    const coin = createPickup(state, 'coin', laneCenter(lane + laneOffset), z - step * COIN_SPACING);
+                    coin.position.y = coin.prevPosition.y = 0.4;
+                });
+                return;
+            }
+        }
+    }
+
+    collectHandlers.coin = state => {
+        state.coins++;
+    };
+
+    return { COIN_PATTERNS, maybeSpawnCoins };
+});
@@ -0,0 +1,272 @@
+// Collision detection algorithms shared by the simulation core.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Used for objects that don't carry a hull of their own
+    const DEFAULT_HULL = {
+        halfExtents: { x: 0.5, y: 0.5, z: 0.5 },
+        offset: { x: 0, y: 0, z: 0 }
+    };
+    const NO_ROTATION = { x: 0, y: 0, z: 0 };
+    const EPSILON = 1e-8;
+
+    function dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+
+    function cross(a, b) {
+        return {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+    }
+
+    // Local X/Y/Z axes in world space for an XYZ Euler rotation (same order as THREE.Euler)
+    function rotationAxes(rotation) {
+        const a = Math.cos(rotation.x), b = Math.sin(rotation.x);
+        const c = Math.cos(rotation.y), d = Math.sin(rotation.y);
+        const e = Math.cos(rotation.z), f = Math.sin(rotation.z);
+        const ae = a * e, af = a * f, be = b * e, bf = b * f;
+        return [
+            { x: c * e, y: af + be * d, z: bf - ae * d },
+            { x: -c * f, y: ae - bf * d, z: be + af * d },
+            { x: d, y: -b * c, z: a * c }
+        ];
+    }
+
+    // Oriented bounding box (OBB) collision detection.
+    // Objects expose `position`, an optional `rotation` ({ x, y, z } Euler angles,
+    // so THREE.Object3D works too) and an optional `hull` describing the box in
+    // the object's local frame: `halfExtents` plus the `offset` of its centre.
+    class CollisionDetector {
+        getOrientedBox(obj, position = obj.position) {
+            const hull = obj.hull || DEFAULT_HULL;
+            const axes = rotationAxes(obj.rotation || NO_ROTATION);
+            const offset = hull.offset;
+            return {
+                center: {
+                    x: position.x + axes[0].x * offset.x + axes[1].x * offset.y + axes[2].x * offset.z,
+                    y: position.y + axes[0].y * offset.x + axes[1].y * offset.y + axes[2].y * offset.z,
+                    z: position.z + axes[0].z * offset.x + axes[1].z * offset.y + axes[2].z * offset.z
+                },
+                axes,
+                halfExtents: [hull.halfExtents.x, hull.halfExtents.y, hull.halfExtents.z]
+            };
+        }
+
+        // Half-length of a box's shadow on an axis (axis need not be normalized)
+        projectionRadius(box, axis) {
+            return Math.abs(dot(box.axes[0], axis)) * box.halfExtents[0] +
+                   Math.abs(dot(box.axes[1], axis)) * box.halfExtents[1] +
+                   Math.abs(dot(box.axes[2], axis)) * box.halfExtents[2];
+        }
+
+        projectOnAxis(box, axis) {
+            const center = dot(box.center, axis);
+            const radius = this.projectionRadius(box, axis);
+            return { min: center - radius, max: center + radius };
+        }
+
+        // Separating Axis Theorem (SAT) for oriented bounding boxes: the 3 face
+        // axes of each box plus the 9 edge-edge cross products
+        checkSATCollision(obj1, obj2, pos1 = obj1.position, pos2 = obj2.position) {
+            const box1 = this.getOrientedBox(obj1, pos1);
+            const box2 = this.getOrientedBox(obj2, pos2);
+            const axes = box1.axes.concat(box2.axes);
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    axes.push(cross(box1.axes[i], box2.axes[j]));
+                }
+            }
+
+            for (let axis of axes) {
+                if (dot(axis, axis) < EPSILON) continue; // parallel edges give no axis
+                const proj1 = this.projectOnAxis(box1, axis);
+                const proj2 = this.projectOnAxis(box2, axis);
+
+                if (proj1.max < proj2.min || proj2.max < proj1.min) {
+                    return false; // Separating axis found
+                }
+            }
+            return true; // Collision detected
+        }
+
+        // World-space axis-aligned box enclosing the oriented box
+        getBoundingBox(obj, position = obj.position) {
+            const box = this.getOrientedBox(obj, position);
+            const extent = axis => this.projectionRadius(box, axis);
+            const ex = extent({ x: 1, y: 0, z: 0 });
+            const ey = extent({ x: 0, y: 1, z: 0 });
+            const ez = extent({ x: 0, y: 0, z: 1 });
+            return {
+                minX: box.center.x - ex,
+                maxX: box.center.x + ex,
+                minY: box.center.y - ey,
+                maxY: box.center.y + ey,
+                minZ: box.center.z - ez,
+                maxZ: box.center.z + ez
+            };
+        }
+
+        // Axis-Aligned Bounding Box (AABB) overlap, a cheap conservative pre-test
+        checkAABBCollision(obj1, obj2, tolerance = 0) {
+            const box1 = this.getBoundingBox(obj1);
+            const box2 = this.getBoundingBox(obj2);
+
+            return (box1.minX < box2.maxX + tolerance &&
+                    box1.maxX > box2.minX - tolerance &&
+                    box1.minY < box2.maxY + tolerance &&
+                    box1.maxY > box2.minY - tolerance &&
+                    box1.minZ < box2.maxZ + tolerance &&
+                    box1.maxZ > box2.minZ - tolerance);
+        }
+
+        // Sphere collision detection for round things like pickups
+        checkSphereCollision(obj1, obj2, radius1 = 0.3, radius2 = 0.3) {
+            const dx = obj1.position.x - obj2.position.x;
+            const dy = obj1.position.y - obj2.position.y;
+            const dz = obj1.position.z - obj2.position.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            return distance < (radius1 + radius2);
+        }
+
+        // Pickup test: a sphere of `radius` around the pickup against the
+        // object's oriented box (closest point on the box to the sphere centre)
+        checkPickupCollision(obj, pickup, radius) {
+            const box = this.getOrientedBox(obj);
+            const d = {
+                x: pickup.position.x - box.center.x,
+                y: pickup.position.y - box.center.y,
+                z: pickup.position.z - box.center.z
+            };
+            let distanceSq = 0;
+            for (let i = 0; i < 3; i++) {
+                const along = dot(d, box.axes[i]);
+                const outside = Math.abs(along) - box.halfExtents[i];
+                if (outside > 0) distanceSq += outside * outside;
+            }
+            return distanceSq < radius * radius;
+        }
+
+        // Swept OBB test between the previous and current positions. The motion
+        // is sampled finely enough that neither box can skip over the other.
+        checkSweptCollision(obj1, obj2, prevPos1, prevPos2) {
+            const relX = (obj1.position.x - prevPos1.x) - (obj2.position.x - prevPos2.x);
+            const relY = (obj1.position.y - prevPos1.y) - (obj2.position.y - prevPos2.y);
+            const relZ = (obj1.position.z - prevPos1.z) - (obj2.position.z - prevPos2.z);
+            const travel = Math.sqrt(relX * relX + relY * relY + relZ * relZ);
+            const hull1 = (obj1.hull || DEFAULT_HULL).halfExtents;
+            const hull2 = (obj2.hull || DEFAULT_HULL).halfExtents;
+            const thinnest = Math.min(hull1.x, hull1.z, hull2.x, hull2.z);
+            const steps = Math.max(1, Math.min(Math.ceil(travel / thinnest), 16));
+
+            for (let i = steps; i >= 1; i--) {
+                const t = i / steps;
+                const interpPos1 = this.interpolatePosition(prevPos1, obj1.position, t);
+                const interpPos2 = this.interpolatePosition(prevPos2, obj2.position, t);
+                if (this.checkSATCollision(obj1, obj2, interpPos1, interpPos2)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        interpolatePosition(start, end, t) {
+            return {
+                x: start.x + (end.x - start.x) * t,
+                y: start.y + (end.y - start.y) * t,
+                z: start.z + (end.z - start.z) * t
+            };
+        }
+    }
+
+    // Broad phase: "sweep and prune" along the road (Z). Objects are kept sorted
+    // by the near edge of their swept bounds so a query only looks at the short
+    // run of entries whose Z range can overlap, before any narrow-phase test.
+    // Traffic moves a little each tick, so the list stays nearly sorted and the
+    // insertion sort in update() is close to linear.
+    class SweepAndPrune {
+        constructor(detector) {
+            this.detector = detector;
+            this.entries = [];
+            this.maxDepth = 0;
+        }
+
+        // Bounds covering an object's motion from prevPosition to position
+        sweptBounds(obj) {
+            const bounds = this.detector.getBoundingBox(obj);
+            const previous = obj.prevPosition || obj.position;
+            const dx = previous.x - obj.position.x;
+            const dz = previous.z - obj.position.z;
+            return {
+                minX: bounds.minX + Math.min(dx, 0),
+                maxX: bounds.maxX + Math.max(dx, 0),
+                minZ: bounds.minZ + Math.min(dz, 0),
+                maxZ: bounds.maxZ + Math.max(dz, 0)
+            };
+        }
+
+        update(objects) {
+            const present = new Set(objects);
+            const known = new Set();
+            const entries = [];
+            this.entries.forEach(entry => {
+                if (present.has(entry.object)) {
+                    known.add(entry.object);
+                    entries.push(entry);
+                }
+            });
+            objects.forEach(object => {
+                if (!known.has(object)) entries.push({ object, bounds: null });
+            });
+
+            this.maxDepth = 0;
+            entries.forEach(entry => {
+                entry.bounds = this.sweptBounds(entry.object);
+                this.maxDepth = Math.max(this.maxDepth, entry.bounds.maxZ - entry.bounds.minZ);
+            });
+
+            // Insertion sort by minZ
+            for (let i = 1; i < entries.length; i++) {
+                const entry = entries[i];
+                let j = i - 1;
+                while (j >= 0 && entries[j].bounds.minZ > entry.bounds.minZ) {
+                    entries[j + 1] = entries[j];
+                    j--;
+                }
+                entries[j + 1] = entry;
+            }
+            this.entries = entries;
+        }
+
+        // Objects whose swept bounds overlap the given XZ bounds
+        query(bounds) {
+            const entries = this.entries;
+            // First entry starting beyond the query range
+            let lo = 0, hi = entries.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (entries[mid].bounds.minZ > bounds.maxZ) hi = mid;
+                else lo = mid + 1;
+            }
+
+            const found = [];
+            const earliestStart = bounds.minZ - this.maxDepth;
+            for (let i = lo - 1; i >= 0 && entries[i].bounds.minZ >= earliestStart; i--) {
+                const other = entries[i].bounds;
+                if (other.maxZ >= bounds.minZ && other.minX <= bounds.maxX && other.maxX >= bounds.minX) {
+                    found.push(entries[i].object);
+                }
+            }
+            return found;
+        }
+    }
+
+    return { CollisionDetector, SweepAndPrune };
+});
@@ -0,0 +1,442 @@
+// Headless game core - all simulation state and rules, no DOM or THREE.
+// The renderer in game.js only reads GameState; it never writes to it.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./collision.js'), require('./random.js'), require('./traffic.js'), require('./powerups.js'), require('./coins.js'), require('./scoring.js'), require('./road.js'), require('./weather.js'), require('./damage.js'), require('./modes.js'));
+    } else {
+        Object.assign(root, factory(root, root, root, root, root, root, root, root, root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ CollisionDetector, SweepAndPrune }, { createRandom, randomSeed }, traffic, powerups, coins, scoring, { Road }, weather, damage, modes) {
+    const { LANE_COUNT, laneCenter, randomLaneOffset, buildLaneIndex, findFreeLane, driveObstacle } = traffic;
+    const roadLength = 50;
+    const roadSegmentCount = 3;
+    // Positions are road coordinates (see road.js): x is measured from the
+    // centreline, so the player stays within ROAD_EDGE of it through every curve
+    const ROAD_EDGE = 4.5;
+    // The road layout has its own generator so it never shifts the traffic
+    const ROAD_SEED = 0x5bd1e995;
+    const obstacleInterval = 120;
+    const minObstacleInterval = 40; // Increased from 30 to make it slightly easier
+    const SCORE_TICKS = 6; // score used to update every 100 ms
+    const SCORE_PER_SPEED = 15; // points per score update for each unit of velocityZ
+    const TICKS_PER_SECOND = 60;
+
+    // Smooth movement constants (similar to C++ physics), per 60 Hz tick
+    const PHYSICS = {
+        maxSpeedX: 0.2, // Reduced from 0.3
+        maxSpeedZ: 0.5, // Reduced from 0.8
+        accelerationX: 0.015, // Reduced from 0.02
+        accelerationZ: 0.01, // Reduced from 0.015
+        frictionX: 0.95,
+        frictionZ: 0.98,
+        dragX: 0.85,
+        dragZ: 0.99
+    };
+
+    // Collision hulls: half extents and box centre offset in the car's local
+    // frame. The obstacle default is measured from the procedural car built in
+    // game.js; the renderer replaces both with the real mesh bounds once the
+    // models exist (see setCollisionHull). Entities share these objects, so an
+    // update applies to cars already on the road. A state given its own hulls
+    // (a replay's) uses those instead.
+    const HULLS = {
+        player: { halfExtents: { x: 0.5, y: 0.35, z: 1.0 }, offset: { x: 0, y: 0.1, z: 0 } },
+        obstacle: { halfExtents: { x: 0.65, y: 0.35, z: 1.1 }, offset: { x: 0, y: 0.35, z: 0.1 } }
+    };
+
+    const collisionDetector = new CollisionDetector();
+
+    // Benchmark traffic is spread over this stretch of road around the player
+    const BENCHMARK_SPREAD = roadLength * 4;
+
+    const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+    // Input for one tick: steer from -1 (full left) to 1 (full right), throttle
+    // and brake from 0 to 1. Keys give the extremes, gamepads anything between;
+    // booleans are accepted as 0/1.
+    const NO_INPUT = { steer: 0, throttle: 0, brake: 0 };
+    // Analog input is rounded to 1/INPUT_STEPS so replays store it exactly
+    const INPUT_STEPS = 32;
+
+    function quantize(value, min) {
+        const number = Math.max(min, Math.min(1, Number(value) || 0));
+        return Math.round(number * INPUT_STEPS) / INPUT_STEPS;
+    }
+
+    function normalizeInput(input) {
+        return {
+            steer: quantize(input.steer, -1),
+            throttle: quantize(input.throttle, 0),
+            brake: quantize(input.brake, 0)
+        };
+    }
+
+    // Options:
+    //   seed       - 32-bit seed for every random decision; a run is fully
+    //                determined by its seed and inputs. Random when omitted.
+    //   random     - number generator in [0, 1), overrides the seeded one
+    //   broadPhase - false to test every obstacle (for benchmarking)
+    //   profile    - record collision timings in state.profile
+    //   benchmark  - keep this many obstacles on the road; hits are counted, not fatal
+    //   handling   - per-car overrides of the PHYSICS constants (see cars.js)
+    //   weather    - false for a dry road at noon all run (see weather.js)
+    //   damage     - false to end the run on any hit instead of costing health (see damage.js)
+    //   mode       - game mode id (see modes.js); Endless when omitted
+    //   hulls      - { player, obstacle } collision hulls for this run only; the
+    //                shared HULLS when omitted
+    class GameState {
+        constructor(options = {}) {
+            this.seed = options.seed === undefined ? randomSeed() : options.seed >>> 0;
+            this.random = options.random || createRandom(this.seed);
+            this.physics = Object.assign({}, PHYSICS, options.handling);
+            this.broadPhase = options.broadPhase === false ? null : new SweepAndPrune(collisionDetector);
+            this.profile = options.profile ? { collisionTime: 0, candidates: 0, collisions: 0 } : null;
+            this.benchmark = options.benchmark || 0;
+            this.hulls = options.hulls || HULLS;
+            this.tick = 0;
+            this.score = 0;
+            this.gameOver = false;
+            this.mode = modes.modeById(options.mode);
+            this.race = modes.createRace(this.mode, TICKS_PER_SECOND); // the mode's clock, gates and clean streak
+            this.health = damage.createHealth(options.damage !== false);
+            this.obstacleTimer = 0;
+            this.nextObstacleId = 1;
+            this.obstacles = [];
+            this.nextPickupId = 1;
+            this.pickups = [];
+            this.effects = powerups.createEffects(); // ticks left per power-up
+            this.coins = 0; // collected this run
+            this.stats = { topSpeed: 0, obstaclesPassed: 0, nearMisses: 0, timeline: [] }; // timeline: score each second
+            this.combo = scoring.createCombo();
+            this.events = []; // what happened during the last step (see scoring.js)
+            this.road = new Road(this.seed ^ ROAD_SEED, roadLength);
+            this.weather = options.weather === false ? null : weather.createWeather(this.seed);
+            this.roadSegments = [];
+            for (let i = 0; i < roadSegmentCount; i++) {
+                this.roadSegments.push(-i * roadLength);
+            }
+            this.player = {
+                position: { x: 0, y: 0.25, z: 2 },
+                prevPosition: { x: 0, y: 0.25, z: 2 },
+                rotation: { x: 0, y: Math.PI, z: 0 },
+                hull: this.hulls.player,
+                velocityX: 0,
+                velocityZ: 0
+            };
+        }
+    }
+
+    // Place a car in a lane; traffic.js drives it from then on
+    function createObstacle(state, zOffset, lane) {
+        const laneOffset = randomLaneOffset(state);
+        const x = laneCenter(lane) + laneOffset;
+        const speed = (0.03 + state.random() * 0.04) * state.mode.trafficSpeed; // Random cruise speed between 0.03-0.07
+        const obstacle = {
+            id: state.nextObstacleId++,
+            position: { x, y: 0, z: zOffset },
+            prevPosition: { x, y: 0, z: zOffset },
+            rotation: { x: 0, y: 0, z: 0 }, // Face towards the player
+            hull: state.hulls.obstacle,
+            movementSpeed: speed,
+            cruiseSpeed: speed,
+            initialX: x,
+            lane,
+            laneOffset,
+            fromLane: lane,
+            targetLane: lane,
+            signal: 0, // -1/1 while indicating a lane change towards -x/+x
+            signalTimer: 0,
+            passed: false, // counted in stats once behind the player
+            nearMissChecked: false
+        };
+        state.obstacles.push(obstacle);
+        return obstacle;
+    }
+
+    function spawnObstacles(state) {
+        const zOffset = state.player.position.z - roadLength * 3;
+        const lanes = buildLaneIndex(state.obstacles);
+        // Reduce number of obstacles: now only 1 or 2 per spawn
+        const numObstacles = Math.floor(state.random() * 2) + 1; // 1-2 obstacles
+        for (let i = 0; i < numObstacles; i++) {
+            const z = zOffset - i * 18; // Slightly more spaced out
+            const lane = findFreeLane(state, lanes, z);
+            if (lane < 0) continue; // never spawn on top of another car
+            lanes[lane].push(createObstacle(state, z, lane));
+        }
+        powerups.maybeSpawnPowerup(state, lanes, zOffset - numObstacles * 18);
+        coins.maybeSpawnCoins(state, lanes, zOffset + 25);
+    }
+
+    function updateScore(state) {
+        const points = Math.floor(state.player.velocityZ * SCORE_PER_SPEED) * modes.scoreMultiplier(state);
+        if (points > 0) scoring.addScore(state, points, 'distance');
+    }
+
+    // Forward speed limit; it rises slowly with the score
+    function speedCap(maxSpeedZ, score, bonus) {
+        return maxSpeedZ + score * 0.0001 + bonus;
+    }
+
+    // A damping factor (like frictionX) with only `grip` of its effect left
+    function loosen(factor, grip) {
+        return grip === 1 ? factor : 1 - (1 - factor) * grip;
+    }
+
+    // Smooth physics-based movement (C++-style)
+    function updateMovement(state, input) {
+        const player = state.player;
+        const physics = state.physics;
+        // On a wet road the car keeps sliding sideways for longer
+        const grip = weather.gripScale(state);
+
+        // Horizontal movement (left/right), in proportion to the stick
+        if (input.steer !== 0) {
+            player.velocityX += physics.accelerationX * input.steer;
+        } else {
+            player.velocityX *= loosen(physics.frictionX, grip);
+        }
+
+        // Apply drag and limits
+        player.velocityX = Math.max(Math.min(player.velocityX, physics.maxSpeedX), -physics.maxSpeedX);
+        player.velocityX *= loosen(physics.dragX, grip);
+
+        // Vertical movement (forward/backward)
+        if (input.throttle > 0) {
+            player.velocityZ += physics.accelerationZ * powerups.accelerationScale(state) * input.throttle;
+        } else if (input.brake > 0) {
+            player.velocityZ -= physics.accelerationZ * 2 * input.brake;
+        } else {
+            player.velocityZ *= physics.frictionZ;
+        }
+
+        // Apply drag and limits
+        const cap = speedCap(physics.maxSpeedZ, state.score, powerups.speedCapBonus(state));
+        player.velocityZ = Math.max(Math.min(player.velocityZ, cap), 0);
+        player.velocityZ *= physics.dragZ;
+        state.stats.topSpeed = Math.max(state.stats.topSpeed, player.velocityZ);
+
+        // Update positions
+        player.prevPosition.x = player.position.x;
+        player.prevPosition.z = player.position.z;
+        player.position.x += player.velocityX;
+        player.position.z -= player.velocityZ;
+
+        // Keep to the road, measured from the centreline
+        player.position.x = Math.max(Math.min(player.position.x, ROAD_EDGE), -ROAD_EDGE);
+    }
+
+    // Progressive difficulty, in modes that ramp it up
+    function updateSpawning(state) {
+        state.obstacleTimer++;
+        const ramp = state.mode.ramp ? Math.floor(state.score / 100) * 3 : 0; // Slower difficulty increase
+        const dynamicInterval = Math.max(obstacleInterval - ramp, minObstacleInterval) * state.mode.spawnScale;
+        if (state.obstacleTimer > dynamicInterval) {
+            spawnObstacles(state);
+            state.obstacleTimer = 0;
+        }
+    }
+
+    // Most cars a run of `ticks` ticks covering `distance` can ever meet: a
+    // timed spawn at most every minObstacleInterval + 1 ticks plus one per
+    // recycled road segment, two cars each
+    function maxObstacleSpawns(ticks, distance) {
+        return 2 * (Math.floor(ticks / (minObstacleInterval + 1)) + Math.ceil(distance / roadLength) + roadSegmentCount);
+    }
+
+    // Leapfrog road segments forward; every recycled segment brings new traffic.
+    // The segments' z is their centre in road coordinates; the renderer bends
+    // each one along the road's curve.
+    function updateRoad(state) {
+        state.road.trim(-state.player.position.z);
+        const segments = state.roadSegments;
+        for (let i = 0; i < segments.length; i++) {
+            if (state.player.position.z - segments[i] < -roadLength) {
+                segments[i] -= roadLength * segments.length;
+                if (!state.benchmark) spawnObstacles(state);
+            }
+        }
+    }
+
+    // Move obstacles (cars coming towards player)
+    function updateObstacles(state) {
+        const lanes = buildLaneIndex(state.obstacles);
+        const timeScale = powerups.trafficTimeScale(state); // slow-mo
+        state.obstacles.forEach(obstacle => {
+            obstacle.prevPosition.x = obstacle.position.x;
+            obstacle.prevPosition.z = obstacle.position.z;
+
+            updateObstacleMovement(state, obstacle, lanes);
+            obstacle.position.z += obstacle.movementSpeed * timeScale;
+        });
+    }
+
+    // Broad phase picks the nearby cars, then the swept oriented-box test decides
+    function checkCollision(state) {
+        const player = state.player;
+        const started = state.profile ? now() : 0;
+
+        let candidates = state.obstacles;
+        if (state.broadPhase) {
+            state.broadPhase.update(state.obstacles);
+            candidates = state.broadPhase.query(state.broadPhase.sweptBounds(player));
+        }
+
+        const hits = candidates.filter(obstacle => !obstacle.scraped &&
+            collisionDetector.checkSweptCollision(player, obstacle, player.prevPosition, obstacle.prevPosition));
+
+        hits.forEach(obstacle => {
+            if (state.benchmark) {
+                state.profile.collisions++;
+            } else if (state.mode.collisions === 'none') {
+                modes.passThrough(state, obstacle);
+            } else if (powerups.absorbHit(state)) {
+                // The shield knocks the car off the road
+                state.obstacles.splice(state.obstacles.indexOf(obstacle), 1);
+                scoring.emit(state, 'shieldHit', { obstacleId: obstacle.id });
+            } else if (!state.gameOver) {
+                damage.takeHit(state, obstacle);
+            }
+        });
+        if (!state.benchmark && !state.gameOver) checkNearMisses(state, hits);
+
+        if (state.profile) {
+            state.profile.collisionTime = now() - started;
+            state.profile.candidates = candidates.length;
+        }
+    }
+
+    // True once a car's back is level with or behind the player's back
+    function isBehindPlayer(player, obstacle) {
+        return obstacle.position.z - obstacle.hull.halfExtents.z >= player.position.z + player.hull.halfExtents.z;
+    }
+
+    // Near misses: cars that got past the player this tick, side by side with
+    // less than NEAR_MISS_GAP between them and without touching
+    function checkNearMisses(state, hits) {
+        const player = state.player;
+        let nearby = state.obstacles;
+        if (state.broadPhase) {
+            const bounds = state.broadPhase.sweptBounds(player);
+            const margin = scoring.NEAR_MISS_GAP;
+            nearby = state.broadPhase.query({
+                minX: bounds.minX - margin,
+                maxX: bounds.maxX + margin,
+                minZ: bounds.minZ - margin - 1,
+                maxZ: bounds.maxZ + margin + 1
+            });
+        }
+        nearby.forEach(obstacle => {
+            if (obstacle.nearMissChecked || hits.includes(obstacle) || !isBehindPlayer(player, obstacle)) return;
+            obstacle.nearMissChecked = true;
+            const gap = Math.abs(obstacle.position.x - player.position.x) -
+                obstacle.hull.halfExtents.x - player.hull.halfExtents.x;
+            if (gap < scoring.NEAR_MISS_GAP) scoring.awardNearMiss(state, obstacle);
+        });
+    }
+
+    // Count cars the player has got past
+    function updatePassing(state) {
+        if (state.gameOver) return;
+        state.obstacles.forEach(obstacle => {
+            if (obstacle.passed || !isBehindPlayer(state.player, obstacle)) return;
+            obstacle.passed = true;
+            state.stats.obstaclesPassed++;
+            scoring.emit(state, 'passed', { obstacleId: obstacle.id });
+        });
+    }
+
+    // Summary of a run for score tables: distance in world units, top speed
+    // in units per second, duration in seconds
+    function runSummary(state) {
+        return {
+            score: state.score,
+            distance: Math.max(0, Math.round(-state.player.position.z)),
+            topSpeed: Math.round(state.stats.topSpeed * TICKS_PER_SECOND * 10) / 10,
+            nearMisses: state.stats.nearMisses,
+            duration: Math.round(state.tick / TICKS_PER_SECOND * 10) / 10,
+            gates: state.race.gates,
+            gateTime: Math.round(state.race.gateTick / TICKS_PER_SECOND * 10) / 10 // when the last gate was reached
+        };
+    }
+
+    // Remove obstacles that are out of view
+    function removePassedObstacles(state) {
+        const limitZ = state.player.position.z + 15;
+        for (let i = state.obstacles.length - 1; i >= 0; i--) {
+            if (state.obstacles[i].position.z > limitZ) {
+                state.obstacles.splice(i, 1);
+            }
+        }
+    }
+
+    // Benchmark mode: keep the road packed with a fixed number of cars
+    function fillBenchmarkTraffic(state) {
+        const playerZ = state.player.position.z;
+        while (state.obstacles.length < state.benchmark) {
+            const lane = Math.floor(state.random() * LANE_COUNT);
+            createObstacle(state, playerZ + 15 - state.random() * BENCHMARK_SPREAD, lane);
+        }
+    }
+
+    // Update obstacle movement - lane-keeping traffic AI (traffic.js) sets this
+    // tick's movementSpeed from the following distance and handles lane changes.
+    // The forward movement is applied in updateObstacles().
+    function updateObstacleMovement(state, obstacle, lanes) {
+        driveObstacle(state, obstacle, lanes);
+    }
+
+    // Replace a collision hull with measured bounds ({ halfExtents, offset })
+    function setCollisionHull(kind, hull) {
+        Object.assign(HULLS[kind].halfExtents, hull.halfExtents);
+        Object.assign(HULLS[kind].offset, hull.offset);
+    }
+
+    // Advance the simulation by one fixed tick
+    function step(state, input = NO_INPUT) {
+        if (state.gameOver) return state;
+
+        input = modes.applyRules(state, normalizeInput(input));
+        state.events.length = 0;
+        weather.updateWeather(state);
+        updateMovement(state, input);
+        scoring.updateCombo(state, input);
+        if (state.benchmark) {
+            fillBenchmarkTraffic(state);
+        } else {
+            updateSpawning(state);
+        }
+        updateRoad(state);
+        updateObstacles(state);
+        checkCollision(state);
+        updatePassing(state);
+        removePassedObstacles(state);
+        powerups.updatePickups(state);
+        powerups.updateEffects(state);
+
+        state.tick++;
+        if (state.tick % SCORE_TICKS === 0) updateScore(state);
+        if (state.tick % TICKS_PER_SECOND === 0) state.stats.timeline.push(state.score);
+        if (!state.gameOver) modes.updateRace(state);
+        return state;
+    }
+
+    return {
+        GameState,
+        step,
+        PHYSICS,
+        NO_INPUT,
+        INPUT_STEPS,
+        normalizeInput,
+        TICKS_PER_SECOND,
+        SCORE_TICKS,
+        SCORE_PER_SPEED,
+        speedCap,
+        maxObstacleSpawns,
+        runSummary,
+        roadLength,
+        HULLS,
+        setCollisionHull
+    };
+});
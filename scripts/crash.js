@@ -0,0 +1,241 @@
+// Crash effects: cars tumbling off the road, flying debris, smoke from a
+// damaged car and camera shake. Purely visual and browser-only: positions
+// are in world space and the simulation core never sees any of this, so
+// Math.random() is fine here.
+const GRAVITY = 20; // units per second squared; a little heavy, so tumbles stay short
+const BOUNCE = 0.35; // share of vertical speed kept when something lands
+const GROUND_FRICTION = 0.6; // share of sideways speed and spin kept on landing
+const TUMBLE_TIME = 2.5; // seconds a knocked-away car tumbles before it is put back in its pool
+const DEBRIS_PIECES = 64;
+const DEBRIS_TIME = 2; // seconds a piece of debris lasts
+const DEBRIS_SHRINK = 0.5; // and for the last this many seconds it shrinks away
+const SMOKE_PUFFS = 48;
+const SMOKE_TIME = 1.4; // seconds a puff takes to rise and fade
+const SMOKE_RISE = 1.5; // units per second
+const SHAKE_DECAY = 5; // shake falls off by e every 1/SHAKE_DECAY seconds
+
+class CrashEffects {
+    constructor(scene) {
+        this.scene = scene;
+        this.bodies = []; // tumbling objects: { object, velocity, spin, floor, age, onDone }
+        this.shakeAmount = 0;
+        this.shakeOffset = new THREE.Vector3();
+        this.createDebris();
+        this.createSmoke();
+    }
+
+    // Small boxes in the colours of whatever broke, drawn in one call
+    createDebris() {
+        this.debris = new THREE.InstancedMesh(
+            new THREE.BoxGeometry(1, 1, 1),
+            new THREE.MeshLambertMaterial({ color: 0xffffff }),
+            DEBRIS_PIECES
+        );
+        this.debris.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.debris.frustumCulled = false;
+        this.debris.count = 0;
+        this.scene.add(this.debris);
+        this.pieces = [];
+        for (let i = 0; i < DEBRIS_PIECES; i++) {
+            this.pieces.push({
+                position: new THREE.Vector3(),
+                velocity: new THREE.Vector3(),
+                rotation: new THREE.Euler(),
+                spin: new THREE.Vector3(),
+                color: new THREE.Color(),
+                size: 0,
+                floor: 0,
+                age: DEBRIS_TIME
+            });
+            this.debris.setColorAt(i, this.pieces[i].color);
+        }
+        this.nextPiece = 0;
+        this.pieceMatrix = new THREE.Matrix4();
+        this.pieceQuaternion = new THREE.Quaternion();
+        this.pieceScale = new THREE.Vector3();
+    }
+
+    // Soft round sprites, each with its own material so they fade separately
+    createSmoke() {
+        const texture = softDotTexture();
+        this.puffs = [];
+        for (let i = 0; i < SMOKE_PUFFS; i++) {
+            const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: texture, color: 0x888888, transparent: true, depthWrite: false
+            }));
+            sprite.visible = false;
+            this.scene.add(sprite);
+            this.puffs.push({ sprite, age: SMOKE_TIME, size: 1 });
+        }
+        this.nextPuff = 0;
+        this.smokeDue = 0;
+    }
+
+    // Throw `object` with `velocity` (a world vector in units per second),
+    // spinning `spin` radians per second about each axis. It lands on the
+    // height it started at. `onDone` runs once it has tumbled for a while,
+    // or on reset(); without one, the object tumbles until reset().
+    tumble(object, velocity, spin, onDone) {
+        if (this.isTumbling(object)) return;
+        this.bodies.push({
+            object,
+            velocity: velocity.clone(),
+            spin: spin.clone(),
+            floor: object.position.y,
+            age: 0,
+            onDone: onDone || null
+        });
+    }
+
+    isTumbling(object) {
+        return this.bodies.some(body => body.object === object);
+    }
+
+    // `count` pieces flying out of `position`, carried along by `velocity`
+    burst(position, velocity, color, count) {
+        const tint = new THREE.Color(color);
+        for (let i = 0; i < count; i++) {
+            const index = this.nextPiece;
+            const piece = this.pieces[index];
+            this.nextPiece = (index + 1) % DEBRIS_PIECES;
+            piece.position.copy(position);
+            piece.floor = position.y - 0.5;
+            const angle = Math.random() * Math.PI * 2;
+            const outward = 2 + Math.random() * 6;
+            piece.velocity.set(Math.cos(angle) * outward, 3 + Math.random() * 6, Math.sin(angle) * outward)
+                .addScaledVector(velocity, 0.5);
+            piece.spin.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).multiplyScalar(20);
+            piece.size = 0.06 + Math.random() * 0.16;
+            piece.age = 0;
+            // Every other piece is dark: glass, trim and the car's insides
+            piece.color.copy(tint).multiplyScalar(i % 2 ? 1 : 0.25);
+        }
+    }
+
+    // Smoke rising from `position`, `density` puffs a second; darkness 0 is
+    // light grey, 1 black
+    smoke(position, density, darkness, dt) {
+        this.smokeDue += density * dt;
+        while (this.smokeDue >= 1) {
+            this.smokeDue--;
+            const puff = this.puffs[this.nextPuff];
+            this.nextPuff = (this.nextPuff + 1) % SMOKE_PUFFS;
+            puff.age = 0;
+            puff.size = 0.8 + Math.random() * 0.6 + darkness;
+            puff.sprite.position.set(
+                position.x + (Math.random() - 0.5) * 0.3,
+                position.y,
+                position.z + (Math.random() - 0.5) * 0.3
+            );
+            puff.sprite.material.color.setScalar(0.6 - 0.5 * darkness);
+            puff.sprite.visible = true;
+        }
+    }
+
+    shake(strength) {
+        this.shakeAmount = Math.max(this.shakeAmount, strength);
+    }
+
+    // Advance everything by `dt` seconds (already slowed down in slow motion)
+    update(dt) {
+        this.bodies = this.bodies.filter(body => {
+            body.age += dt;
+            if (body.onDone && body.age >= TUMBLE_TIME) {
+                body.onDone();
+                return false;
+            }
+            const object = body.object;
+            body.velocity.y -= GRAVITY * dt;
+            object.position.addScaledVector(body.velocity, dt);
+            object.rotateX(body.spin.x * dt);
+            object.rotateY(body.spin.y * dt);
+            object.rotateZ(body.spin.z * dt);
+            if (object.position.y < body.floor) {
+                object.position.y = body.floor;
+                land(body.velocity, body.spin);
+            }
+            return true;
+        });
+
+        let live = 0;
+        this.pieces.forEach(piece => {
+            if (piece.age >= DEBRIS_TIME) return;
+            piece.age += dt;
+            piece.velocity.y -= GRAVITY * dt;
+            piece.position.addScaledVector(piece.velocity, dt);
+            piece.rotation.x += piece.spin.x * dt;
+            piece.rotation.y += piece.spin.y * dt;
+            piece.rotation.z += piece.spin.z * dt;
+            if (piece.position.y < piece.floor) {
+                piece.position.y = piece.floor;
+                land(piece.velocity, piece.spin);
+            }
+            const size = piece.size * Math.min(1, Math.max(0, (DEBRIS_TIME - piece.age) / DEBRIS_SHRINK));
+            this.pieceMatrix.compose(piece.position, this.pieceQuaternion.setFromEuler(piece.rotation), this.pieceScale.setScalar(size));
+            this.debris.setMatrixAt(live, this.pieceMatrix);
+            this.debris.setColorAt(live++, piece.color);
+        });
+        // Live pieces are packed at the front of the instance buffers
+        this.debris.count = live;
+        this.debris.instanceMatrix.needsUpdate = true;
+        this.debris.instanceColor.needsUpdate = true;
+
+        this.puffs.forEach(puff => {
+            if (!puff.sprite.visible) return;
+            puff.age += dt;
+            if (puff.age >= SMOKE_TIME) {
+                puff.sprite.visible = false;
+                return;
+            }
+            const life = puff.age / SMOKE_TIME;
+            puff.sprite.position.y += SMOKE_RISE * dt;
+            puff.sprite.scale.setScalar(puff.size * (0.4 + life));
+            puff.sprite.material.opacity = 0.7 * (1 - life);
+        });
+
+        this.shakeAmount *= Math.exp(-SHAKE_DECAY * dt);
+        if (this.shakeAmount < 0.001) this.shakeAmount = 0;
+    }
+
+    // Jolt the camera after it has been placed for the frame
+    applyShake(camera) {
+        if (this.shakeAmount === 0) return;
+        this.shakeOffset.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)
+            .multiplyScalar(this.shakeAmount * 2);
+        camera.position.add(this.shakeOffset);
+    }
+
+    // Clear the road for a new run
+    reset() {
+        this.bodies.forEach(body => body.onDone && body.onDone());
+        this.bodies = [];
+        this.pieces.forEach(piece => { piece.age = DEBRIS_TIME; });
+        this.debris.count = 0;
+        this.puffs.forEach(puff => { puff.sprite.visible = false; });
+        this.smokeDue = 0;
+        this.shakeAmount = 0;
+    }
+}
+
+// Something hit the ground: it bounces a little and drags to a stop
+function land(velocity, spin) {
+    velocity.y = -velocity.y * BOUNCE;
+    velocity.x *= GROUND_FRICTION;
+    velocity.z *= GROUND_FRICTION;
+    spin.multiplyScalar(GROUND_FRICTION);
+}
+
+// A white dot fading out to its edge, for smoke puffs (a plain square
+// where there is no 2D canvas)
+function softDotTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 64;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+    const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 64, 64);
+    return new THREE.CanvasTexture(canvas);
+}
@@ -0,0 +1,81 @@
+// Health and damage. A glancing side swipe costs health and knocks the car
+// sideways; hitting an oncoming car head-on costs more and knocks it off the
+// road, unless the closing speed is high enough to be fatal. The run ends
+// when health runs out.
+// Operates on GameState; no DOM or THREE.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ emit }) {
+    const MAX_HEALTH = 100;
+    // A hit is a side swipe while the cars overlap sideways by less than this
+    // (out of a combined width of about 2.3); anything deeper is head-on
+    const SWIPE_OVERLAP = 0.45;
+    const SWIPE_DAMAGE = 15; // plus SWIPE_SPEED_DAMAGE per unit of closing speed (per tick)
+    const SWIPE_SPEED_DAMAGE = 30;
+    const SWIPE_KNOCK = 0.25; // sideways speed the player is thrown away at
+    const SWIPE_SLOWDOWN = 0.85; // share of forward speed kept after a swipe
+    const IMPACT_DAMAGE = 45;
+    const IMPACT_SLOWDOWN = 0.3;
+    const FATAL_CLOSING_SPEED = 0.35; // head-on at this closing speed or more is fatal
+
+    // Health points (0-MAX_HEALTH), or null when any hit is fatal, as in
+    // runs recorded before the damage model
+    function createHealth(enabled) {
+        return enabled ? MAX_HEALTH : null;
+    }
+
+    // The player touched `obstacle` (and no shield took the hit).
+    // Swiped cars are marked `scraped` so the same contact only counts once;
+    // cars hit head-on are knocked off the road.
+    function takeHit(state, obstacle) {
+        if (state.health === null) {
+            wreck(state, obstacle, 'collision');
+            return;
+        }
+        const player = state.player;
+        const closing = player.velocityZ + obstacle.movementSpeed;
+        const dx = player.position.x - obstacle.position.x;
+        const overlap = player.hull.halfExtents.x + obstacle.hull.halfExtents.x - Math.abs(dx);
+
+        if (overlap >= SWIPE_OVERLAP) {
+            if (closing >= FATAL_CLOSING_SPEED) {
+                wreck(state, obstacle, 'headOn');
+                return;
+            }
+            state.obstacles.splice(state.obstacles.indexOf(obstacle), 1);
+            player.velocityZ *= IMPACT_SLOWDOWN;
+            hurt(state, obstacle, IMPACT_DAMAGE, 'impact');
+        } else {
+            obstacle.scraped = true;
+            obstacle.nearMissChecked = true; // a scrape is no near miss
+            player.velocityX = (dx < 0 ? -1 : 1) * SWIPE_KNOCK;
+            player.velocityZ *= SWIPE_SLOWDOWN;
+            hurt(state, obstacle, SWIPE_DAMAGE + closing * SWIPE_SPEED_DAMAGE, 'swipe');
+        }
+    }
+
+    function hurt(state, obstacle, amount, kind) {
+        const damage = Math.round(amount);
+        state.health = Math.max(0, state.health - damage);
+        emit(state, 'damage', { obstacleId: obstacle.id, kind, damage, health: state.health });
+        if (state.health === 0) wreck(state, obstacle, 'wrecked');
+    }
+
+    // `cause`: 'headOn', 'wrecked' (out of health) or 'collision' (no damage model)
+    function wreck(state, obstacle, cause) {
+        if (state.health !== null) state.health = 0;
+        state.gameOver = true;
+        emit(state, 'crash', { obstacleId: obstacle.id, cause });
+    }
+
+    return {
+        MAX_HEALTH,
+        createHealth,
+        takeHit
+    };
+});
@@ -1,206 +1,158 @@
-// 3D Car Game Logic - Smooth Free Movement with Advanced Collision Detection
-let scene, camera, renderer, playerCar, engineSound;
-const roadSegments = [], obstacles = [];
-const roadLength = 50;
-let score = 0, gameOver = false, obstacleTimer = 0, obstacleInterval = 120;
-const keys = { 
-    ArrowLeft: false, ArrowRight: false, ArrowUp: false, ArrowDown: false,
-    KeyA: false, KeyD: false, KeyW: false, KeyS: false
+// 3D Car Game Logic - Three.js renderer and DOM HUD around the headless core (core.js)
+let scene, camera, renderer, playerCar;
+// Benchmark mode (?benchmark=400) keeps hundreds of cars on the road and
+// reports the collision-check cost per frame instead of ending the run
+const benchmarkCount = parseInt(new URLSearchParams(location.search).get('benchmark'), 10) || 0;
+// ?seed=N replays the same traffic every run (for reproducing reports)
+const seedParam = parseInt(new URLSearchParams(location.search).get('seed'), 10);
+const wallet = new Wallet();
+// Achievements and daily missions, followed while the player drives
+const achievements = new Achievements(loadStored('carGame.achievements', {}), progress => store('carGame.achievements', progress));
+const TOAST_TIME = 4000; // ms an unlock toast stays up
+let selectedCar = carById(wallet.selected);
+let gameMode = modeById(loadGameMode()); // the mode picked on the main menu
+let replayPlayer = null; // set while watching a replay instead of driving
+// Seed for the next run: ?seed=, a ghost being raced, or undefined for random
+let runSeed = Number.isNaN(seedParam) ? undefined : seedParam;
+let state = createRunState();
+let recorder = new ReplayRecorder(state, selectedCar.id);
+const modeRecords = new Map(); // game mode id -> its high scores and ghosts, see recordsFor()
+// ?leaderboard=URL also submits Endless runs to a shared server (tools/leaderboard-server.js)
+const leaderboardUrl = new URLSearchParams(location.search).get('leaderboard');
+const sharedScores = leaderboardUrl ? new HttpLeaderboardClient(leaderboardUrl) : null;
+const LEADERBOARD_ROWS = 10;
+let playerName = loadPlayerName();
+let ghostRecorder, ghost; // this run's trajectory, and the best one on its seed
+let ghostCar = null;
+let displayedGhost = '';
+let displayedRace = null;
+let checkpointGate; // the arch over the road at the next gate, in Checkpoint Rush
+const LOW_TIME = 10 * 60; // ticks; the clock turns red below this
+startGhost();
+// Scenery gets its own generator so it never shifts the simulation's sequence
+const SCENERY_SEED = 0x9e3779b9;
+let sceneryRandom = createRandom(state.seed ^ SCENERY_SEED);
+const playerModels = new Map(); // model URL -> loaded GLTF scene (or the stand-in), cloned per run
+const PLAYER_MODEL_SCALE = 0.17; // model units to world units
+let frameCollisionTime = 0, averageCollisionTime = 0;
+const roadSegments = [];
+const obstacleMeshes = new Map(); // obstacle id -> THREE.Group
+const pickupMeshes = new Map(); // pickup id -> THREE.Mesh
+const pickupPools = {};
+const PICKUP_KINDS = POWERUP_KINDS.concat('coin');
+let shieldBubble;
+
+// HUD colour per power-up, also used for its pickup mesh
+const POWERUP_COLORS = {
+    shield: 0x1e90ff,
+    nitro: 0xff4500,
+    slowmo: 0x9b59b6,
+    magnet: 0xf1c40f,
+    coin: 0xffd700
 };
 
-// Smooth movement variables (similar to C++ physics)
-let velocityX = 0;
-let velocityZ = 0;
-let positionX = 0;
-let positionZ = 2;
-const maxSpeedX = 0.2; // Reduced from 0.3
-const maxSpeedZ = 0.5; // Reduced from 0.8
-const accelerationX = 0.015; // Reduced from 0.02
-const accelerationZ = 0.01; // Reduced from 0.015
-const frictionX = 0.95;
-const frictionZ = 0.98;
-const dragX = 0.85;
-const dragZ = 0.99;
-
-// Advanced collision detection (C++-style algorithms)
-class CollisionDetector {
-    constructor() {
-        this.boundingBoxes = new Map();
-    }
-
-    // Axis-Aligned Bounding Box (AABB) collision detection
-    checkAABBCollision(obj1, obj2, tolerance = 0.3) {
-        const box1 = this.getBoundingBox(obj1);
-        const box2 = this.getBoundingBox(obj2);
-        
-        return (box1.minX < box2.maxX + tolerance &&
-                box1.maxX > box2.minX - tolerance &&
-                box1.minY < box2.maxY + tolerance &&
-                box1.maxY > box2.minY - tolerance &&
-                box1.minZ < box2.maxZ + tolerance &&
-                box1.maxZ > box2.minZ - tolerance);
-    }
-
-    // Sphere collision detection for more precise collision
-    checkSphereCollision(obj1, obj2, radius1 = 0.3, radius2 = 0.3) {
-        const dx = obj1.position.x - obj2.position.x;
-        const dy = obj1.position.y - obj2.position.y;
-        const dz = obj1.position.z - obj2.position.z;
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-        return distance < (radius1 + radius2);
-    }
-
-    // Separating Axis Theorem (SAT) for oriented bounding boxes
-    checkSATCollision(obj1, obj2) {
-        // Simplified SAT implementation
-        const axes = [
-            [1, 0, 0], [0, 1, 0], [0, 0, 1] // Main axes
-        ];
-        
-        for (let axis of axes) {
-            const proj1 = this.projectOnAxis(obj1, axis);
-            const proj2 = this.projectOnAxis(obj2, axis);
-            
-            if (proj1.max < proj2.min || proj2.max < proj1.min) {
-                return false; // Separating axis found
-            }
-        }
-        return true; // Collision detected
-    }
-
-    projectOnAxis(obj, axis) {
-        // Simplified projection calculation
-        const center = obj.position;
-        const size = 0.5; // Assuming uniform size
-        const dot = center.x * axis[0] + center.y * axis[1] + center.z * axis[2];
-        return { min: dot - size, max: dot + size };
-    }
-
-    getBoundingBox(obj) {
-        const pos = obj.position;
-        const size = 0.4; // Reduced half-width/height/depth for more precise collision
-        return {
-            minX: pos.x - size,
-            maxX: pos.x + size,
-            minY: pos.y - size,
-            maxY: pos.y + size,
-            minZ: pos.z - size,
-            maxZ: pos.z + size
-        };
-    }
+// Everything loaded from files goes through this manager, which drives the
+// loading screen (see preloadAssets)
+const loadingManager = new THREE.LoadingManager();
+// Shared geometry/material/texture cache and object pools (pool.js)
+const assets = new AssetCache(loadingManager);
+let obstaclePool, cloudPool, mountainPool, wheelInstances, headlightInstances, indicatorInstances;
+const INDICATOR_BLINK_TICKS = 20; // indicators toggle three times a second
+let input; // InputManager (input.js), created in init()
+let sound; // SoundManager (sound.js), created in init()
+const graphics = new GraphicsSettings();
+let quality = graphics.current().preset; // the preset being rendered with right now
+let rendererAntialias = null;
+const SHADOW_TYPES = {
+    basic: THREE.BasicShadowMap,
+    pcf: THREE.PCFShadowMap,
+    pcfSoft: THREE.PCFSoftShadowMap
+};
+const touchScreen = window.matchMedia('(pointer: coarse)').matches;
 
-    // Continuous collision detection (CCD) for fast-moving objects
-    checkCCDCollision(obj1, obj2, prevPos1, prevPos2) {
-        // Linear interpolation for collision detection
-        const steps = 10;
-        for (let i = 0; i <= steps; i++) {
-            const t = i / steps;
-            const interpPos1 = this.interpolatePosition(prevPos1, obj1.position, t);
-            const interpPos2 = this.interpolatePosition(prevPos2, obj2.position, t);
-            
-            const dx = interpPos1.x - interpPos2.x;
-            const dy = interpPos1.y - interpPos2.y;
-            const dz = interpPos1.z - interpPos2.z;
-            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-            
-            if (distance < 0.6) { // Reduced collision distance for CCD
-                return true;
-            }
-        }
-        return false;
-    }
+// Fixed-timestep simulation clock. All physics constants in core.js are tuned
+// per 60 Hz tick, so the simulation always advances in SIM_STEP increments no
+// matter how often the browser paints.
+const SIM_STEP = 1000 / 60; // ms per simulation tick
+const MAX_FRAME_TIME = 250; // clamp long frames (tab switches) to avoid a spiral of death
+let accumulator = 0, lastFrameTime = null;
+const cameraRig = new CameraRig(); // camera views (camera.js)
+let displayedCoins = -1;
 
-    interpolatePosition(start, end, t) {
-        return {
-            x: start.x + (end.x - start.x) * t,
-            y: start.y + (end.y - start.y) * t,
-            z: start.z + (end.z - start.z) * t
-        };
-    }
-}
+// Game events from the core (state.events, see scoring.js) by type -> handlers.
+// The HUD, and anything else that reacts to what happens in a run, subscribes
+// here instead of polling the state.
+const gameEventHandlers = {};
+const FLOATER_TIME = 1200; // ms a floating HUD message stays up
 
-const collisionDetector = new CollisionDetector();
+// Application state machine: allowed transitions out of each phase. Every
+// phase keeps rendering; outside 'playing' the scene is frozen behind an overlay.
+const PHASE_TRANSITIONS = {
+    loading: ['menu', 'playing'],
+    menu: ['playing'],
+    playing: ['paused', 'crashing', 'gameover'], // straight to game over when time runs out
+    paused: ['countdown', 'menu'],
+    countdown: ['playing', 'paused'],
+    crashing: ['gameover'], // the crash plays out in slow motion
+    gameover: ['playing', 'menu']
+};
+const RESUME_COUNTDOWN = 3000; // ms
+let phase = 'loading';
+let countdownRemaining = 0;
+
+// Damage and crashes. The core decides what a hit costs (damage.js); the
+// renderer shows it: sooty paint and smoke as health runs low, debris and
+// knocked-away cars on every hit, and a slow-motion crash before game over.
+const CRASH_SEQUENCE = 2500; // ms of slow motion between the crash and the game-over screen
+const CRASH_SLOW_MOTION = 0.3; // how fast the crash plays
+const SOOT = new THREE.Color(0x1a1a1a);
+// By the health left: how sooty the paint is, smoke puffs a second, how
+// dark the smoke is, and the health bar's colour
+const DAMAGE_STAGES = [
+    { health: 67, soot: 0, smoke: 0, darkness: 0, bar: '' },
+    { health: 34, soot: 0.25, smoke: 4, darkness: 0.1, bar: 'low' },
+    { health: 1, soot: 0.45, smoke: 10, darkness: 0.5, bar: 'critical' },
+    { health: 0, soot: 0.65, smoke: 18, darkness: 1, bar: 'critical' }
+];
+let crashEffects; // CrashEffects (crash.js), created in init()
+let crashRemaining = 0;
+let playerPaint = []; // the player car's own materials, with their undamaged colours
+const looseCars = new Map(); // obstacle id -> mesh of a car knocked off the road (gone from the core)
+const crashPoint = new THREE.Vector3();
+const crashVelocity = new THREE.Vector3();
+const crashSpin = new THREE.Vector3();
+const previousPoint = new THREE.Vector3();
 
 // Global arrays to track environmental objects
 const clouds = [];
 const mountains = [];
 let lastCloudSpawnZ = 0;
 let lastMountainSpawnZ = -200;
+// Roadside props (scenery.js), themed by the biome they stand in (biomes.js)
+const props = [];
+const propPools = {};
+const PROP_AHEAD = 200; // props are placed this far ahead of the player
+let nextPropZ = { '-1': 0, '1': 0 }; // next free spot along each side of the road
+let displayedBiome = null;
+const biomeColor = new THREE.Color();
+let atmosphere, ground;
+const GROUND_Y = -0.5;
+// Placed like the player car but unscaled and facing down the road; carries its headlights
+const headlightRig = new THREE.Object3D();
 
-// Day environment creation
-function createDayEnvironment() {
-    // Sky gradient (day sky) - reduced polygon count
-    const skyGeometry = new THREE.SphereGeometry(500, 16, 16);
-    const skyMaterial = new THREE.ShaderMaterial({
-        uniforms: {
-            topColor: { value: new THREE.Color(0x87CEEB) }, // Sky blue
-            bottomColor: { value: new THREE.Color(0xE0F6FF) }, // Light blue
-            offset: { value: 33 },
-            exponent: { value: 0.6 }
-        },
-        vertexShader: `
-            varying vec3 vWorldPosition;
-            void main() {
-                vec4 worldPosition = modelMatrix * vec4(position, 1.0);
-                vWorldPosition = worldPosition.xyz;
-                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-            }
-        `,
-        fragmentShader: `
-            uniform vec3 topColor;
-            uniform vec3 bottomColor;
-            uniform float offset;
-            uniform float exponent;
-            varying vec3 vWorldPosition;
-            void main() {
-                float h = normalize(vWorldPosition + offset).y;
-                gl_FragColor = vec4(mix(bottomColor, topColor, max(pow(max(h, 0.0), exponent), 0.0)), 1.0);
-            }
-        `,
-        side: THREE.BackSide
-    });
-    const sky = new THREE.Mesh(skyGeometry, skyMaterial);
-    scene.add(sky);
-
-    // Sun (bright directional light) - optimized shadows
-    const sunLight = new THREE.DirectionalLight(0xffffff, 1.0);
-    sunLight.position.set(50, 100, 50);
-    sunLight.castShadow = true;
-    sunLight.shadow.mapSize.width = 1024; // Reduced shadow map size
-    sunLight.shadow.mapSize.height = 1024;
-    sunLight.shadow.camera.near = 0.5;
-    sunLight.shadow.camera.far = 200; // Reduced far distance
-    sunLight.shadow.camera.left = -50;
-    sunLight.shadow.camera.right = 50;
-    sunLight.shadow.camera.top = 50;
-    sunLight.shadow.camera.bottom = -50;
-    sunLight.shadow.bias = -0.0001;
-    scene.add(sunLight);
-
-    // Ambient light for overall illumination
-    const ambientLight = new THREE.AmbientLight(0x87CEEB, 0.4);
-    scene.add(ambientLight);
-
-    // Sun sphere (visible sun in the sky) - reduced polygons
-    const sunGeometry = new THREE.SphereGeometry(10, 8, 8);
-    const sunMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0xffff00,
-        emissive: 0xffff00,
-        emissiveIntensity: 0.5
-    });
-    const sun = new THREE.Mesh(sunGeometry, sunMaterial);
-    sun.position.set(50, 80, 50);
-    scene.add(sun);
+// Sky, lights and weather (atmosphere.js), ground and scenery
+function createEnvironment() {
+    atmosphere = new Atmosphere(scene);
 
-    // Ground plane (grass/terrain)
+    // Ground plane, coloured and textured by updateBiome()
     const groundGeometry = new THREE.PlaneGeometry(1000, 1000);
     const groundMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0x90EE90, // Light green
+        color: BIOMES[0].ground.color,
         side: THREE.DoubleSide
     });
-    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    ground = new THREE.Mesh(groundGeometry, groundMaterial);
     ground.rotation.x = -Math.PI / 2;
-    ground.position.y = -0.5;
+    ground.position.y = GROUND_Y;
     ground.receiveShadow = true;
     scene.add(ground);
 
@@ -209,274 +161,492 @@ function createDayEnvironment() {
 
     // Add initial distant mountains/hills
     createInitialMountains();
+
+    createInitialProps();
 }
 
-// Create initial floating clouds
-function createInitialClouds() {
-    const cloudGeometry = new THREE.SphereGeometry(5, 6, 6); // Reduced polygons
-    const cloudMaterial = new THREE.MeshLambertMaterial({ 
+// Shared cloud meshes - reduced polygons
+function buildCloud() {
+    const cloudGeometry = assets.geometry('cloud', () => new THREE.SphereGeometry(5, 6, 6));
+    const cloudMaterial = assets.material('cloud', () => new THREE.MeshLambertMaterial({ 
         color: 0xffffff,
         transparent: true,
         opacity: 0.8
-    });
+    }));
+    return new THREE.Mesh(cloudGeometry, cloudMaterial);
+}
+
+// Backdrop shapes on the horizon; createMountain() gives each its biome's look
+function buildMountain() {
+    const backdrop = BIOMES[0].backdrop;
+    const mountain = new THREE.Mesh(backdropGeometry(backdrop.shape, assets), backdropMaterial(backdrop.color, assets));
+    mountain.receiveShadow = true;
+    return mountain;
+}
 
+// Create initial floating clouds
+function createInitialClouds() {
     for (let i = 0; i < 6; i++) { // Reduced number of clouds
-        const cloud = new THREE.Mesh(cloudGeometry, cloudMaterial);
-        cloud.position.set(
-            (Math.random() - 0.5) * 200,
-            30 + Math.random() * 20,
-            (Math.random() - 0.5) * 200
-        );
-        cloud.scale.set(
-            1 + Math.random() * 0.5,
-            0.5 + Math.random() * 0.3,
-            1 + Math.random() * 0.5
-        );
-        clouds.push(cloud);
-        scene.add(cloud);
+        createCloud((sceneryRandom() - 0.5) * 200);
     }
     lastCloudSpawnZ = 0;
 }
 
 // Create initial distant mountains
 function createInitialMountains() {
-    const mountainGeometry = new THREE.ConeGeometry(20, 40, 6); // Reduced polygons
-    const mountainMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0x8B4513, // Brown
-        transparent: true,
-        opacity: 0.7
-    });
-
     for (let i = 0; i < 3; i++) { // Reduced number of mountains
-        const mountain = new THREE.Mesh(mountainGeometry, mountainMaterial);
-        mountain.position.set(
-            (Math.random() - 0.5) * 300,
-            20,
-            -200 - Math.random() * 100
-        );
-        mountain.scale.set(
-            1 + Math.random() * 0.5,
-            1 + Math.random() * 0.5,
-            1 + Math.random() * 0.5
-        );
-        mountain.receiveShadow = true;
-        mountains.push(mountain);
-        scene.add(mountain);
+        createMountain(-200 - sceneryRandom() * 100);
     }
     lastMountainSpawnZ = -200;
 }
 
-// Create a single cloud at specific position
-function createCloud(zPosition) {
-    const cloudGeometry = new THREE.SphereGeometry(5, 6, 6); // Reduced polygons
-    const cloudMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0xffffff,
-        transparent: true,
-        opacity: 0.8
-    });
+// Line the road with props from just behind the camera
+function createInitialProps() {
+    nextPropZ = { '-1': 30, '1': 30 };
+    spawnProps(state.player.position.z);
+}
 
-    const cloud = new THREE.Mesh(cloudGeometry, cloudMaterial);
-    cloud.position.set(
-        (Math.random() - 0.5) * 200,
-        30 + Math.random() * 20,
-        zPosition
-    );
+// Place a pooled cloud at specific position
+function createCloud(zPosition) {
+    const cloud = cloudPool.acquire(scene);
+    state.road.toWorld((sceneryRandom() - 0.5) * 200, 0, zPosition, cloud.position);
+    cloud.position.y += 30 + sceneryRandom() * 20;
+    cloud.userData.roadZ = zPosition;
     cloud.scale.set(
-        1 + Math.random() * 0.5,
-        0.5 + Math.random() * 0.3,
-        1 + Math.random() * 0.5
+        1 + sceneryRandom() * 0.5,
+        0.5 + sceneryRandom() * 0.3,
+        1 + sceneryRandom() * 0.5
     );
     clouds.push(cloud);
-    scene.add(cloud);
 }
 
-// Create a single mountain at specific position
+// Place a pooled mountain (or mesa, or tower) at specific position
 function createMountain(zPosition) {
-    const mountainGeometry = new THREE.ConeGeometry(20, 40, 6); // Reduced polygons
-    const mountainMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0x8B4513, // Brown
-        transparent: true,
-        opacity: 0.7
-    });
-
-    const mountain = new THREE.Mesh(mountainGeometry, mountainMaterial);
-    mountain.position.set(
-        (Math.random() - 0.5) * 300,
-        20,
-        zPosition
-    );
+    const mountain = mountainPool.acquire(scene);
+    const backdrop = pickBiome(-zPosition, sceneryRandom()).backdrop;
+    mountain.geometry = backdropGeometry(backdrop.shape, assets);
+    mountain.material = backdropMaterial(backdrop.color, assets);
+    state.road.toWorld((sceneryRandom() - 0.5) * 300, 0, zPosition, mountain.position);
+    mountain.position.y = GROUND_Y;
+    mountain.userData.roadZ = zPosition;
     mountain.scale.set(
-        1 + Math.random() * 0.5,
-        1 + Math.random() * 0.5,
-        1 + Math.random() * 0.5
+        1 + sceneryRandom() * 0.5,
+        1 + sceneryRandom() * 0.5,
+        1 + sceneryRandom() * 0.5
     );
-    mountain.receiveShadow = true;
     mountains.push(mountain);
-    scene.add(mountain);
+}
+
+// Fill both sides of the road with props up to PROP_AHEAD (scaled by the
+// draw distance) in front of the player, each spot themed by the biome it
+// falls in
+function spawnProps(playerZ) {
+    [-1, 1].forEach(side => {
+        while (nextPropZ[side] > playerZ - PROP_AHEAD * quality.drawDistance) {
+            const z = nextPropZ[side];
+            const biome = pickBiome(-z, sceneryRandom());
+            if (sceneryRandom() < biome.props.density * quality.sceneryDensity) {
+                createProp(pickPropKind(biome.props.kinds, sceneryRandom()), side, z);
+            }
+            nextPropZ[side] -= biome.props.spacing * (0.6 + sceneryRandom() * 0.8);
+        }
+    });
+}
+
+// Weighted pick from a biome's { kind: weight } table; `roll` is in [0, 1)
+function pickPropKind(kinds, roll) {
+    const names = Object.keys(kinds);
+    let pick = roll * names.reduce((total, name) => total + kinds[name], 0);
+    return names.find(name => (pick -= kinds[name]) < 0) || names[names.length - 1];
+}
+
+function createProp(kind, side, zPosition) {
+    const prop = propPools[kind].acquire(scene);
+    const [nearest, furthest] = PROP_SETBACKS[kind];
+    const x = side * (nearest + sceneryRandom() * (furthest - nearest));
+    state.road.toWorld(x, 0, zPosition, prop.position);
+    prop.position.y = groundHeightAt(Math.abs(x), prop.position.y);
+    // Lamp posts reach over the road; everything else faces any way
+    const yaw = kind === 'lampPost' ? (side < 0 ? Math.PI : 0) : sceneryRandom() * Math.PI * 2;
+    prop.rotation.set(0, state.road.frameAt(-zPosition).yaw + yaw, 0);
+    varyProp(prop, sceneryRandom, assets);
+    prop.userData.roadZ = zPosition;
+    props.push(prop);
+}
+
+// Height of the verge (VERGE_CROSS_SECTION) `offset` units from the
+// centreline, where the road itself is at `roadY`
+function groundHeightAt(offset, roadY) {
+    const [, , edge, outer] = VERGE_CROSS_SECTION; // the right-hand side; both are alike
+    const t = Math.min(1, Math.max(0, (offset - edge.x) / (outer.x - edge.x)));
+    return roadY + edge.y + (GROUND_Y - roadY - edge.y) * t;
 }
 
 // Update environment - spawn new elements and remove old ones
 function updateEnvironment() {
     if (!playerCar) return;
     
-    const playerZ = playerCar.position.z;
+    const playerZ = state.player.position.z;
+    
+    // Draw distance and density follow the graphics quality
+    const distance = quality.drawDistance;
+    const cloudSpacing = 150 / quality.sceneryDensity;
     
     // Spawn new clouds ahead - reduced frequency
-    if (playerZ - lastCloudSpawnZ < -150) {
-        createCloud(playerZ - 200);
-        lastCloudSpawnZ = playerZ - 150;
+    if (playerZ - lastCloudSpawnZ < -cloudSpacing) {
+        createCloud(playerZ - 200 * distance);
+        lastCloudSpawnZ = playerZ - cloudSpacing;
     }
     
     // Spawn new mountains ahead - reduced frequency
     if (playerZ - lastMountainSpawnZ < -200) {
-        createMountain(playerZ - 250);
+        createMountain(playerZ - 250 * distance);
         lastMountainSpawnZ = playerZ - 200;
     }
+
+    spawnProps(playerZ);
     
     // Remove clouds that are too far behind - more aggressive cleanup
     for (let i = clouds.length - 1; i >= 0; i--) {
-        if (clouds[i].position.z > playerZ + 80) {
-            scene.remove(clouds[i]);
+        if (clouds[i].userData.roadZ > playerZ + 80 * distance) {
+            cloudPool.release(clouds[i]);
             clouds.splice(i, 1);
         }
     }
     
     // Remove mountains that are too far behind - more aggressive cleanup
     for (let i = mountains.length - 1; i >= 0; i--) {
-        if (mountains[i].position.z > playerZ + 120) {
-            scene.remove(mountains[i]);
+        if (mountains[i].userData.roadZ > playerZ + 120 * distance) {
+            mountainPool.release(mountains[i]);
             mountains.splice(i, 1);
         }
     }
+
+    for (let i = props.length - 1; i >= 0; i--) {
+        if (props[i].userData.roadZ > playerZ + 30 * distance) {
+            propPools[props[i].userData.kind].release(props[i]);
+            props.splice(i, 1);
+        }
+    }
+
+    updateBiome(playerZ);
+}
+
+// Blend the ground and the daytime sky into the next biome as the player
+// nears it, and announce each new one
+function updateBiome(playerZ) {
+    const { biome, next, blend } = biomeAt(-playerZ);
+    const groundColor = ground.material.color;
+    groundColor.setHex(biome.ground.color).lerp(biomeColor.setHex(next.ground.color), blend);
+    vergeMaterial().color.copy(groundColor);
+    atmosphere.daySky.top.setHex(biome.sky.top).lerp(biomeColor.setHex(next.sky.top), blend);
+    atmosphere.daySky.bottom.setHex(biome.sky.bottom).lerp(biomeColor.setHex(next.sky.bottom), blend);
+
+    const current = blend < 0.5 ? biome : next;
+    const map = groundTexture(current);
+    if (ground.material.map !== map) {
+        ground.material.map = map;
+        ground.material.needsUpdate = true;
+    }
+    if (current !== displayedBiome) {
+        if (displayedBiome) showFloater(current.name.toUpperCase(), 'biome');
+        displayedBiome = current;
+    }
 }
 
 function init() {
     scene = new THREE.Scene();
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.BasicShadowMap; // Lighter shadow mapping
-    renderer.toneMapping = THREE.LinearToneMapping; // Simpler tone mapping
-    renderer.toneMappingExposure = 1.0;
-    renderer.outputEncoding = THREE.sRGBEncoding;
-    document.body.appendChild(renderer.domElement);
 
-    // Create day environment
-    createDayEnvironment();
+    // Pools and instanced parts share the cached assets
+    cloudPool = new ObjectPool(buildCloud);
+    mountainPool = new ObjectPool(buildMountain);
+    PROP_KINDS.forEach(kind => {
+        propPools[kind] = new ObjectPool(() => buildProp(kind, assets));
+    });
+    obstaclePool = new ObjectPool(() => buildObstacleGroup(obstaclePaintMaterial(BIOMES[0].vehicles[0])));
+    wheelInstances = new InstancedPart(scene, obstacleWheelGeometry(), obstacleWheelMaterial(), 128);
+    headlightInstances = new InstancedPart(scene, obstacleHeadlightGeometry(), obstacleHeadlightMaterial(), 64);
+    indicatorInstances = new InstancedPart(scene, obstacleIndicatorGeometry(), obstacleIndicatorMaterial(), 16);
+    PICKUP_KINDS.forEach(kind => {
+        pickupPools[kind] = new ObjectPool(() => buildPickup(kind), kind === 'coin' ? 32 : 8);
+    });
+    createPowerupHud();
+    crashEffects = new CrashEffects(scene);
+    checkpointGate = buildCheckpointGate();
+    scene.add(checkpointGate);
+
+    // Sky, ground and scenery, then the renderer and shadows to match the graphics settings
+    createEnvironment();
+    applyGraphics();
 
     // Road segments
-    for (let i = 0; i < 3; i++) {
-        roadSegments.push(createRoadSegment(-i * roadLength));
-    }
+    state.roadSegments.forEach(z => {
+        roadSegments.push(createRoadSegment(z));
+    });
+
+    // Collide against the real obstacle geometry
+    setCollisionHull('obstacle', measureHull(buildObstacleGroup(obstaclePaintMaterial(BIOMES[0].vehicles[0]))));
 
-    // Car model
-    const loader = new THREE.GLTFLoader();
-    loader.load('assets/cartoon_car.glb', function (gltf) {
-        playerCar = gltf.scene;
-        playerCar.scale.set(0.17, 0.17, 0.17);
-        playerCar.position.set(positionX, 0.25, positionZ);
-        playerCar.rotation.y = Math.PI;
-        playerCar.castShadow = true;
-        scene.add(playerCar);
+    // Wait for the car model and textures; benchmark runs skip the menu
+    preloadAssets(() => {
+        hideLoadingScreen();
+        setPhase(benchmarkCount ? 'playing' : 'menu');
+        animate();
     });
 
-    // Camera setup
+    // Camera setup (renderFrame keeps it behind the player from then on)
     camera.position.set(0, 3, 10);
     camera.lookAt(0, 0, -50);
 
     // Event listeners
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
+    input = new InputManager();
+    input.onPause = togglePause;
+    input.onCamera = cycleCamera;
+    input.attachTouchControls(document.getElementById('touch-controls'));
     window.addEventListener('resize', onWindowResize);
+    document.getElementById('player-name').value = playerName;
+    showGameMode();
+    window.addEventListener('blur', () => {
+        if (phase === 'playing' || phase === 'countdown') setPhase('paused');
+    });
 
-    // Audio
-    engineSound = new Audio('assets/sound.mp3');
-    engineSound.loop = true;
+    // Audio starts on the first click or key press
+    sound = new SoundManager();
+}
+
+// Calls onReady once the selected car and every file the scene has asked
+// for so far have loaded, or failed and been replaced by a stand-in.
+// Progress is shown on the loading screen.
+function preloadAssets(onReady) {
+    let carReady = false, filesLoaded = false;
+    const finish = () => {
+        if (!carReady || !filesLoaded) return;
+        loadingManager.onProgress = () => {};
+        loadingManager.onLoad = () => {};
+        onReady();
+    };
+    // The manager only reports its item counts to onProgress, once per finished item
+    let itemsLoaded = 0, itemsTotal = 0;
+    loadingManager.onProgress = (url, loaded, total) => {
+        itemsLoaded = loaded;
+        itemsTotal = total;
+        showLoadingProgress(loaded, total);
+    };
+    loadingManager.onError = url => console.warn(`Could not load ${url}`);
+    loadingManager.onLoad = () => {
+        filesLoaded = true;
+        finish();
+    };
+    preparePlayerCar(selectedCar, () => {
+        carReady = true;
+        finish();
+    }, (loaded, total) => {
+        // Byte progress of the model, as a share of its one item (which
+        // counts towards the total even before any item has finished)
+        showLoadingProgress(itemsLoaded + Math.min(loaded / total, 1), Math.max(itemsTotal, itemsLoaded + 1));
+    });
+}
+
+// Antialiasing is fixed when the WebGL context is created, so changing it
+// takes a new renderer
+function createRenderer(antialias) {
+    if (renderer) {
+        assets.dispose(); // the old context's copies; the new renderer uploads its own
+        renderer.dispose();
+        renderer.domElement.remove();
+    }
+    renderer = new THREE.WebGLRenderer({ antialias });
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.toneMapping = THREE.LinearToneMapping; // Simpler tone mapping
+    renderer.toneMappingExposure = 1.0;
+    renderer.outputEncoding = THREE.sRGBEncoding;
+    document.body.appendChild(renderer.domElement);
+    rendererAntialias = antialias;
+}
 
-    // Score update
-    setInterval(updateScore, 100);
+// Render with the current graphics quality (graphics.js). Antialiasing
+// follows the chosen preset only: adaptive quality leaves it alone rather
+// than recreating the renderer mid-run.
+function applyGraphics() {
+    const antialias = presetById(graphics.preset).antialias;
+    if (antialias !== rendererAntialias) createRenderer(antialias);
+    const { preset, renderScale } = graphics.current();
+    quality = preset;
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, preset.pixelRatio) * renderScale);
+    renderer.setSize(window.innerWidth, window.innerHeight);
 
-    animate();
+    const shadows = preset.shadows !== 'off';
+    if (renderer.shadowMap.enabled !== shadows || (shadows && renderer.shadowMap.type !== SHADOW_TYPES[preset.shadows])) {
+        renderer.shadowMap.enabled = shadows;
+        if (shadows) renderer.shadowMap.type = SHADOW_TYPES[preset.shadows];
+        // Shadow code is compiled into every material's shader
+        assets.materials.forEach(material => {
+            material.needsUpdate = true;
+        });
+        scene.traverse(object => {
+            if (object.material) [].concat(object.material).forEach(material => {
+                material.needsUpdate = true;
+            });
+        });
+    }
+    atmosphere.setShadowQuality(shadows, preset.shadowMapSize);
 }
 
-function handleKeyDown(e) {
-    // Support both arrow keys and WASD
-    if (e.key === 'a' || e.key === 'A') keys.KeyA = true;
-    else if (e.key === 'd' || e.key === 'D') keys.KeyD = true;
-    else if (e.key === 'w' || e.key === 'W') keys.KeyW = true;
-    else if (e.key === 's' || e.key === 'S') keys.KeyS = true;
-    else keys[e.key] = true;
-    e.preventDefault();
+// Escape/P or Start toggles pause
+function togglePause() {
+    if (controlsOpen() || soundSettingsOpen() || graphicsSettingsOpen()) return;
+    if (phase === 'playing' || phase === 'countdown') setPhase('paused');
+    else if (phase === 'paused') setPhase('countdown');
 }
 
-function handleKeyUp(e) {
-    // Support both arrow keys and WASD
-    if (e.key === 'a' || e.key === 'A') keys.KeyA = false;
-    else if (e.key === 'd' || e.key === 'D') keys.KeyD = false;
-    else if (e.key === 'w' || e.key === 'W') keys.KeyW = false;
-    else if (e.key === 's' || e.key === 'S') keys.KeyS = false;
-    else keys[e.key] = false;
-    e.preventDefault();
+// C/V or Y changes the view, while driving
+function cycleCamera() {
+    if (phase !== 'playing' && phase !== 'countdown') return;
+    showFloater(`CAMERA: ${cameraRig.cycle().label.toUpperCase()}`, 'camera');
 }
 
+// A road segment is a strip of tarmac plus grass verges that slope from the
+// road's edge down to the ground, both bent along the road by bendRoadSegment()
+const ROAD_ROWS = 16; // rows of vertices along each segment
+const VERGE_CROSS_SECTION = [
+    { x: -20, y: null }, // null: down at ground level
+    { x: -5, y: -0.01 },
+    { x: 5, y: -0.01 },
+    { x: 20, y: null }
+];
+
 function createRoadSegment(zPosition) {
-    const roadGeometry = new THREE.PlaneGeometry(10, roadLength);
-    const roadTexture = new THREE.TextureLoader().load('assets/road2.jpg');
-    roadTexture.wrapS = THREE.RepeatWrapping;
-    roadTexture.wrapT = THREE.RepeatWrapping;
-    roadTexture.repeat.set(1, 5);
-    const roadMaterial = new THREE.MeshLambertMaterial({ 
-        map: roadTexture
+    const roadTexture = assets.texture('assets/road2.jpg', texture => {
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.repeat.set(1, 5);
     });
-    const road = new THREE.Mesh(roadGeometry, roadMaterial);
-    road.rotation.x = -Math.PI / 2;
-    road.position.z = zPosition;
-    road.position.y = 0.01; // Slightly above ground to prevent z-fighting
+    const roadMaterial = assets.material('road', () => new THREE.MeshLambertMaterial({ 
+        map: roadTexture
+    }));
+    // Every segment bends differently, so each gets its own geometry
+    const road = new THREE.Mesh(
+        new THREE.PlaneGeometry(10, roadLength, 1, ROAD_ROWS).rotateX(-Math.PI / 2), roadMaterial);
     road.receiveShadow = true;
-    scene.add(road);
-    return road;
-}
-
-// Simplified obstacle materials for better performance
-const obstacleMaterials = [
-    new THREE.MeshLambertMaterial({ color: 0xff0000 }),
-    new THREE.MeshLambertMaterial({ color: 0xff6600 }),
-    new THREE.MeshLambertMaterial({ color: 0xcc0000 }),
-    new THREE.MeshLambertMaterial({ color: 0x990000 }),
-    new THREE.MeshLambertMaterial({ color: 0xff3300 }),
-    new THREE.MeshLambertMaterial({ color: 0x0066cc }),
-    new THREE.MeshLambertMaterial({ color: 0x00cc66 }),
-    new THREE.MeshLambertMaterial({ color: 0xcc6600 })
-];
+    const verge = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, roadLength, VERGE_CROSS_SECTION.length - 1, ROAD_ROWS).rotateX(-Math.PI / 2), vergeMaterial());
+    verge.receiveShadow = true;
+    
+    const segment = new THREE.Group();
+    segment.add(road, verge);
+    segment.userData = { road, verge, z: null, layout: null };
+    bendRoadSegment(segment, zPosition);
+    scene.add(segment);
+    return segment;
+}
+
+// Shared by every segment; updateBiome() keeps it the colour of the ground
+function vergeMaterial() {
+    return assets.material('verge', () => new THREE.MeshLambertMaterial({ 
+        color: BIOMES[0].ground.color
+    }));
+}
+
+// Lay a segment centred on road coordinate z along the current road
+function bendRoadSegment(segment, zPosition) {
+    const columns = VERGE_CROSS_SECTION.length;
+    const point = {};
+    [segment.userData.road, segment.userData.verge].forEach(mesh => {
+        const geometry = mesh.geometry;
+        const positions = geometry.attributes.position;
+        if (!geometry.userData.flat) geometry.userData.flat = positions.array.slice();
+        const flat = geometry.userData.flat;
+        for (let i = 0; i < positions.count; i++) {
+            const z = zPosition + flat[i * 3 + 2];
+            if (mesh === segment.userData.road) {
+                state.road.toWorld(flat[i * 3], 0.01, z, point); // slightly above the verge
+            } else {
+                const edge = VERGE_CROSS_SECTION[i % columns];
+                state.road.toWorld(edge.x, edge.y === null ? 0 : edge.y, z, point);
+                if (edge.y === null) point.y = GROUND_Y;
+            }
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere(); // keeps frustum culling right
+    });
+    segment.userData.z = zPosition;
+    segment.userData.layout = state.road;
+}
 
-function createObstacle(zOffset) {
+// Obstacle paint, one shared material per colour of the biomes' traffic
+function obstaclePaintMaterial(color) {
+    return assets.material(`obstacle-paint-${color}`, () => new THREE.MeshLambertMaterial({ color }));
+}
+
+// Wheels (cylinders) and headlights (small spheres) - reduced polygons.
+// Every car shares these and they are drawn instanced (see InstancedPart).
+function obstacleWheelGeometry() {
+    return assets.geometry('obstacle-wheel', () => new THREE.CylinderGeometry(0.2, 0.2, 0.1, 6));
+}
+
+function obstacleWheelMaterial() {
+    return assets.material('obstacle-wheel', () => new THREE.MeshLambertMaterial({ 
+        color: 0x222222
+    }));
+}
+
+function obstacleHeadlightGeometry() {
+    return assets.geometry('obstacle-headlight', () => new THREE.SphereGeometry(0.1, 6, 4));
+}
+
+function obstacleHeadlightMaterial() {
+    return assets.material('obstacle-headlight', () => new THREE.MeshLambertMaterial({ 
+        color: 0xffff00, 
+        emissive: 0xffff00, 
+        emissiveIntensity: 0.3
+    }));
+}
+
+// Amber indicators, only drawn while a car signals a lane change
+function obstacleIndicatorGeometry() {
+    return assets.geometry('obstacle-indicator', () => new THREE.BoxGeometry(0.12, 0.1, 0.12));
+}
+
+function obstacleIndicatorMaterial() {
+    return assets.material('obstacle-indicator', () => new THREE.MeshBasicMaterial({ 
+        color: 0xffa500
+    }));
+}
+
+// Empty marker for an instanced part; remembers its geometry so the car's
+// bounds still include it
+function createPartAnchor(geometry, x, y, z) {
+    const anchor = new THREE.Object3D();
+    anchor.position.set(x, y, z);
+    anchor.userData.instancedGeometry = geometry;
+    return anchor;
+}
+
+function buildObstacleGroup(bodyMaterial) {
     // Create a car-like obstacle using basic Three.js geometries
     const carGroup = new THREE.Group();
     
     // Car body (main rectangle)
-    const bodyGeometry = new THREE.BoxGeometry(1.2, 0.4, 2);
-    const bodyMaterial = obstacleMaterials[Math.floor(Math.random() * obstacleMaterials.length)];
+    const bodyGeometry = assets.geometry('obstacle-body', () => new THREE.BoxGeometry(1.2, 0.4, 2));
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.position.y = 0.2;
     carGroup.add(body);
+    carGroup.userData.body = body;
     
     // Car roof (smaller rectangle on top)
-    const roofGeometry = new THREE.BoxGeometry(0.8, 0.3, 1.2);
-    const roofMaterial = new THREE.MeshLambertMaterial({ 
+    const roofGeometry = assets.geometry('obstacle-roof', () => new THREE.BoxGeometry(0.8, 0.3, 1.2));
+    const roofMaterial = assets.material('obstacle-roof', () => new THREE.MeshLambertMaterial({ 
         color: 0x333333
-    });
+    }));
     const roof = new THREE.Mesh(roofGeometry, roofMaterial);
     roof.position.y = 0.55;
     roof.position.z = -0.2;
     carGroup.add(roof);
     
-    // Wheels (4 cylinders) - reduced polygons
-    const wheelGeometry = new THREE.CylinderGeometry(0.2, 0.2, 0.1, 6);
-    const wheelMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0x222222
-    });
-    
+    // Wheels (4 cylinders)
     const wheelPositions = [
         { x: -0.6, y: 0.2, z: 0.6 },   // Front left
         { x: 0.6, y: 0.2, z: 0.6 },    // Front right
@@ -484,240 +654,1397 @@ function createObstacle(zOffset) {
         { x: 0.6, y: 0.2, z: -0.6 }    // Back right
     ];
     
-    wheelPositions.forEach(pos => {
-        const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+    carGroup.userData.wheels = wheelPositions.map(pos => {
+        const wheel = createPartAnchor(obstacleWheelGeometry(), pos.x, pos.y, pos.z);
         wheel.rotation.z = Math.PI / 2; // Rotate to stand upright
-        wheel.position.set(pos.x, pos.y, pos.z);
         carGroup.add(wheel);
+        return wheel;
     });
     
-    // Headlights (small spheres) - reduced polygons
-    const headlightGeometry = new THREE.SphereGeometry(0.1, 6, 4);
-    const headlightMaterial = new THREE.MeshLambertMaterial({ 
-        color: 0xffff00, 
-        emissive: 0xffff00, 
-        emissiveIntensity: 0.3
-    });
-    
-    const leftHeadlight = new THREE.Mesh(headlightGeometry, headlightMaterial);
-    leftHeadlight.position.set(-0.4, 0.3, 1.1);
-    carGroup.add(leftHeadlight);
+    // Headlights
+    const leftHeadlight = createPartAnchor(obstacleHeadlightGeometry(), -0.4, 0.3, 1.1);
+    const rightHeadlight = createPartAnchor(obstacleHeadlightGeometry(), 0.4, 0.3, 1.1);
+    carGroup.add(leftHeadlight, rightHeadlight);
+    carGroup.userData.headlights = [leftHeadlight, rightHeadlight];
     
-    const rightHeadlight = new THREE.Mesh(headlightGeometry, headlightMaterial);
-    rightHeadlight.position.set(0.4, 0.3, 1.1);
-    carGroup.add(rightHeadlight);
+    // Indicators at the four corners, grouped by side (-x / +x)
+    carGroup.userData.indicators = { '-1': [], '1': [] };
+    [-1, 1].forEach(side => {
+        [1.0, -1.0].forEach(z => {
+            const indicator = createPartAnchor(obstacleIndicatorGeometry(), side * 0.55, 0.35, z);
+            carGroup.add(indicator);
+            carGroup.userData.indicators[side].push(indicator);
+        });
+    });
     
-    // Random position within road bounds
-    const randomX = (Math.random() - 0.5) * 8;
-    carGroup.position.set(randomX, 0, zOffset);
-    carGroup.rotation.y = Math.PI; // Face towards the player
+    return carGroup;
+}
+
+function createObstacleMesh(obstacle) {
+    const carGroup = obstaclePool.acquire(scene);
+    // Paint from the biome the car appears in, picked from the id so a
+    // replay shows the same colours
+    const vehicles = pickBiome(-obstacle.position.z, (Math.imul(obstacle.id, 0x85ebca6b) >>> 0) / 2 ** 32).vehicles;
+    carGroup.userData.body.material = obstaclePaintMaterial(vehicles[(Math.imul(obstacle.id, 0x9e3779b1) >>> 0) % vehicles.length]);
+    placeOnRoad(carGroup, obstacle.position.x, 0, obstacle.position.z, obstacle.rotation.y);
     carGroup.castShadow = true;
     carGroup.receiveShadow = true;
-    
-    // Add movement properties - move straight towards player (no horizontal movement)
-    carGroup.movementSpeed = 0.03 + Math.random() * 0.04; // Random speed between 0.03-0.07
-    carGroup.initialX = randomX;
-    
-    obstacles.push(carGroup);
-    scene.add(carGroup);
+    return carGroup;
 }
 
-function spawnObstacles() {
-    if (!playerCar) return;
-    const zOffset = playerCar.position.z - roadLength * 3;
-    // Reduce number of obstacles: now only 1 or 2 per spawn
-    const numObstacles = Math.floor(Math.random() * 2) + 1; // 1-2 obstacles
-    for (let i = 0; i < numObstacles; i++) {
-        createObstacle(zOffset - i * 18); // Slightly more spaced out
-    }
+// Copy every car's wheel, headlight and blinking indicator anchors into the instanced meshes
+function updateInstancedParts() {
+    const blinkOn = Math.floor(state.tick / INDICATOR_BLINK_TICKS) % 2 === 0;
+    wheelInstances.begin();
+    headlightInstances.begin();
+    indicatorInstances.begin();
+    const addParts = carGroup => {
+        carGroup.updateMatrixWorld(true);
+        carGroup.userData.wheels.forEach(wheel => wheelInstances.add(wheel.matrixWorld));
+        carGroup.userData.headlights.forEach(light => headlightInstances.add(light.matrixWorld));
+    };
+    state.obstacles.forEach(obstacle => {
+        const carGroup = obstacleMeshes.get(obstacle.id);
+        addParts(carGroup);
+        if (obstacle.signal !== 0 && blinkOn) {
+            carGroup.userData.indicators[obstacle.signal].forEach(light => indicatorInstances.add(light.matrixWorld));
+        }
+    });
+    looseCars.forEach(addParts);
+    wheelInstances.end();
+    headlightInstances.end();
+    indicatorInstances.end();
 }
 
-function updateScore() {
-    if (gameOver) return;
-    if (velocityZ > 0) {
-        score += Math.floor(velocityZ * 15);
-        document.getElementById('score-text').textContent = `Score: ${score}`;
+// Load (once per model URL) and place the selected car, then call onReady.
+// A model that fails to load is replaced by a stand-in built like the traffic.
+function preparePlayerCar(car, onReady, onProgress) {
+    if (playerModels.has(car.model)) {
+        usePlayerModel(playerModels.get(car.model), car);
+        onReady();
+        return;
     }
+    const useModel = model => {
+        playerModels.set(car.model, model);
+        usePlayerModel(model, car);
+        onReady();
+    };
+    const loader = new THREE.GLTFLoader(loadingManager);
+    loader.load(car.model, gltf => useModel(gltf.scene), event => {
+        if (onProgress && event.lengthComputable) onProgress(event.loaded, event.total);
+    }, error => {
+        console.warn(`Car model ${car.model} could not be loaded, using a stand-in`, error);
+        useModel(buildStandInCar());
+    });
 }
 
-// Advanced collision detection using multiple algorithms
-function checkCollision() {
-    if (!playerCar) return;
+// The traffic's car, in model units, with real wheels and headlights
+// (the traffic draws those instanced) and no indicators
+function buildStandInCar() {
+    const car = buildObstacleGroup(assets.material('stand-in-paint', () => new THREE.MeshLambertMaterial({
+        color: 0xf5f5f5
+    })));
+    const realParts = [[car.userData.wheels, obstacleWheelMaterial()], [car.userData.headlights, obstacleHeadlightMaterial()]];
+    realParts.forEach(([anchors, material]) => anchors.forEach(anchor => {
+        anchor.add(new THREE.Mesh(anchor.userData.instancedGeometry, material));
+        delete anchor.userData.instancedGeometry;
+    }));
+    Object.values(car.userData.indicators).forEach(indicators => indicators.forEach(indicator => car.remove(indicator)));
+    car.userData = {}; // clone() copies userData as JSON
+    car.scale.setScalar(1 / PLAYER_MODEL_SCALE);
+    const model = new THREE.Group();
+    model.add(car);
+    return model;
+}
+
+// Swap in a fresh copy of a loaded model as the player car
+function usePlayerModel(template, car) {
+    if (playerCar) scene.remove(playerCar);
+    playerPaint.forEach(paint => paint.material.dispose()); // the previous car's own copies
+    playerCar = template.clone(true);
+    // Its own materials, so paint and damage leave the loaded model intact
+    playerPaint = [];
+    playerCar.traverse(child => {
+        if (child.isMesh) {
+            child.material = child.material.clone();
+            playerPaint.push({ material: child.material, color: child.material.color });
+        }
+    });
+    applyTint(playerCar, car.tint);
+    playerPaint.forEach(paint => { paint.color = paint.material.color.clone(); });
+    playerCar.scale.setScalar(PLAYER_MODEL_SCALE);
+    playerCar.position.set(state.player.position.x, 0.25, state.player.position.z);
+    playerCar.rotation.y = Math.PI;
+    playerCar.castShadow = true;
+    setCollisionHull('player', measureHull(playerCar));
+    scene.add(playerCar);
     
-    const prevPlayerPos = { x: positionX, y: 0.25, z: positionZ };
+    // Translucent bubble shown while the shield is up, sized to the car
+    const hull = state.player.hull;
+    if (!shieldBubble) {
+        shieldBubble = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 12),
+            new THREE.MeshLambertMaterial({ color: POWERUP_COLORS.shield, transparent: true, opacity: 0.3, depthWrite: false })
+        );
+        shieldBubble.visible = false;
+        scene.add(shieldBubble);
+    }
+    shieldBubble.scale.setScalar(Math.max(hull.halfExtents.x, hull.halfExtents.z) * 1.4);
     
-    obstacles.forEach((obstacle, index) => {
-        const prevObstaclePos = { 
-            x: obstacle.position.x, 
-            y: obstacle.position.y, 
-            z: obstacle.position.z 
-        };
-        
-        // Move obstacle forward (cars coming towards player)
-        obstacle.position.z += obstacle.movementSpeed;
-        
-        // Update obstacle movement (currently no horizontal movement)
-        updateObstacleMovement(obstacle);
-        
-        // Multiple collision detection methods
-        let collision = false;
-        
-        // Method 1: AABB collision
-        if (collisionDetector.checkAABBCollision(playerCar, obstacle, 0.2)) {
-            collision = true;
+    // The ghost is a see-through copy of the same model
+    if (ghostCar) scene.remove(ghostCar);
+    ghostCar = playerCar.clone(true);
+    const ghostMaterial = assets.material('ghost', () => new THREE.MeshLambertMaterial({
+        color: 0xaaccff, transparent: true, opacity: 0.35, depthWrite: false
+    }));
+    ghostCar.traverse(child => {
+        if (child.isMesh) {
+            child.material = ghostMaterial;
+            child.castShadow = false;
         }
-        
-        // Method 2: Sphere collision (more precise)
-        if (collisionDetector.checkSphereCollision(playerCar, obstacle, 0.4, 0.4)) {
-            collision = true;
+    });
+    ghostCar.visible = false;
+    scene.add(ghostCar);
+}
+
+// Repaint a garage variant (on materials of its own)
+function applyTint(model, tint) {
+    if (tint === null) return;
+    const color = new THREE.Color(tint);
+    model.traverse(child => {
+        if (child.isMesh) child.material.color.lerp(color, 0.6);
+    });
+}
+
+// Checkpoint Rush gate: two posts and a glowing banner spanning the road
+function buildCheckpointGate() {
+    const gate = new THREE.Group();
+    const material = assets.material('gate', () => new THREE.MeshLambertMaterial({ color: 0xff9f43, emissive: 0xff6b00, emissiveIntensity: 0.5 }));
+    const post = assets.geometry('gate-post', () => new THREE.BoxGeometry(0.3, 4.4, 0.3));
+    [-5.4, 5.4].forEach(x => {
+        const mesh = new THREE.Mesh(post, material);
+        mesh.position.set(x, 2.2, 0);
+        mesh.castShadow = true;
+        gate.add(mesh);
+    });
+    const banner = new THREE.Mesh(assets.geometry('gate-banner', () => new THREE.BoxGeometry(11.1, 0.8, 0.2)), material);
+    banner.position.y = 4.4;
+    gate.add(banner);
+    gate.visible = false;
+    return gate;
+}
+
+// Pickups: a distinct spinning shape per power-up, gold discs for coins
+function buildPickup(kind) {
+    const geometry = assets.geometry(`pickup-${kind}`, () => {
+        switch (kind) {
+            case 'coin': return new THREE.CylinderGeometry(0.3, 0.3, 0.06, 12).rotateX(Math.PI / 2);
+            case 'shield': return new THREE.IcosahedronGeometry(0.35, 0);
+            case 'nitro': return new THREE.CylinderGeometry(0.2, 0.2, 0.6, 8);
+            case 'slowmo': return new THREE.OctahedronGeometry(0.35, 0);
+            default: return new THREE.TorusGeometry(0.3, 0.08, 6, 12, Math.PI); // magnet
         }
-        
-        // Method 3: Continuous collision detection for fast movement
-        if (Math.abs(velocityZ) > 0.3) {
-            if (collisionDetector.checkCCDCollision(playerCar, obstacle, prevPlayerPos, prevObstaclePos)) {
-                collision = true;
-            }
+    });
+    const material = assets.material(`pickup-${kind}`, () => new THREE.MeshLambertMaterial({ 
+        color: POWERUP_COLORS[kind],
+        emissive: POWERUP_COLORS[kind],
+        emissiveIntensity: 0.5
+    }));
+    return new THREE.Mesh(geometry, material);
+}
+
+// Mirror the core's pickup list, like syncObstacles()
+function syncPickups() {
+    const alive = new Set();
+    state.pickups.forEach(pickup => {
+        alive.add(pickup.id);
+        if (!pickupMeshes.has(pickup.id)) {
+            const mesh = pickupPools[pickup.kind].acquire(scene);
+            mesh.userData.kind = pickup.kind;
+            pickupMeshes.set(pickup.id, mesh);
         }
-        
-        if (collision) {
-            gameOver = true;
-            // Show game over screen with enhanced UI
-            document.getElementById('game-over-overlay').style.display = 'block';
-            document.getElementById('game-over-text').style.display = 'block';
-            document.getElementById('final-score').textContent = `Final Score: ${score}`;
-            document.getElementById('final-score').style.display = 'block';
-            document.getElementById('restart-btn').style.display = 'block';
-            document.getElementById('instructions').style.display = 'none';
-            if (!engineSound.paused) engineSound.pause();
+    });
+    pickupMeshes.forEach((mesh, id) => {
+        if (!alive.has(id)) {
+            pickupPools[mesh.userData.kind].release(mesh);
+            pickupMeshes.delete(id);
         }
-        
-        // Remove obstacles that are out of view
-        if (obstacle.position.z > playerCar.position.z + 15) {
-            scene.remove(obstacle);
-            obstacles.splice(index, 1);
+    });
+}
+
+// One timer chip per power-up next to the score
+function createPowerupHud() {
+    const hud = document.getElementById('powerup-hud');
+    POWERUP_KINDS.forEach(kind => {
+        const timer = document.createElement('div');
+        timer.className = 'powerup-timer';
+        timer.id = `powerup-${kind}`;
+        timer.style.setProperty('--powerup-color', `#${POWERUP_COLORS[kind].toString(16).padStart(6, '0')}`);
+        timer.innerHTML = '<span class="powerup-label"></span><div class="powerup-bar"></div>';
+        hud.appendChild(timer);
+    });
+}
+
+function updatePowerupHud() {
+    POWERUP_KINDS.forEach(kind => {
+        const ticks = state.effects[kind];
+        const timer = document.getElementById(`powerup-${kind}`);
+        timer.style.display = ticks > 0 ? 'block' : 'none';
+        if (ticks > 0) {
+            const seconds = Math.ceil(ticks * SIM_STEP / 1000);
+            timer.querySelector('.powerup-label').textContent = `${POWERUPS[kind].label} ${seconds}s`;
+            timer.querySelector('.powerup-bar').style.width = `${ticks / POWERUPS[kind].duration * 100}%`;
         }
     });
 }
 
-// Update obstacle movement - cars move straight towards player
-function updateObstacleMovement(obstacle) {
-    // Cars move straight towards the player (no horizontal movement)
-    // The forward movement is handled in checkCollision() with obstacle.movementSpeed
-    // Each obstacle has its own speed for variety
+// Bounds of an object in its own local frame, as a collision hull for the core
+function measureHull(object) {
+    const position = object.position.clone();
+    const rotation = object.rotation.clone();
+    object.position.set(0, 0, 0);
+    object.rotation.set(0, 0, 0);
+    object.updateMatrixWorld(true);
+    
+    const box = new THREE.Box3().setFromObject(object);
+    object.traverse(child => {
+        const geometry = child.userData.instancedGeometry;
+        if (geometry) {
+            if (!geometry.boundingBox) geometry.computeBoundingBox();
+            box.union(geometry.boundingBox.clone().applyMatrix4(child.matrixWorld));
+        }
+    });
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    
+    object.position.copy(position);
+    object.rotation.copy(rotation);
+    object.updateMatrixWorld(true);
+    return {
+        halfExtents: { x: size.x / 2, y: size.y / 2, z: size.z / 2 },
+        offset: { x: center.x, y: center.y, z: center.z }
+    };
 }
 
-function updateRoad() {
-    roadSegments.forEach((segment) => {
-        if (playerCar && playerCar.position.z - segment.position.z < -roadLength) {
-            segment.position.z -= roadLength * roadSegments.length;
-            spawnObstacles();
+// Mirror the core's obstacle list: add meshes for new cars, drop meshes for removed ones
+function syncObstacles() {
+    const alive = new Set();
+    state.obstacles.forEach(obstacle => {
+        alive.add(obstacle.id);
+        if (!obstacleMeshes.has(obstacle.id)) {
+            obstacleMeshes.set(obstacle.id, createObstacleMesh(obstacle));
+        }
+    });
+    obstacleMeshes.forEach((mesh, id) => {
+        if (!alive.has(id)) {
+            obstaclePool.release(mesh);
+            obstacleMeshes.delete(id);
         }
     });
 }
 
-// Smooth physics-based movement (C++-style)
-function updateMovement() {
-    if (!playerCar) return;
+// Road meshes follow the segments the core leapfrogs forward, re-bent
+// whenever one moves (or a new run brings a new road)
+function syncRoad() {
+    state.roadSegments.forEach((z, i) => {
+        const segment = roadSegments[i];
+        if (segment.userData.z !== z || segment.userData.layout !== state.road) bendRoadSegment(segment, z);
+    });
+}
+
+// Put an object at road coordinates: on the curve, turned and tilted with
+// the road, plus its own heading `yaw` on top
+const roadFrame = {};
+const roadEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+const localTurn = new THREE.Quaternion();
+const UP = new THREE.Vector3(0, 1, 0);
+
+function placeOnRoad(object, x, y, z, yaw) {
+    state.road.toWorld(x, y, z, object.position);
+    const frame = state.road.frameAt(-z, roadFrame);
+    roadEuler.set(frame.pitch, frame.yaw, 0);
+    object.quaternion.setFromEuler(roadEuler).multiply(localTurn.setFromAxisAngle(UP, yaw));
+}
+
+// Sky, sun and ground are centred on the camera so the world never runs
+// out, whichever way the road turns
+function updateAtmosphere(frameTime) {
+    ground.position.x = camera.position.x;
+    ground.position.z = camera.position.z;
+    // The ground's texture stays put on the world as the plane moves under it
+    // (the plane's v runs along -z)
+    const groundMap = ground.material.map;
+    if (groundMap) {
+        const { width, height } = ground.geometry.parameters;
+        groundMap.offset.set(
+            ground.position.x / width * groundMap.repeat.x % 1,
+            -ground.position.z / height * groundMap.repeat.y % 1
+        );
+    }
+    atmosphere.update(timeOfDay(state), state.weather, camera, playerCar, frameTime);
+    obstacleHeadlightMaterial().emissiveIntensity = 0.3 + 0.7 * atmosphere.night;
+    lampBulbMaterial(assets).emissiveIntensity = 0.2 + atmosphere.night;
     
-    // Horizontal movement (left/right) - Support both arrow keys and WASD
-    if (keys.ArrowLeft || keys.KeyA) {
-        velocityX -= accelerationX;
-    } else if (keys.ArrowRight || keys.KeyD) {
-        velocityX += accelerationX;
+    // After dark the player's headlights come on, and so do real lights on
+    // the oncoming cars closest ahead
+    atmosphere.placePlayerHeadlights(headlightRig);
+    const playerZ = state.player.position.z;
+    const ahead = state.obstacles
+        .filter(obstacle => obstacle.position.z < playerZ)
+        .sort((a, b) => b.position.z - a.position.z)
+        .slice(0, OBSTACLE_LIGHTS)
+        .map(obstacle => obstacleMeshes.get(obstacle.id));
+    atmosphere.placeObstacleHeadlights(ahead);
+}
+
+// One fixed simulation tick (SIM_STEP ms of game time)
+function simulationTick() {
+    const tickInput = replayPlayer ? replayPlayer.next() : input.read();
+    recorder.record(tickInput);
+    
+    step(state, tickInput);
+    dispatchGameEvents(state.events);
+    announceGoals(achievements.track(state, tickInput));
+    updateSound(tickInput);
+    ghostRecorder.record(state);
+    updateEnvironment();
+    if (state.profile) frameCollisionTime += state.profile.collisionTime;
+}
+
+// Engine note from the player's speed and throttle, and the passing traffic
+function updateSound(tickInput) {
+    const player = state.player;
+    sound.updateEngine(Math.min(1, player.velocityZ / state.physics.maxSpeedZ), tickInput.throttle);
+    const playerZ = player.position.z;
+    const nearest = state.obstacles
+        .filter(obstacle => Math.abs(obstacle.position.z - playerZ) < TRAFFIC_RANGE)
+        .sort((a, b) => Math.abs(a.position.z - playerZ) - Math.abs(b.position.z - playerZ))
+        .slice(0, TRAFFIC_VOICES);
+    sound.updateTraffic(motionOf(player), nearest.map(motionOf));
+}
+
+// Position and per-tick velocity in road coordinates
+function motionOf(object) {
+    return {
+        x: object.position.x,
+        z: object.position.z,
+        vx: object.position.x - object.prevPosition.x,
+        vz: object.position.z - object.prevPosition.z
+    };
+}
+
+// Live gap to the ghost: distance along the road and score
+function updateGhostHud() {
+    let text = '';
+    if (ghost) {
+        if (!ghost.isRunning(state.tick)) {
+            text = state.race.timeLeft === null ? 'Ghost: crashed' : 'Ghost: finished';
+        } else {
+            const sample = ghost.at(state.tick);
+            const distance = sample.z - state.player.position.z; // further down the road is ahead
+            const score = state.score - sample.score;
+            const sign = value => (value >= 0 ? '+' : '');
+            text = `Ghost: ${sign(distance)}${distance.toFixed(1)} m | ${sign(score)}${score}`;
+        }
+    }
+    if (text === displayedGhost) return;
+    displayedGhost = text;
+    const ghostText = document.getElementById('ghost-text');
+    ghostText.textContent = text;
+    ghostText.style.display = text ? 'block' : 'none';
+    ghostText.classList.toggle('behind', text.startsWith('Ghost: -'));
+}
+
+// The mode's clock, gates and clean streak, for modes that have them
+function updateRaceHud() {
+    const race = state.race;
+    const parts = [];
+    if (state.mode.checkpoints) parts.push(`Gates: ${race.gates}`);
+    if (state.mode.scoring === 'clean') parts.push(`Clean x${race.clean}`);
+    if (race.timeLeft !== null) parts.push(formatClock(race.timeLeft));
+    const text = parts.join(' | ');
+    if (text === displayedRace) return;
+    displayedRace = text;
+    const raceText = document.getElementById('race-text');
+    raceText.textContent = text;
+    raceText.style.display = text ? 'block' : 'none';
+    raceText.classList.toggle('low', race.timeLeft !== null && race.timeLeft < LOW_TIME);
+}
+
+// Ticks as m:ss, rounded up so the clock shows 0:00 only once time is up
+function formatClock(ticks) {
+    const seconds = Math.ceil(ticks / TICKS_PER_SECOND);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// How the run went, in the terms of its mode
+function modeResult() {
+    const { distance } = runSummary(state);
+    switch (state.mode.id) {
+        case 'timeTrial':
+            return `Distance: ${distance} m | Score: ${state.score}`;
+        case 'checkpoints':
+            return `Gates: ${state.race.gates} | Distance: ${distance} m | Score: ${state.score}`;
+        default:
+            return `Final Score: ${state.score}`;
+    }
+}
+
+function onGameEvent(type, handler) {
+    if (!gameEventHandlers[type]) gameEventHandlers[type] = [];
+    gameEventHandlers[type].push(handler);
+}
+
+function dispatchGameEvents(events) {
+    events.forEach(event => {
+        (gameEventHandlers[event.type] || []).forEach(handler => handler(event));
+    });
+}
+
+function showScore(total) {
+    document.getElementById('score-text').textContent = `Score: ${total}`;
+}
+
+function showCombo(multiplier) {
+    const comboText = document.getElementById('combo-text');
+    comboText.textContent = `Combo x${multiplier}`;
+    comboText.style.display = multiplier > 0 ? 'block' : 'none';
+}
+
+// Text that rises and fades above the car, e.g. "+NEAR MISS x3"
+function showFloater(text, className) {
+    const floater = document.createElement('div');
+    floater.className = `floater ${className}`;
+    floater.textContent = text;
+    document.getElementById('hud-floaters').appendChild(floater);
+    setTimeout(() => floater.remove(), FLOATER_TIME);
+}
+
+function clearFloaters() {
+    document.getElementById('hud-floaters').innerHTML = '';
+}
+
+// A toast for each achievement unlocked or mission completed
+function announceGoals(completed) {
+    completed.forEach(({ kind, goal }) => {
+        showToast(kind === 'achievement' ? 'Achievement unlocked' : 'Daily mission complete', goal.label);
+        sound.play('pickup');
+    });
+}
+
+function showToast(heading, text) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    const title = document.createElement('small');
+    title.textContent = heading;
+    toast.append(title, text);
+    document.getElementById('toasts').appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_TIME);
+}
+
+onGameEvent('score', event => showScore(event.total));
+onGameEvent('nearMiss', event => {
+    showCombo(event.multiplier);
+    showFloater(event.multiplier > 1 ? `+NEAR MISS x${event.multiplier}` : '+NEAR MISS', 'near-miss');
+});
+onGameEvent('comboDecay', event => showCombo(event.multiplier));
+onGameEvent('comboReset', event => {
+    showCombo(0);
+    if (event.reason === 'brake') showFloater('COMBO LOST', 'combo-lost');
+});
+// Rain makes the road slippery, so warn when it sets in
+const WEATHER_MESSAGES = { rain: 'RAIN - SLIPPERY ROAD', fog: 'FOG AHEAD', clear: 'SKIES CLEARING' };
+onGameEvent('weather', event => showFloater(WEATHER_MESSAGES[event.kind], 'weather'));
+onGameEvent('checkpoint', event => showFloater(`CHECKPOINT +${event.extension} s`, 'checkpoint'));
+onGameEvent('cleanStreak', event => showFloater(`CLEAN x${event.multiplier}`, 'near-miss'));
+onGameEvent('cleanLost', () => showFloater('STREAK LOST', 'combo-lost'));
+onGameEvent('timeUp', () => showFloater('TIME UP', 'checkpoint'));
+onGameEvent('nearMiss', () => sound.play('pass'));
+onGameEvent('pickup', () => sound.play('pickup'));
+
+// A hit the car survived: debris, a jolt, and a car hit head-on is shoved off the road
+onGameEvent('damage', event => {
+    const swipe = event.kind === 'swipe';
+    showDamage();
+    showFloater(`-${event.damage} ${swipe ? 'SIDESWIPE' : 'IMPACT'}`, 'damage');
+    sound.play(swipe ? 'scrape' : 'crash');
+    const carGroup = obstacleMeshes.get(event.obstacleId);
+    const velocity = playerVelocity(crashVelocity);
+    crashEffects.burst(contactPoint(carGroup), velocity, carGroup.userData.body.material.color, swipe ? 6 : 16);
+    crashEffects.shake(swipe ? 0.15 : 0.35);
+    if (!swipe) knockAway(event.obstacleId, velocity.multiplyScalar(0.8).setY(4));
+});
+
+// The shield bats the car aside
+onGameEvent('shieldHit', event => {
+    crashEffects.shake(0.2);
+    knockAway(event.obstacleId, playerVelocity(crashVelocity).setY(6));
+});
+
+// The run is over: both cars tumble, and the game-over screen waits for them
+onGameEvent('crash', event => {
+    sound.play('crash');
+    showDamage();
+    const carGroup = obstacleMeshes.get(event.obstacleId) || looseCars.get(event.obstacleId);
+    const velocity = playerVelocity(crashVelocity);
+    crashEffects.burst(contactPoint(carGroup), velocity, carGroup.userData.body.material.color, 24);
+    crashEffects.shake(0.6);
+    if (event.cause === 'wrecked') {
+        // Worn out rather than stopped dead: the car spins out
+        crashEffects.tumble(playerCar, velocity.clone().multiplyScalar(0.6).setY(2), crashSpin.set(0, 6, 0.5));
     } else {
-        velocityX *= frictionX;
+        crashEffects.tumble(playerCar, velocity.clone().multiplyScalar(0.3).setY(7), randomSpin(5));
+        crashEffects.tumble(carGroup, velocity.clone().multiplyScalar(0.6).setY(5), randomSpin(4));
     }
+});
+
+// The player's world velocity in units per second
+function playerVelocity(target) {
+    const motion = motionOf(state.player);
+    state.road.toWorld(motion.x - motion.vx, 0, motion.z - motion.vz, previousPoint);
+    return state.road.toWorld(motion.x, 0, motion.z, target).sub(previousPoint).multiplyScalar(1000 / SIM_STEP);
+}
+
+// Halfway between the player and the car they hit
+function contactPoint(carGroup) {
+    const player = state.player;
+    state.road.toWorld(player.position.x, 0.6, player.position.z, crashPoint);
+    return crashPoint.lerp(carGroup.position, 0.5);
+}
+
+function randomSpin(speed) {
+    return crashSpin.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).multiplyScalar(speed * 2);
+}
+
+// A car shoved off the road has left the core, so its mesh is looked after
+// here until it has finished tumbling
+function knockAway(id, velocity) {
+    const carGroup = obstacleMeshes.get(id);
+    obstacleMeshes.delete(id);
+    looseCars.set(id, carGroup);
+    crashEffects.tumble(carGroup, velocity, randomSpin(4), () => {
+        looseCars.delete(id);
+        obstaclePool.release(carGroup);
+    });
+}
+
+function damageStage() {
+    if (state.health === null) return DAMAGE_STAGES[state.gameOver ? DAMAGE_STAGES.length - 1 : 0];
+    return DAMAGE_STAGES.find(stage => state.health >= stage.health);
+}
+
+// Soot on the paint and the health bar, to match the health left
+function showDamage() {
+    const stage = damageStage();
+    playerPaint.forEach(paint => paint.material.color.copy(paint.color).lerp(SOOT, stage.soot));
+    setOverlay('health-bar', state.health !== null && state.mode.collisions !== 'none');
+    const fill = document.getElementById('health-fill');
+    fill.style.width = `${(state.health || 0) / MAX_HEALTH * 100}%`;
+    fill.className = stage.bar;
+}
+
+// Crash effects run on in slow motion after a crash, and stop while paused
+function updateCrashEffects(frameTime) {
+    if (phase !== 'playing' && phase !== 'crashing' && phase !== 'gameover') return;
+    const dt = frameTime / 1000 * (phase === 'crashing' ? CRASH_SLOW_MOTION : 1);
+    const stage = damageStage();
+    if (stage.smoke && playerCar) {
+        crashPoint.copy(playerCar.position).y += 0.8;
+        crashEffects.smoke(crashPoint, stage.smoke, stage.darkness, dt);
+    }
+    crashEffects.update(dt);
+}
+
+function updateHud() {
+    if (state.coins !== displayedCoins) {
+        displayedCoins = state.coins;
+        document.getElementById('coin-text').textContent = `Coins: ${state.coins}`;
+    }
+    updatePowerupHud();
+    updateGhostHud();
+    updateRaceHud();
     
-    // Apply drag and limits
-    velocityX = Math.max(Math.min(velocityX, maxSpeedX), -maxSpeedX);
-    velocityX *= dragX;
+    if (state.profile) {
+        // Exponential moving average keeps the readout steady
+        averageCollisionTime += (frameCollisionTime - averageCollisionTime) * 0.05;
+        frameCollisionTime = 0;
+        const benchmarkText = document.getElementById('benchmark-text');
+        benchmarkText.style.display = 'block';
+        benchmarkText.textContent = `Collision: ${averageCollisionTime.toFixed(3)} ms/frame | ` +
+            `${state.profile.candidates}/${state.obstacles.length} cars tested | hits: ${state.profile.collisions}`;
+    }
+}
+
+// Place meshes between the previous and current simulation states
+function renderFrame(alpha, frameTime) {
+    syncObstacles();
+    syncPickups();
+    syncRoad();
     
-    // Vertical movement (forward/backward) - Support both arrow keys and WASD
-    if (keys.ArrowUp || keys.KeyW) {
-        velocityZ += accelerationZ;
-        if (engineSound.paused) engineSound.play();
-    } else if (keys.ArrowDown || keys.KeyS) {
-        velocityZ -= accelerationZ * 2;
-    } else {
-        velocityZ *= frictionZ;
+    const lerp = (previous, current) => previous + (current - previous) * alpha;
+    const player = state.player;
+    if (playerCar) {
+        const playerX = lerp(player.prevPosition.x, player.position.x);
+        const playerZ = lerp(player.prevPosition.z, player.position.z);
+        if (!crashEffects.isTumbling(playerCar)) placeOnRoad(playerCar, playerX, 0.25, playerZ, Math.PI);
+        placeOnRoad(headlightRig, playerX, 0.25, playerZ, 0);
+        
+        cameraRig.update(camera, state.road, {
+            x: playerX,
+            z: playerZ,
+            speed: Math.min(1, player.velocityZ / speedCap(state.physics.maxSpeedZ, state.score, speedCapBonus(state))),
+            sway: player.velocityX / state.physics.maxSpeedX,
+            car: playerCar
+        }, frameTime);
+        crashEffects.applyShake(camera);
     }
     
-    // Apply drag and limits
-    velocityZ = Math.max(Math.min(velocityZ, maxSpeedZ + score * 0.0001), 0);
-    velocityZ *= dragZ;
+    state.obstacles.forEach(obstacle => {
+        const carGroup = obstacleMeshes.get(obstacle.id);
+        if (crashEffects.isTumbling(carGroup)) return;
+        placeOnRoad(carGroup,
+            lerp(obstacle.prevPosition.x, obstacle.position.x), 0,
+            lerp(obstacle.prevPosition.z, obstacle.position.z), obstacle.rotation.y);
+    });
     
-    // Update positions
-    positionX += velocityX;
-    positionZ -= velocityZ;
+    const spin = state.tick * SIM_STEP / 1000 * 3;
+    state.pickups.forEach(pickup => {
+        placeOnRoad(pickupMeshes.get(pickup.id),
+            lerp(pickup.prevPosition.x, pickup.position.x),
+            pickup.position.y + Math.sin(spin + pickup.id) * 0.1,
+            lerp(pickup.prevPosition.z, pickup.position.z), spin);
+    });
     
-    // Boundary checking
-    positionX = Math.max(Math.min(positionX, 4.5), -4.5);
+    if (ghostCar) {
+        ghostCar.visible = ghost !== null && ghost.isRunning(state.tick);
+        if (ghostCar.visible) {
+            const sample = ghost.at(state.tick - 1 + alpha);
+            placeOnRoad(ghostCar, sample.x, 0.25, sample.z, Math.PI);
+        }
+    }
+    
+    checkpointGate.visible = state.race.nextGate !== null;
+    if (checkpointGate.visible) placeOnRoad(checkpointGate, 0, 0, -state.race.nextGate, 0);
     
-    // Apply to car model
-    playerCar.position.x = positionX;
-    playerCar.position.z = positionZ;
+    if (shieldBubble) {
+        shieldBubble.visible = state.effects.shield > 0;
+        shieldBubble.position.copy(playerCar.position);
+        shieldBubble.position.y += state.player.hull.offset.y;
+    }
+    updateInstancedParts(); // also brings the car matrices up to date for their headlights
+    updateAtmosphere(frameTime);
     
-    // Smooth camera following
-    camera.position.x += (positionX - camera.position.x) * 0.1;
-    camera.position.z = positionZ + 8;
+    updateHud();
+    renderer.render(scene, camera);
 }
 
-function animate() {
-    if (gameOver) return;
+function animate(now) {
     requestAnimationFrame(animate);
+    if (now === undefined) return; // first call comes from init(), not rAF
+    
+    if (lastFrameTime === null) lastFrameTime = now;
+    const frameTime = Math.min(now - lastFrameTime, MAX_FRAME_TIME);
+    lastFrameTime = now;
+    input.pollButtons();
     
-    updateMovement();
+    // Adaptive quality watches how long frames take while driving
+    if (phase === 'playing' && graphics.sampleFrame(frameTime)) applyGraphics();
     
-    // Progressive difficulty
-    obstacleTimer++;
-    let minInterval = 40; // Increased from 30 to make it slightly easier
-    let dynamicInterval = Math.max(obstacleInterval - Math.floor(score / 100) * 3, minInterval); // Slower difficulty increase
-    if (obstacleTimer > dynamicInterval) {
-        spawnObstacles();
-        obstacleTimer = 0;
+    // The simulation only advances while playing
+    if (phase === 'playing') {
+        accumulator += frameTime;
+        while (accumulator >= SIM_STEP && !state.gameOver) {
+            simulationTick();
+            accumulator -= SIM_STEP;
+        }
+        if (state.gameOver) setPhase(state.race.timeUp ? 'gameover' : 'crashing');
+    } else if (phase === 'crashing') {
+        crashRemaining -= frameTime;
+        if (crashRemaining <= 0) setPhase('gameover');
+    } else if (phase === 'countdown') {
+        countdownRemaining -= frameTime;
+        document.getElementById('countdown').textContent = Math.ceil(countdownRemaining / 1000);
+        if (countdownRemaining <= 0) setPhase('playing');
     }
+    updateCrashEffects(frameTime);
     
-    updateRoad();
-    updateEnvironment();
-    checkCollision();
-    renderer.render(scene, camera);
+    renderFrame(accumulator / SIM_STEP, frameTime);
+}
+
+// A fresh core state for a run with the selected car
+function createRunState() {
+    if (replayPlayer) return createReplayState(replayPlayer.replay);
+    return new GameState({
+        seed: runSeed,
+        mode: gameMode.id,
+        benchmark: benchmarkCount,
+        profile: benchmarkCount > 0,
+        handling: selectedCar.handling
+    });
+}
+
+// Put everything back to the start of a run without reloading the page
+function resetRun() {
+    state = createRunState();
+    recorder = new ReplayRecorder(state, selectedCar.id);
+    startGhost();
+    startGoals();
+    sceneryRandom = createRandom(state.seed ^ SCENERY_SEED);
+    syncObstacles(); // releases every car and pickup back to the pools
+    syncPickups();
+    syncRoad();
+    crashEffects.reset(); // after the sync, which has released the car hit head-on
+    showDamage();
+    
+    clouds.forEach(cloud => cloudPool.release(cloud));
+    mountains.forEach(mountain => mountainPool.release(mountain));
+    props.forEach(prop => propPools[prop.userData.kind].release(prop));
+    clouds.length = 0;
+    mountains.length = 0;
+    props.length = 0;
+    createInitialClouds();
+    createInitialMountains();
+    createInitialProps();
+    displayedBiome = null;
+    
+    cameraRig.reset(state.player.position.x);
+    accumulator = 0;
+    displayedCoins = -1;
+    displayedRace = null;
+    showScore(0);
+    showCombo(0);
+    clearFloaters();
+}
+
+// Record this run and race the best earlier run on the same seed, if any
+function startGhost() {
+    ghostRecorder = new GhostRecorder(state, selectedCar.id);
+    ghost = state.benchmark ? null : recordsFor(state.mode).ghosts.get(state.seed);
+}
+
+// Goals count the runs the player drives, not replays or benchmarks
+function startGoals() {
+    if (!replayPlayer && !state.benchmark) achievements.startRun();
+}
+
+function setOverlay(id, visible) {
+    document.getElementById(id).style.display = visible ? 'block' : 'none';
+}
+
+function showGameOver(visible) {
+    setOverlay('game-over-overlay', visible);
+    setOverlay('game-over-text', visible);
+    setOverlay('final-score', visible);
+    setOverlay('restart-btn', visible);
+    setOverlay('garage-btn', visible);
+    setOverlay('menu-btn', visible);
+    setOverlay('replay-btn', visible);
+}
+
+// Move between phases, updating overlays and sound on the way in
+function setPhase(next) {
+    if (!PHASE_TRANSITIONS[phase].includes(next)) {
+        console.warn(`Ignoring phase change ${phase} -> ${next}`);
+        return;
+    }
+    const previous = phase;
+    phase = next;
+
+    setOverlay('menu', next === 'menu');
+    setOverlay('pause-menu', next === 'paused');
+    setOverlay('countdown', next === 'countdown');
+    setOverlay('instructions', (next === 'playing' || next === 'countdown') && !replayPlayer);
+    setOverlay('replay-badge', next !== 'menu' && replayPlayer !== null);
+    setOverlay('touch-controls', (next === 'playing' || next === 'countdown') && !replayPlayer && touchScreen);
+    if (next !== 'gameover') showGameOver(false);
+    if (next !== 'playing') sound.silence();
+
+    switch (next) {
+        case 'menu':
+            // A run quit from the pause menu still counts towards the goals
+            announceGoals(achievements.finishRun(false));
+            break;
+        case 'playing':
+            // A new run unless we are resuming after the countdown
+            if (previous === 'menu' || previous === 'gameover') resetRun();
+            break;
+        case 'paused':
+            // Keys released while the game wasn't listening would stay held
+            input.releaseAll();
+            break;
+        case 'countdown':
+            countdownRemaining = RESUME_COUNTDOWN;
+            break;
+        case 'crashing':
+            crashRemaining = CRASH_SEQUENCE;
+            cameraRig.show('crash');
+            break;
+        case 'gameover':
+            document.getElementById('game-over-text').textContent = state.race.timeUp ? 'TIME UP' : 'GAME OVER';
+            if (replayPlayer) {
+                // Watching a replay earns nothing
+                document.getElementById('final-score').textContent = `Replay Score: ${state.score}`;
+                showLeaderboard(sharedScoresFor(state.mode) || recordsFor(state.mode).scores, null);
+            } else {
+                if (state.benchmark) showLeaderboard(recordsFor(state.mode).scores, null);
+                else submitRun(runSubmission());
+                wallet.deposit(state.coins);
+                announceGoals(achievements.finishRun(true));
+                const newGhost = !state.benchmark && recordsFor(state.mode).ghosts.offer(ghostRecorder.toJSON(state));
+                document.getElementById('final-score').textContent =
+                    `${modeResult()} | Coins: +${state.coins} (${wallet.coins} total)` +
+                    (newGhost && ghost ? ' | New best ghost!' : '');
+            }
+            // Show game over screen with enhanced UI, circling the wreck
+            showGameOver(true);
+            cameraRig.show('orbit');
+            break;
+    }
+}
+
+// Start a new run, first swapping the player car if the garage selection changed
+function startRun() {
+    document.getElementById('menu-message').textContent = '';
+    replayPlayer = null;
+    driveCar(carById(wallet.selected));
+}
+
+// Watch a recorded run in the recorded car
+function startReplay(replay) {
+    replayPlayer = new ReplayPlayer(replay);
+    driveCar(carById(replay.car));
+}
+
+function driveCar(car) {
+    if (car.id === selectedCar.id) {
+        setPhase('playing');
+        return;
+    }
+    selectedCar = car;
+    preparePlayerCar(car, () => setPhase('playing'));
+}
+
+// Offer data to the user as a .json download
+function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Let the user pick a JSON file and hand its text to onText
+function chooseJSONFile(onText) {
+    const input = document.getElementById('file-input');
+    input.value = '';
+    input.onchange = () => {
+        if (input.files.length) input.files[0].text().then(onText);
+    };
+    input.click();
+}
+
+// Local high scores, shown on the game-over screen
+function loadPlayerName() {
+    return loadStored('carGame.playerName', '') || 'Player';
+}
+
+function savePlayerName(name) {
+    store('carGame.playerName', name);
+}
+
+function loadGameMode() {
+    return loadStored('carGame.mode', '');
+}
+
+function saveGameMode(id) {
+    store('carGame.mode', id);
+}
+
+// The finished run with the metadata a shared server checks it against
+function runSubmission() {
+    return Object.assign({
+        name: playerName,
+        car: selectedCar.id,
+        ticks: state.tick,
+        timeline: state.stats.timeline
+    }, runSummary(state));
+}
+
+// The local table always gets the run, even when a shared one is in use,
+// and is shown instead if the server can't be reached
+function submitRun(run) {
+    const localScores = recordsFor(state.mode).scores;
+    const local = localScores.submit(run);
+    const shared = sharedScoresFor(state.mode);
+    if (!shared) {
+        local.then(result => showLeaderboard(localScores, result));
+        return;
+    }
+    renderLeaderboard('Shared Leaderboard', [], null, null, 'Submitting...');
+    shared.submit(run)
+        .then(result => showLeaderboard(shared, result))
+        .catch(error => {
+            console.warn('Shared leaderboard unavailable:', error);
+            local.then(result => showLeaderboard(localScores, result,
+                `Shared leaderboard unavailable (${error.message}), showing local scores.`));
+        });
+}
+
+// High scores and ghosts are kept per game mode and ranked by its objective.
+// Endless keeps the storage keys from before there were modes.
+function recordsFor(mode) {
+    if (!modeRecords.has(mode.id)) {
+        const suffix = mode.id === 'endless' ? '' : `.${mode.id}`;
+        const compare = (a, b) => compareRuns(mode, a, b);
+        const board = new Leaderboard(`carGame.leaderboard${suffix}`, LEADERBOARD_ROWS, compare);
+        modeRecords.set(mode.id, {
+            board,
+            scores: new LocalLeaderboardClient(board),
+            ghosts: new GhostStore(`carGame.ghosts${suffix}`, compare)
+        });
+    }
+    return modeRecords.get(mode.id);
+}
+
+// The shared server checks runs against the Endless rules, so only those go there
+function sharedScoresFor(mode) {
+    return mode.id === 'endless' ? sharedScores : null;
+}
+
+// `result` (from submit) marks the run just finished, if any
+function showLeaderboard(client, result, note = '') {
+    const title = client === sharedScores ? 'Shared Leaderboard' :
+        state.mode.id === 'endless' ? 'Top Runs' : `Top Runs: ${state.mode.label}`;
+    return Promise.all([client.top(LEADERBOARD_ROWS), client.around(playerName, 2)])
+        .then(([top, around]) => renderLeaderboard(title, top, around, result, note))
+        .catch(error => {
+            console.warn('Leaderboard could not be loaded:', error);
+            renderLeaderboard(title, [], null, result, `Leaderboard could not be loaded (${error.message}).`);
+        });
+}
+
+// Top entries, then the player's neighbourhood when they are further down
+function renderLeaderboard(title, top, around, result, note) {
+    document.getElementById('leaderboard-title').textContent = title;
+    document.getElementById('leaderboard-best').style.display =
+        result && result.personalBest ? 'block' : 'none';
+    const body = document.getElementById('leaderboard-rows');
+    body.innerHTML = '';
+    const currentKey = result ? Leaderboard.entryKey(result.entry) : null;
+    // Checkpoint Rush ranks by gates, so only its table shows them
+    const showGates = state.mode.objective === 'gates';
+    document.getElementById('leaderboard-gates').style.display = showGates ? 'table-cell' : 'none';
+    const addRow = (entry, rank) => {
+        const row = document.createElement('tr');
+        if (Leaderboard.entryKey(entry) === currentKey) row.className = 'current';
+        [
+            rank + 1,
+            entry.name,
+            entry.score,
+            ...(showGates ? [entry.gates ? `${entry.gates} (${entry.gateTime.toFixed(1)} s)` : 0] : []),
+            `${entry.distance} m`,
+            `${Math.round(entry.topSpeed * 3.6)} km/h`,
+            entry.nearMisses,
+            `${entry.duration.toFixed(1)} s`
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    };
+    
+    top.forEach(addRow);
+    if (around && around.rank >= top.length) {
+        const gap = document.createElement('tr');
+        gap.innerHTML = `<td colspan="${showGates ? 8 : 7}">...</td>`;
+        body.appendChild(gap);
+        around.entries.forEach((entry, i) => {
+            if (around.start + i >= top.length) addRow(entry, around.start + i);
+        });
+    }
+    
+    if (!note && result && result.rank < 0) {
+        note = state.mode.objective === 'score' ? `Your score of ${result.entry.score} didn't make the table.` : "Your run didn't make the table.";
+    }
+    document.getElementById('leaderboard-note').textContent = note;
 }
 
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    applyGraphics(); // resizes, and follows the pixel ratio to another screen
 }
 
 window.restartGame = function() {
-    // Hide all game over elements
-    document.getElementById('game-over-overlay').style.display = 'none';
-    document.getElementById('game-over-text').style.display = 'none';
-    document.getElementById('final-score').style.display = 'none';
-    document.getElementById('restart-btn').style.display = 'none';
-    document.getElementById('instructions').style.display = 'block';
-    
-    // Reload the game
-    location.reload();
+    startRun();
+};
+
+window.startGame = function() {
+    runSeed = Number.isNaN(seedParam) ? undefined : seedParam;
+    startRun();
+};
+
+// Replay the traffic of the best run so far, with its ghost alongside
+window.raceGhost = function() {
+    const best = recordsFor(gameMode).ghosts.best();
+    if (!best) {
+        document.getElementById('menu-message').textContent = 'Finish a run first to race its ghost.';
+        return;
+    }
+    runSeed = best.data.seed;
+    startRun();
+};
+
+window.resumeGame = function() {
+    setPhase('countdown');
+};
+
+window.quitToMenu = function() {
+    setPhase('menu');
+};
+
+// Save the finished run as a JSON file
+window.exportReplay = function() {
+    const replay = recorder.toJSON(state);
+    downloadJSON(`car-game-replay-${replay.seed}.json`, replay);
+};
+
+window.openReplay = function() {
+    const message = document.getElementById('menu-message');
+    chooseJSONFile(text => {
+        try {
+            const replay = parseReplay(text);
+            message.textContent = '';
+            startReplay(replay);
+        } catch (error) {
+            console.warn('Could not load replay:', error);
+            message.textContent = 'That file is not a valid replay.';
+        }
+    });
+};
+
+window.exportLeaderboard = function() {
+    const suffix = state.mode.id === 'endless' ? '' : `-${state.mode.id}`;
+    downloadJSON(`car-game-leaderboard${suffix}.json`, recordsFor(state.mode).board.toJSON());
+};
+
+// Merge a board exported on another machine into this one
+window.importLeaderboard = function() {
+    chooseJSONFile(text => {
+        try {
+            const records = recordsFor(state.mode);
+            records.board.merge(JSON.parse(text));
+            records.board.save();
+            showLeaderboard(records.scores, null);
+        } catch (error) {
+            console.warn('Could not import leaderboard:', error);
+            document.getElementById('leaderboard-note').textContent = 'That file is not a valid leaderboard.';
+        }
+    });
+};
+
+window.renamePlayer = function(name) {
+    playerName = name.trim().slice(0, 20) || 'Player';
+    savePlayerName(playerName);
+};
+
+// Garage: buy cars with wallet coins and pick the one to drive
+function renderGarage() {
+    document.getElementById('garage-coins').textContent = `Coins: ${wallet.coins}`;
+    const list = document.getElementById('garage-cars');
+    list.innerHTML = '';
+    
+    const stats = [
+        { label: 'Top speed', key: 'maxSpeedZ' },
+        { label: 'Acceleration', key: 'accelerationZ' },
+        { label: 'Steering', key: 'accelerationX' }
+    ];
+    const handlingOf = car => Object.assign({}, PHYSICS, car.handling);
+    const best = {};
+    stats.forEach(stat => {
+        best[stat.key] = Math.max(...CARS.map(car => handlingOf(car)[stat.key]));
+    });
+    
+    CARS.forEach(car => {
+        const card = document.createElement('div');
+        card.className = 'garage-car' + (wallet.selected === car.id ? ' selected' : '');
+        
+        const swatch = document.createElement('div');
+        swatch.className = 'car-swatch';
+        swatch.style.background = car.tint === null ? 'linear-gradient(45deg, #667eea, #764ba2)' :
+            `#${car.tint.toString(16).padStart(6, '0')}`;
+        card.appendChild(swatch);
+        
+        const name = document.createElement('div');
+        name.className = 'car-name';
+        name.textContent = car.name;
+        card.appendChild(name);
+        
+        stats.forEach(stat => {
+            const row = document.createElement('div');
+            row.className = 'car-stat';
+            row.textContent = stat.label;
+            const bar = document.createElement('div');
+            bar.className = 'car-stat-bar';
+            bar.style.width = `${handlingOf(car)[stat.key] / best[stat.key] * 100}%`;
+            row.appendChild(bar);
+            card.appendChild(row);
+        });
+        
+        const button = document.createElement('button');
+        if (wallet.selected === car.id) {
+            button.textContent = 'Selected';
+            button.disabled = true;
+        } else if (wallet.owns(car.id)) {
+            button.textContent = 'Select';
+            button.onclick = () => { wallet.select(car.id); renderGarage(); };
+        } else {
+            button.textContent = `Buy (${car.price})`;
+            button.disabled = wallet.coins < car.price;
+            button.onclick = () => { wallet.unlock(car.id) && wallet.select(car.id); renderGarage(); };
+        }
+        card.appendChild(button);
+        list.appendChild(card);
+    });
+}
+
+window.openGarage = function() {
+    renderGarage();
+    document.getElementById('garage').style.display = 'block';
+};
+
+window.closeGarage = function() {
+    document.getElementById('garage').style.display = 'none';
+};
+
+// Controls screen: two key slots per action, click one and press the new key
+function renderControls() {
+    const table = document.getElementById('controls-bindings');
+    table.innerHTML = '';
+    INPUT_ACTIONS.forEach(action => {
+        const row = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = action.label;
+        row.appendChild(label);
+        [0, 1].forEach(slot => {
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            const code = input.bindings[action.id][slot];
+            button.textContent = code ? InputManager.keyName(code) : '-';
+            button.onclick = () => {
+                button.textContent = 'Press a key...';
+                input.captureNextKey(newCode => {
+                    if (newCode) input.bind(action.id, slot, newCode);
+                    renderControls();
+                });
+            };
+            cell.appendChild(button);
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    });
+    document.getElementById('controls-tilt').style.display = touchScreen ? 'block' : 'none';
+    document.querySelector('#controls-tilt input').checked = input.tilt !== null;
+}
+
+function controlsOpen() {
+    return document.getElementById('controls').style.display === 'block';
+}
+
+window.openControls = function() {
+    renderControls();
+    setOverlay('controls', true);
+};
+
+window.closeControls = function() {
+    input.captureNextKey(null);
+    setOverlay('controls', false);
+};
+
+window.resetControls = function() {
+    input.resetBindings();
+    renderControls();
+};
+
+window.setTiltSteering = function(checkbox) {
+    if (!checkbox.checked) {
+        input.disableTilt();
+        return;
+    }
+    input.enableTilt().then(enabled => {
+        checkbox.checked = enabled;
+    });
+};
+
+// Sound settings: volume sliders per bus and mute
+function renderSoundSettings() {
+    SOUND_BUSES.forEach(bus => {
+        document.getElementById(`sound-${bus}`).value = Math.round(sound.volumes[bus] * 100);
+    });
+    document.getElementById('sound-muted').checked = sound.muted;
+}
+
+function soundSettingsOpen() {
+    return document.getElementById('sound-settings').style.display === 'block';
+}
+
+window.openSoundSettings = function() {
+    renderSoundSettings();
+    setOverlay('sound-settings', true);
+};
+
+window.closeSoundSettings = function() {
+    setOverlay('sound-settings', false);
+};
+
+window.setVolume = function(bus, slider) {
+    sound.setVolume(bus, slider.value / 100);
+};
+
+window.setMuted = function(checkbox) {
+    sound.setMuted(checkbox.checked);
+};
+
+// Game modes: pick one and it is played from the main menu's Play button
+function renderModes() {
+    const list = document.getElementById('modes-list');
+    list.innerHTML = '';
+    GAME_MODES.forEach(mode => {
+        const button = document.createElement('button');
+        button.classList.toggle('selected', mode.id === gameMode.id);
+        const label = document.createElement('strong');
+        label.textContent = mode.label;
+        const description = document.createElement('span');
+        description.textContent = mode.description;
+        button.append(label, description);
+        button.onclick = () => {
+            gameMode = mode;
+            saveGameMode(mode.id);
+            showGameMode();
+            renderModes();
+        };
+        list.appendChild(button);
+    });
+}
+
+function showGameMode() {
+    document.getElementById('play-btn').textContent = `Play: ${gameMode.label}`;
+}
+
+window.openModes = function() {
+    renderModes();
+    setOverlay('modes', true);
+};
+
+window.closeModes = function() {
+    setOverlay('modes', false);
+};
+
+// Achievements and today's missions, with how far along each one is
+function renderAchievements() {
+    renderGoals('achievements-missions', achievements.missions());
+    renderGoals('achievements-list', ACHIEVEMENTS);
+    const unlocked = ACHIEVEMENTS.filter(goal => achievements.isDone(goal)).length;
+    document.getElementById('achievements-count').textContent = `${unlocked} / ${ACHIEVEMENTS.length} unlocked`;
+}
+
+function renderGoals(id, goals) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    goals.forEach(goal => {
+        const done = achievements.isDone(goal);
+        const row = document.createElement('div');
+        row.className = 'goal';
+        row.classList.toggle('done', done);
+        const label = document.createElement('strong');
+        label.textContent = goal.label;
+        row.appendChild(label);
+        if (goal.description) {
+            const description = document.createElement('span');
+            description.textContent = goal.description;
+            row.appendChild(description);
+        }
+        const progress = Math.min(achievements.progress(goal), goal.target);
+        const bar = document.createElement('div');
+        bar.className = 'goal-bar';
+        const fill = document.createElement('div');
+        fill.style.width = `${(done ? 1 : progress / goal.target) * 100}%`;
+        bar.appendChild(fill);
+        const value = document.createElement('span');
+        value.textContent = done
+            ? 'Done'
+            : `${formatGoalValue(goal.metric, progress)} / ${formatGoalValue(goal.metric, goal.target)}`;
+        row.append(bar, value);
+        list.appendChild(row);
+    });
+}
+
+window.openAchievements = function() {
+    renderAchievements();
+    setOverlay('achievements', true);
+};
+
+window.closeAchievements = function() {
+    setOverlay('achievements', false);
+};
+
+// Graphics settings: a preset, and whether quality adapts to the frame rate
+function renderGraphicsSettings() {
+    const buttons = document.getElementById('graphics-presets');
+    buttons.innerHTML = '';
+    GRAPHICS_PRESETS.forEach(preset => {
+        const button = document.createElement('button');
+        button.textContent = preset.label;
+        button.classList.toggle('selected', preset.id === graphics.preset);
+        button.onclick = () => {
+            graphics.setPreset(preset.id);
+            applyGraphics();
+            renderGraphicsSettings();
+        };
+        buttons.appendChild(button);
+    });
+    document.getElementById('graphics-adaptive').checked = graphics.adaptive;
+    const { preset, renderScale } = graphics.current();
+    document.getElementById('graphics-status').textContent = graphics.adaptive
+        ? `Now rendering at ${preset.label}${renderScale < 1 ? `, ${renderScale * 100}% resolution` : ''}`
+        : '';
+}
+
+function graphicsSettingsOpen() {
+    return document.getElementById('graphics-settings').style.display === 'block';
+}
+
+window.openGraphicsSettings = function() {
+    renderGraphicsSettings();
+    setOverlay('graphics-settings', true);
+};
+
+window.closeGraphicsSettings = function() {
+    setOverlay('graphics-settings', false);
+};
+
+window.setAdaptiveGraphics = function(checkbox) {
+    graphics.setAdaptive(checkbox.checked);
+    applyGraphics();
+    renderGraphicsSettings();
 };
 
 document.addEventListener('DOMContentLoaded', init);
-// Basic loading screen logic
+// Loading screen, up until preloadAssets() is done
 function showLoadingScreen() {
     const toast = document.getElementById('loading-toast');
-    if (toast) {
-        toast.style.display = 'flex';
-        window.loadingScreenTimeout = setTimeout(() => {
-            window.loadingScreenTimeout = null;
-            hideLoadingScreen();
-        }, 5000);
-    }
+    if (toast) toast.style.display = 'flex';
+}
+
+// `loaded` may be fractional while a file is part way through
+function showLoadingProgress(loaded, total) {
+    const percent = total > 0 ? Math.floor(100 * loaded / total) : 0;
+    document.getElementById('loading-text').textContent = `Loading... ${percent}%`;
 }
 
 function hideLoadingScreen() {
-    if (window.loadingScreenTimeout) {
-        return;
-    }
     const toast = document.getElementById('loading-toast');
     if (toast) toast.style.display = 'none';
 }
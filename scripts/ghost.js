@@ -0,0 +1,102 @@
+// Ghost runs: the player's trajectory and score sampled over time, saved in
+// localStorage per seed so the next run on that seed can race against it.
+// The ghost only exists in the renderer; it is never part of GameState, so
+// the core's collision pass never sees it.
+const GHOST_SAMPLE_TICKS = 6; // one sample per score update
+const GHOST_SLOTS = 20; // seeds kept; the worst-ranked ghost is dropped first
+
+// Samples the live run as a flat [x, z, score, ...] list
+class GhostRecorder {
+    constructor(state, carId) {
+        this.seed = state.seed;
+        this.car = carId;
+        this.samples = [];
+        this.record(state);
+    }
+
+    // Call after every simulation step
+    record(state) {
+        if (state.tick % GHOST_SAMPLE_TICKS !== 0) return;
+        const position = state.player.position;
+        this.samples.push(Math.round(position.x * 100) / 100, Math.round(position.z * 100) / 100, state.score);
+    }
+
+    // With the run's summary, so stores can rank it by the mode's objective
+    toJSON(state) {
+        return Object.assign({ seed: this.seed, car: this.car, ticks: state.tick, samples: this.samples }, runSummary(state));
+    }
+}
+
+// Plays a recorded ghost back at any (fractional) tick
+class Ghost {
+    constructor(data) {
+        this.data = data;
+        this.sampleCount = data.samples.length / 3;
+    }
+
+    // False once the recorded run had already crashed
+    isRunning(tick) {
+        return tick <= this.data.ticks;
+    }
+
+    // Interpolated { x, z, score } at a tick, held at the last sample after the run ends
+    at(tick) {
+        const samples = this.data.samples;
+        const t = Math.max(0, Math.min(tick / GHOST_SAMPLE_TICKS, this.sampleCount - 1));
+        const i = Math.floor(t);
+        const j = Math.min(i + 1, this.sampleCount - 1);
+        const f = t - i;
+        return {
+            x: samples[i * 3] + (samples[j * 3] - samples[i * 3]) * f,
+            z: samples[i * 3 + 1] + (samples[j * 3 + 1] - samples[i * 3 + 1]) * f,
+            score: samples[i * 3 + 2]
+        };
+    }
+}
+
+// Best ghost per seed, ranked by `compare` (see compareRuns in modes.js)
+class GhostStore {
+    constructor(storageKey = 'carGame.ghosts', compare = (a, b) => b.score - a.score) {
+        this.storageKey = storageKey;
+        this.compare = compare;
+        this.ghosts = {}; // seed -> ghost data
+        this.load();
+    }
+
+    load() {
+        this.ghosts = loadStored(this.storageKey, {});
+    }
+
+    save() {
+        store(this.storageKey, this.ghosts);
+    }
+
+    get(seed) {
+        const data = this.ghosts[seed];
+        return data ? new Ghost(data) : null;
+    }
+
+    // The ghost of the best run on any seed
+    best() {
+        let best = null;
+        Object.values(this.ghosts).forEach(data => {
+            if (!best || this.compare(data, best) < 0) best = data;
+        });
+        return best ? new Ghost(best) : null;
+    }
+
+    // Keep a finished run if it beats the ghost stored for its seed; true if kept
+    offer(data) {
+        const current = this.ghosts[data.seed];
+        if (current && this.compare(data, current) >= 0) return false;
+        this.ghosts[data.seed] = data;
+
+        const seeds = Object.keys(this.ghosts);
+        if (seeds.length > GHOST_SLOTS) {
+            seeds.sort((a, b) => this.compare(this.ghosts[a], this.ghosts[b]));
+            delete this.ghosts[seeds[seeds.length - 1]];
+        }
+        this.save();
+        return this.ghosts[data.seed] === data;
+    }
+}
@@ -0,0 +1,119 @@
+// Graphics quality: presets, the player's choice (saved in localStorage),
+// and adaptive quality that steps down when frames run long and back up
+// when they are quick again. Browser-only; game.js applies the settings.
+
+// shadows:         'off', or the shadow filter ('basic', 'pcf', 'pcfSoft')
+// pixelRatio:      cap on the device pixel ratio (sharper on high-DPI screens)
+// drawDistance:    scales how far ahead scenery appears (and how far behind it goes)
+// sceneryDensity:  scales how many roadside props and clouds there are
+const GRAPHICS_PRESETS = [
+    { id: 'low', label: 'Low', shadows: 'off', shadowMapSize: 512, antialias: false, pixelRatio: 1, drawDistance: 0.6, sceneryDensity: 0.4 },
+    { id: 'medium', label: 'Medium', shadows: 'basic', shadowMapSize: 1024, antialias: true, pixelRatio: 1, drawDistance: 0.8, sceneryDensity: 0.7 },
+    { id: 'high', label: 'High', shadows: 'pcf', shadowMapSize: 2048, antialias: true, pixelRatio: 1.5, drawDistance: 1, sceneryDensity: 1 },
+    { id: 'ultra', label: 'Ultra', shadows: 'pcfSoft', shadowMapSize: 4096, antialias: true, pixelRatio: 2, drawDistance: 1.3, sceneryDensity: 1.3 }
+];
+const DEFAULT_PRESET = 'high';
+// Below Low, adaptive quality lowers the resolution instead
+const ADAPTIVE_RENDER_SCALES = [0.5, 0.75];
+// Frame times are judged against the display's own refresh interval, so a
+// 144 Hz screen isn't held to 60 Hz and vice versa
+const SLOW_FRAME = 1.2; // an average this many refresh intervals steps quality down
+const FAST_FRAME = 1.05; // and one below this, for a while, steps it up
+const ADAPTIVE_WINDOW = 90; // frames averaged for each decision
+const ADAPTIVE_CALM_WINDOWS = 5; // quick windows in a row before stepping up
+// The refresh interval is the quickest tenth of a window's frames, the
+// shortest over the last few windows (so it follows the game to another
+// screen). Frames can't beat the display, and any that keep up come at its rate.
+const QUICK_FRAME_SHARE = 0.1;
+const DISPLAY_WINDOWS = 10;
+// A game too slow from the start never shows the real rate, so no display
+// is taken to refresh less often than this
+const MAX_DISPLAY_FRAME = 1000 / 50; // ms
+
+function presetById(id) {
+    return GRAPHICS_PRESETS.find(preset => preset.id === id) || presetById(DEFAULT_PRESET);
+}
+
+class GraphicsSettings {
+    constructor(storageKey = 'carGame.graphics') {
+        this.storageKey = storageKey;
+        this.preset = DEFAULT_PRESET; // the player's choice; adaptive quality never goes above it
+        this.adaptive = true;
+        this.load();
+        this.resetAdaptive();
+    }
+
+    load() {
+        const saved = loadStored(this.storageKey, null);
+        if (saved) {
+            this.preset = presetById(saved.preset).id;
+            this.adaptive = saved.adaptive !== false;
+        }
+    }
+
+    save() {
+        store(this.storageKey, { preset: this.preset, adaptive: this.adaptive });
+    }
+
+    setPreset(id) {
+        this.preset = presetById(id).id;
+        this.resetAdaptive();
+        this.save();
+    }
+
+    setAdaptive(adaptive) {
+        this.adaptive = adaptive;
+        this.resetAdaptive();
+        this.save();
+    }
+
+    // Adaptive quality moves along a ladder: the lower resolutions at Low,
+    // then each preset up to the chosen one
+    ladder() {
+        const top = GRAPHICS_PRESETS.findIndex(preset => preset.id === this.preset);
+        return ADAPTIVE_RENDER_SCALES.map(renderScale => ({ preset: GRAPHICS_PRESETS[0], renderScale }))
+            .concat(GRAPHICS_PRESETS.slice(0, top + 1).map(preset => ({ preset, renderScale: 1 })));
+    }
+
+    resetAdaptive() {
+        this.step = this.ladder().length - 1; // start at the chosen preset
+        this.frameTimes = []; // ms, this window
+        this.quickFrames = this.quickFrames || []; // ms, per recent window; the display hasn't changed
+        this.calmWindows = 0;
+    }
+
+    // The display's refresh interval in ms, as measured so far
+    displayFrame() {
+        return Math.min(MAX_DISPLAY_FRAME, ...this.quickFrames);
+    }
+
+    // What to render with now: { preset, renderScale }
+    current() {
+        return this.ladder()[this.adaptive ? this.step : this.ladder().length - 1];
+    }
+
+    // Feed one frame's duration in ms; true when the quality just changed
+    sampleFrame(frameTime) {
+        if (!this.adaptive) return false;
+        this.frameTimes.push(frameTime);
+        if (this.frameTimes.length < ADAPTIVE_WINDOW) return false;
+        const times = this.frameTimes.sort((a, b) => a - b);
+        this.frameTimes = [];
+        const average = times.reduce((total, time) => total + time, 0) / times.length;
+        this.quickFrames.push(times[Math.floor(times.length * QUICK_FRAME_SHARE)]);
+        if (this.quickFrames.length > DISPLAY_WINDOWS) this.quickFrames.shift();
+        const displayFrame = this.displayFrame();
+
+        if (average > displayFrame * SLOW_FRAME) {
+            this.calmWindows = 0;
+            if (this.step === 0) return false;
+            this.step--;
+            return true;
+        }
+        this.calmWindows = average < displayFrame * FAST_FRAME ? this.calmWindows + 1 : 0;
+        if (this.calmWindows < ADAPTIVE_CALM_WINDOWS || this.step === this.ladder().length - 1) return false;
+        this.calmWindows = 0;
+        this.step++;
+        return true;
+    }
+}
@@ -0,0 +1,251 @@
+// Input layer: turns keyboard, gamepad and touch into the abstract actions the
+// game understands - steer (-1..1), throttle and brake (0..1), pause and
+// changing the camera view.
+// Keyboard bindings can be remapped and are saved in localStorage.
+const INPUT_ACTIONS = [
+    { id: 'steerLeft', label: 'Steer left' },
+    { id: 'steerRight', label: 'Steer right' },
+    { id: 'throttle', label: 'Accelerate' },
+    { id: 'brake', label: 'Brake' },
+    { id: 'pause', label: 'Pause' },
+    { id: 'camera', label: 'Change camera' }
+];
+
+// Keys are matched by KeyboardEvent.code, so bindings follow the physical
+// layout (WASD stays WASD on AZERTY keyboards)
+const DEFAULT_BINDINGS = {
+    steerLeft: ['ArrowLeft', 'KeyA'],
+    steerRight: ['ArrowRight', 'KeyD'],
+    throttle: ['ArrowUp', 'KeyW'],
+    brake: ['ArrowDown', 'KeyS'],
+    pause: ['Escape', 'KeyP'],
+    camera: ['KeyC', 'KeyV']
+};
+
+const STICK_DEADZONE = 0.15;
+const TILT_RANGE = 25; // degrees of tilt for full lock
+// Standard gamepad mapping
+const PAD_STEER_AXIS = 0;
+const PAD_BUTTONS = { throttle: 7, brake: 6, pause: 9, camera: 3, left: 14, right: 15, a: 0, b: 1 };
+
+class InputManager {
+    constructor(storageKey = 'carGame.bindings') {
+        this.storageKey = storageKey;
+        this.bindings = {};
+        this.held = new Set(); // codes currently down
+        this.touch = { steer: 0, throttle: 0, brake: 0 };
+        this.tilt = null; // steer from device tilt while tilt steering is on
+        this.padDown = { pause: false, camera: false }; // pad buttons down at the last poll
+        this.capture = null; // callback waiting for the next key, while remapping
+        this.onPause = () => {};
+        this.onCamera = () => {};
+        this.load();
+
+        window.addEventListener('keydown', e => this.handleKeyDown(e));
+        window.addEventListener('keyup', e => this.handleKeyUp(e));
+        window.addEventListener('blur', () => this.releaseAll());
+    }
+
+    load() {
+        this.bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+        const saved = loadStored(this.storageKey, {});
+        INPUT_ACTIONS.forEach(({ id }) => {
+            if (Array.isArray(saved[id])) this.bindings[id] = saved[id].filter(code => typeof code === 'string');
+        });
+    }
+
+    save() {
+        store(this.storageKey, this.bindings);
+    }
+
+    actionFor(code) {
+        return INPUT_ACTIONS.find(({ id }) => this.bindings[id].includes(code));
+    }
+
+    // Bind `code` to slot `slot` of `action`, taking it off any other action
+    bind(action, slot, code) {
+        INPUT_ACTIONS.forEach(({ id }) => {
+            this.bindings[id] = this.bindings[id].filter(other => other !== code);
+        });
+        const codes = this.bindings[action];
+        codes[Math.min(slot, codes.length)] = code;
+        this.save();
+    }
+
+    resetBindings() {
+        this.bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+        this.save();
+    }
+
+    // The next key pressed is handed to `callback` instead of the game
+    captureNextKey(callback) {
+        this.capture = callback;
+    }
+
+    handleKeyDown(e) {
+        if (this.capture) {
+            const callback = this.capture;
+            this.capture = null;
+            e.preventDefault();
+            // Escape cancels remapping
+            callback(e.code === 'Escape' ? null : e.code);
+            return;
+        }
+        // Leave typing and browser shortcuts (Ctrl+R, Cmd+L, Alt+Tab...) alone
+        if (e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) return;
+        const action = this.actionFor(e.code);
+        if (!action) return;
+        e.preventDefault();
+        if (action.id === 'pause' || action.id === 'camera') {
+            if (!e.repeat) this.pressed(action.id);
+            return;
+        }
+        this.held.add(e.code);
+    }
+
+    handleKeyUp(e) {
+        if (this.held.delete(e.code)) e.preventDefault();
+    }
+
+    // Forget everything held, e.g. when the game stops listening for a while
+    releaseAll() {
+        this.held.clear();
+        this.touch = { steer: 0, throttle: 0, brake: 0 };
+    }
+
+    keyboardState() {
+        const down = action => this.bindings[action].some(code => this.held.has(code));
+        return {
+            steer: (down('steerRight') ? 1 : 0) - (down('steerLeft') ? 1 : 0),
+            throttle: down('throttle') ? 1 : 0,
+            brake: down('brake') ? 1 : 0
+        };
+    }
+
+    // First connected gamepad: left stick or d-pad steers, the triggers are
+    // analog throttle and brake (A and B for pads without analog triggers)
+    gamepadState() {
+        const pad = connectedGamepad();
+        if (!pad) return null;
+        const button = index => (pad.buttons[index] ? pad.buttons[index].value : 0);
+        const axis = pad.axes[PAD_STEER_AXIS] || 0;
+        // Rescale past the deadzone so the stick still reaches full lock
+        let steer = Math.abs(axis) < STICK_DEADZONE ? 0 :
+            Math.sign(axis) * (Math.abs(axis) - STICK_DEADZONE) / (1 - STICK_DEADZONE);
+        steer += button(PAD_BUTTONS.right) - button(PAD_BUTTONS.left);
+
+        return {
+            steer,
+            throttle: Math.max(button(PAD_BUTTONS.throttle), button(PAD_BUTTONS.a)),
+            brake: Math.max(button(PAD_BUTTONS.brake), button(PAD_BUTTONS.b))
+        };
+    }
+
+    // One-shot actions: pause, and changing the camera view
+    pressed(action) {
+        if (action === 'pause') this.onPause();
+        else this.onCamera();
+    }
+
+    // Start pauses and resumes, Y changes the camera view. Called every
+    // frame, since the game stops reading input while paused.
+    pollButtons() {
+        const pad = connectedGamepad();
+        Object.keys(this.padDown).forEach(action => {
+            const button = pad && pad.buttons[PAD_BUTTONS[action]];
+            const down = Boolean(button && button.pressed);
+            if (down && !this.padDown[action]) this.pressed(action);
+            this.padDown[action] = down;
+        });
+    }
+
+    // Input for this tick. Every source is read and the strongest one wins,
+    // so a pad resting in its deadzone never cancels a held key.
+    read() {
+        const sources = [this.keyboardState(), this.touch];
+        const pad = this.gamepadState();
+        if (pad) sources.push(pad);
+        if (this.tilt !== null) sources.push({ steer: this.tilt, throttle: 0, brake: 0 });
+        const strongest = key => sources.reduce((best, source) =>
+            (Math.abs(source[key]) > Math.abs(best) ? source[key] : best), 0);
+        return {
+            steer: Math.max(-1, Math.min(1, strongest('steer'))),
+            throttle: strongest('throttle'),
+            brake: strongest('brake')
+        };
+    }
+
+    // On-screen buttons: each element with data-action steers, throttles or
+    // brakes for as long as a finger is on it (or changes the camera view
+    // when tapped)
+    attachTouchControls(container) {
+        container.querySelectorAll('[data-action]').forEach(button => {
+            const action = button.dataset.action;
+            if (action === 'camera') {
+                button.addEventListener('pointerdown', e => {
+                    e.preventDefault();
+                    this.onCamera();
+                });
+                return;
+            }
+            const steer = action === 'steerLeft' ? -1 : action === 'steerRight' ? 1 : 0;
+            const press = down => e => {
+                e.preventDefault();
+                if (!steer) this.touch[action] = down ? 1 : 0;
+                else if (down) this.touch.steer = steer;
+                // Lifting one thumb must not cancel the other side
+                else if (this.touch.steer === steer) this.touch.steer = 0;
+                button.classList.toggle('pressed', down);
+            };
+            button.addEventListener('pointerdown', press(true));
+            button.addEventListener('pointerup', press(false));
+            button.addEventListener('pointercancel', press(false));
+            button.addEventListener('pointerleave', press(false));
+        });
+    }
+
+    // Steer by tilting the device. iOS asks the player for permission first,
+    // and that request has to come from a tap. Resolves to whether tilt is on.
+    enableTilt() {
+        const Orientation = window.DeviceOrientationEvent;
+        if (!Orientation) return Promise.resolve(false);
+        const permission = typeof Orientation.requestPermission === 'function' ?
+            Orientation.requestPermission() : Promise.resolve('granted');
+        return permission.then(result => {
+            if (result !== 'granted') return false;
+            if (!this.handleTilt) {
+                this.handleTilt = e => {
+                    // Landscape devices tilt around the other axis
+                    const landscape = Math.abs(window.orientation || 0) === 90;
+                    const angle = (landscape ? e.beta * Math.sign(window.orientation) : e.gamma) || 0;
+                    this.tilt = Math.max(-1, Math.min(1, angle / TILT_RANGE));
+                };
+            }
+            window.addEventListener('deviceorientation', this.handleTilt);
+            this.tilt = 0;
+            return true;
+        }).catch(e => {
+            console.warn('Tilt steering is not available', e);
+            return false;
+        });
+    }
+
+    disableTilt() {
+        if (this.handleTilt) window.removeEventListener('deviceorientation', this.handleTilt);
+        this.tilt = null;
+    }
+
+    // Readable name for a key code: 'KeyA' -> 'A', 'ArrowLeft' -> 'Left'
+    static keyName(code) {
+        return code.replace(/^Key|^Digit/, '').replace(/^Arrow/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+    }
+}
+
+function connectedGamepad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    return Array.from(pads).find(pad => pad && pad.connected) || null;
+}
+
+function isTextField(target) {
+    return target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
@@ -0,0 +1,95 @@
+// Leaderboard clients. Both share one promise-based interface:
+//   submit(run)          -> { entry, rank, personalBest }  (rank -1 if not kept)
+//   top(limit)           -> entries, best first
+//   around(name, radius) -> { rank, start, entries }: the driver's best entry
+//                           with up to `radius` entries either side (rank -1 if none)
+// Ranks are 0-based. `run` is runSummary() plus name, car, ticks and the score
+// timeline, which the HTTP server needs for its plausibility checks.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // The fields kept on a leaderboard; the rest of a run is only for checking
+    function entryFromRun(run, date = new Date().toISOString()) {
+        return {
+            name: run.name,
+            score: run.score,
+            distance: run.distance,
+            topSpeed: run.topSpeed,
+            nearMisses: run.nearMisses,
+            duration: run.duration,
+            gates: run.gates,
+            gateTime: run.gateTime,
+            date
+        };
+    }
+
+    // Entries ranked around the best one with `name`, from a best-first list
+    function entriesAround(entries, name, radius) {
+        const rank = entries.findIndex(entry => entry.name === name);
+        if (rank < 0) return { rank, start: 0, entries: [] };
+        const start = Math.max(0, rank - radius);
+        return { rank, start, entries: entries.slice(start, rank + radius + 1) };
+    }
+
+    // Wraps a Leaderboard (leaderboard.js) kept in this browser
+    class LocalLeaderboardClient {
+        constructor(board) {
+            this.board = board;
+        }
+
+        submit(run) {
+            const entry = entryFromRun(run);
+            return Promise.resolve(Object.assign({ entry }, this.board.add(entry)));
+        }
+
+        top(limit) {
+            return Promise.resolve(this.board.entries.slice(0, limit));
+        }
+
+        around(name, radius) {
+            return Promise.resolve(entriesAround(this.board.entries, name, radius));
+        }
+    }
+
+    // Talks to a shared server such as tools/leaderboard-server.js
+    class HttpLeaderboardClient {
+        constructor(baseUrl, fetchImpl = (url, options) => fetch(url, options)) {
+            this.baseUrl = baseUrl.replace(/\/+$/, '');
+            this.fetch = fetchImpl;
+        }
+
+        request(path, options) {
+            return this.fetch(this.baseUrl + path, options).then(response =>
+                response.json().catch(() => ({})).then(body => {
+                    if (!response.ok) {
+                        const details = body.problems ? `: ${body.problems.join(', ')}` : '';
+                        throw new Error(`${body.error || `HTTP ${response.status}`}${details}`);
+                    }
+                    return body;
+                }));
+        }
+
+        submit(run) {
+            return this.request('/scores', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(run)
+            });
+        }
+
+        top(limit) {
+            return this.request(`/scores?limit=${limit}`).then(body => body.entries);
+        }
+
+        around(name, radius) {
+            return this.request(`/scores/around?name=${encodeURIComponent(name)}&radius=${radius}`);
+        }
+    }
+
+    return { entryFromRun, entriesAround, LocalLeaderboardClient, HttpLeaderboardClient };
+});
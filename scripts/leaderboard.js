@@ -0,0 +1,95 @@
+// Local high-score table: the top runs with their statistics, saved in
+// localStorage, plus every driver's personal best. Boards can be exported as
+// JSON and merged into another machine's board. Runs are ranked by
+// `compare` (see compareRuns in modes.js), highest score first by default.
+const LEADERBOARD_VERSION = 2; // 2 keeps each driver's best run rather than their best score
+
+class Leaderboard {
+    constructor(storageKey = 'carGame.leaderboard', size = 10, compare = (a, b) => b.score - a.score) {
+        this.storageKey = storageKey;
+        this.size = size;
+        this.compare = compare;
+        this.entries = []; // best first
+        this.bests = {}; // driver name -> their best entry
+        this.load();
+    }
+
+    load() {
+        const saved = loadStored(this.storageKey, {});
+        if (Array.isArray(saved.entries)) this.merge(saved);
+    }
+
+    save() {
+        store(this.storageKey, this.toJSON());
+    }
+
+    toJSON() {
+        return { version: LEADERBOARD_VERSION, entries: this.entries, bests: this.bests };
+    }
+
+    // Record a finished run. Returns its place in the table (-1 if it didn't
+    // make it) and whether it beat the driver's previous best.
+    add(entry) {
+        const personalBest = this.raiseBest(entry);
+        this.entries.push(entry);
+        this.sortAndTrim();
+        this.save();
+        return { rank: this.entries.indexOf(entry), personalBest };
+    }
+
+    // Fold another board (an import, or the saved one) into this one.
+    // Runs already present are skipped, so merging twice changes nothing.
+    merge(board) {
+        if (!board || !Array.isArray(board.entries)) {
+            throw new Error('Not a leaderboard file');
+        }
+        const known = new Set(this.entries.map(Leaderboard.entryKey));
+        board.entries.forEach(raw => {
+            const entry = Leaderboard.sanitize(raw);
+            if (!entry || known.has(Leaderboard.entryKey(entry))) return;
+            known.add(Leaderboard.entryKey(entry));
+            this.entries.push(entry);
+            this.raiseBest(entry);
+        });
+        Object.entries(board.bests || {}).forEach(([name, best]) => {
+            // Version 1 boards kept only the best score
+            const entry = Leaderboard.sanitize(Number.isFinite(best) ? { name, score: best } : best);
+            if (entry && entry.name === name) this.raiseBest(entry);
+        });
+        this.sortAndTrim();
+    }
+
+    // True if this is the driver's best run so far
+    raiseBest(entry) {
+        const best = this.bests[entry.name];
+        if (best && this.compare(entry, best) >= 0) return false;
+        this.bests[entry.name] = entry;
+        return true;
+    }
+
+    sortAndTrim() {
+        this.entries.sort((a, b) => this.compare(a, b) || a.date.localeCompare(b.date));
+        this.entries.length = Math.min(this.entries.length, this.size);
+    }
+
+    static entryKey(entry) {
+        return `${entry.name}|${entry.score}|${entry.date}`;
+    }
+
+    // Only known fields with the right types get into the table
+    static sanitize(raw) {
+        if (!raw || typeof raw.name !== 'string' || !Number.isFinite(raw.score)) return null;
+        const number = value => (Number.isFinite(value) ? value : 0);
+        return {
+            name: raw.name.slice(0, 20),
+            score: raw.score,
+            distance: number(raw.distance),
+            topSpeed: number(raw.topSpeed),
+            nearMisses: number(raw.nearMisses),
+            duration: number(raw.duration),
+            gates: number(raw.gates),
+            gateTime: number(raw.gateTime),
+            date: typeof raw.date === 'string' ? raw.date : new Date(0).toISOString()
+        };
+    }
+}
@@ -0,0 +1,175 @@
+// Game modes. A mode is plain data the core consults at a few fixed points
+// of its one loop - how traffic spawns and drives, what a hit does, how the
+// score is earned and when the run ends - so adding a mode means adding an
+// entry here, not another loop.
+// Operates on GameState; no DOM or THREE.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ emit }) {
+    const CLEAN_TICKS = 600; // ticks without touching a car to raise the clean multiplier by one
+    const MAX_CLEAN = 5;
+
+    // Every field a mode can set, with the Endless values:
+    //   spawnScale   - multiplies the gap between new cars
+    //   ramp         - traffic gets busier as the score climbs
+    //   trafficSpeed - multiplies how fast oncoming cars drive
+    //   collisions   - 'damage' (hits cost health, see damage.js) or 'none' (cars pass through)
+    //   brakes       - false ignores the brake
+    //   scoring      - 'speed' (points for driving fast) or 'clean' (speed points times
+    //                  a multiplier that grows while you keep clear of the traffic)
+    //   timeLimit    - seconds until the run ends, or null
+    //   checkpoints  - gates every `spacing` units along the road, with `time` seconds on
+    //                  the clock at the start and `extension` more for each gate; or null
+    //   objective    - what ranks finished runs on the high-score table and picks the
+    //                  ghost to race: 'score', 'distance', or 'gates' (most gates, then
+    //                  whoever reached the last of them soonest); see compareRuns
+    const MODE_DEFAULTS = {
+        spawnScale: 1,
+        ramp: true,
+        trafficSpeed: 1,
+        collisions: 'damage',
+        brakes: true,
+        scoring: 'speed',
+        timeLimit: null,
+        checkpoints: null,
+        objective: 'score'
+    };
+
+    const GAME_MODES = [
+        { id: 'endless', label: 'Endless', description: 'Drive until you wreck. Traffic gets busier as your score climbs.' },
+        {
+            id: 'timeTrial',
+            label: 'Time Trial',
+            description: 'Get as far as you can in 90 seconds.',
+            timeLimit: 90,
+            objective: 'distance'
+        },
+        {
+            id: 'checkpoints',
+            label: 'Checkpoint Rush',
+            description: 'Reach each gate before the clock runs out. Every gate adds time.',
+            checkpoints: { spacing: 500, time: 25, extension: 15 },
+            objective: 'gates'
+        },
+        {
+            id: 'zen',
+            label: 'Zen',
+            description: 'Three minutes with no crashes: cars pass through you. Keep clear of them to build up a score multiplier.',
+            collisions: 'none',
+            scoring: 'clean',
+            timeLimit: 180
+        },
+        {
+            id: 'hardcore',
+            label: 'Hardcore',
+            description: 'Faster, busier traffic, and no brakes.',
+            spawnScale: 0.75,
+            trafficSpeed: 1.6,
+            brakes: false
+        }
+    ].map(mode => Object.assign({}, MODE_DEFAULTS, mode));
+
+    function modeById(id) {
+        return GAME_MODES.find(mode => mode.id === id) || GAME_MODES[0];
+    }
+
+    // Orders two finished runs for the mode's objective, best first: negative
+    // when `a` ranks above `b`. Runs are runSummary() results or anything
+    // made from them (leaderboard entries, ghosts); ties go to the higher score.
+    const OBJECTIVES = {
+        score: () => 0,
+        distance: (a, b) => figure(b, 'distance') - figure(a, 'distance'),
+        gates: (a, b) => figure(b, 'gates') - figure(a, 'gates') || figure(a, 'gateTime') - figure(b, 'gateTime')
+    };
+
+    // Runs saved before a field existed rank as if it were 0
+    function figure(run, field) {
+        return Number.isFinite(run[field]) ? run[field] : 0;
+    }
+
+    function compareRuns(mode, a, b) {
+        return OBJECTIVES[mode.objective](a, b) || figure(b, 'score') - figure(a, 'score');
+    }
+
+    // The mode's running state: the clock in ticks (null when untimed), the
+    // next gate as a distance along the road, the tick the last one was
+    // reached, and the clean streak.
+    // `ticksPerSecond` is the core's tick rate; the core requires this module,
+    // so it hands the rate over rather than this module requiring the core.
+    function createRace(mode, ticksPerSecond) {
+        const checkpoints = mode.checkpoints;
+        const seconds = checkpoints ? checkpoints.time : mode.timeLimit;
+        return {
+            timeLeft: seconds === null ? null : seconds * ticksPerSecond,
+            extension: checkpoints ? checkpoints.extension * ticksPerSecond : 0, // ticks added at each gate
+            nextGate: checkpoints ? checkpoints.spacing : null,
+            gates: 0,
+            gateTick: 0,
+            clean: 1,
+            cleanTicks: 0,
+            timeUp: false
+        };
+    }
+
+    // Input as the mode allows it
+    function applyRules(state, input) {
+        if (!state.mode.brakes) input.brake = 0;
+        return input;
+    }
+
+    function scoreMultiplier(state) {
+        return state.mode.scoring === 'clean' ? state.race.clean : 1;
+    }
+
+    // The player drove through a car (no collisions in this mode). Marked
+    // `scraped` like a side swipe, so it only counts once.
+    function passThrough(state, obstacle) {
+        obstacle.scraped = true;
+        obstacle.nearMissChecked = true;
+        const race = state.race;
+        race.cleanTicks = 0;
+        if (race.clean === 1) return;
+        race.clean = 1;
+        emit(state, 'cleanLost', { obstacleId: obstacle.id });
+    }
+
+    // Once per tick, after everything has moved: the clean streak, gates and the clock
+    function updateRace(state) {
+        const race = state.race;
+        const mode = state.mode;
+        if (mode.scoring === 'clean' && ++race.cleanTicks >= CLEAN_TICKS && race.clean < MAX_CLEAN) {
+            race.clean++;
+            race.cleanTicks = 0;
+            emit(state, 'cleanStreak', { multiplier: race.clean });
+        }
+        if (race.nextGate !== null && -state.player.position.z >= race.nextGate) {
+            race.gates++;
+            race.gateTick = state.tick;
+            race.nextGate += mode.checkpoints.spacing;
+            race.timeLeft += race.extension;
+            emit(state, 'checkpoint', { gates: race.gates, extension: mode.checkpoints.extension, timeLeft: race.timeLeft });
+        }
+        if (race.timeLeft !== null && --race.timeLeft <= 0) {
+            race.timeLeft = 0;
+            race.timeUp = true;
+            state.gameOver = true;
+            emit(state, 'timeUp', {});
+        }
+    }
+
+    return {
+        GAME_MODES,
+        modeById,
+        compareRuns,
+        createRace,
+        applyRules,
+        scoreMultiplier,
+        passThrough,
+        updateRace
+    };
+});
@@ -0,0 +1,107 @@
+// Plausibility checks for submitted runs. Each check is an upper bound the
+// real game can never exceed: speed is capped by the car's maxSpeedZ plus
+// the score bonus and nitro (see speedCap in core.js), and score, distance and
+// top speed all follow from that cap and the run length. Near-miss bonuses
+// come on top, at most one per car the run could have met.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core.js'), require('./powerups.js'), require('./scoring.js'), require('./cars.js'));
+    } else {
+        Object.assign(root, factory(root, root, root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function (core, { NITRO_SPEED_BONUS }, { NEAR_MISS_POINTS, MAX_COMBO }, { CARS }) {
+    const { PHYSICS, TICKS_PER_SECOND, SCORE_TICKS, SCORE_PER_SPEED, speedCap, maxObstacleSpawns } = core;
+    const MAX_NEAR_MISS_BONUS = NEAR_MISS_POINTS * MAX_COMBO;
+    const MAX_RUN_TICKS = TICKS_PER_SECOND * 60 * 60 * 6; // six hours
+    const START_OFFSET = 2; // the player starts at z = 2
+    const ROUNDING = 0.2; // submitted figures are rounded to one decimal
+    // What each submitted figure must be before any range check: a numeric
+    // string compares like a number but breaks whoever displays the entry
+    const FIELDS = {
+        ticks: Number.isInteger,
+        score: Number.isInteger,
+        nearMisses: Number.isInteger,
+        distance: Number.isFinite,
+        topSpeed: Number.isFinite,
+        duration: Number.isFinite,
+        gates: Number.isInteger,
+        gateTime: Number.isFinite
+    };
+
+    // Most points one score update can add while the score is at most `score`
+    function maxScoreStep(maxSpeedZ, score) {
+        return Math.floor(speedCap(maxSpeedZ, score, NITRO_SPEED_BONUS) * SCORE_PER_SPEED);
+    }
+
+    // Problems with a submitted run; an empty list means it could be genuine.
+    // `run` holds car, ticks, the figures in FIELDS and timeline (the score
+    // at the end of every whole second).
+    function checkRun(run) {
+        const problems = [];
+        const car = CARS.find(c => c.id === run.car);
+        if (!car) return [`unknown car "${run.car}"`];
+        for (const [field, isValid] of Object.entries(FIELDS)) {
+            if (!isValid(run[field])) {
+                return [`${field} is not a ${isValid === Number.isInteger ? 'whole number' : 'number'}`];
+            }
+        }
+        if (run.ticks <= 0 || run.ticks > MAX_RUN_TICKS) return ['run length is out of range'];
+        if (run.score < 0) return ['score is negative'];
+
+        const maxSpeedZ = Object.assign({}, PHYSICS, car.handling).maxSpeedZ;
+        const topCap = speedCap(maxSpeedZ, run.score, NITRO_SPEED_BONUS);
+
+        if (Math.abs(run.duration - run.ticks / TICKS_PER_SECOND) > ROUNDING) {
+            problems.push('duration does not match the run length');
+        }
+        if (run.topSpeed < 0 || run.topSpeed > topCap * TICKS_PER_SECOND + ROUNDING) {
+            problems.push('top speed is above the speed cap');
+        }
+        if (run.distance < 0 || run.distance > run.ticks * topCap + START_OFFSET + 1) {
+            problems.push('distance is further than the speed cap allows');
+        }
+        if (run.nearMisses < 0) return problems.concat('near-miss count is negative');
+        if (run.nearMisses > maxObstacleSpawns(run.ticks, run.distance + START_OFFSET + 1)) {
+            return problems.concat('more near misses than cars on the road');
+        }
+        // Every score update adds floor(velocityZ * SCORE_PER_SPEED) and
+        // velocityZ is at most one tick of travel
+        const bonus = run.nearMisses * MAX_NEAR_MISS_BONUS;
+        if (run.score > Math.floor(run.ticks / SCORE_TICKS) * maxScoreStep(maxSpeedZ, run.score) + bonus) {
+            problems.push('score is higher than the run length allows');
+        }
+        if (run.score > (run.distance + START_OFFSET + 1) * SCORE_PER_SPEED / SCORE_TICKS + maxScoreStep(maxSpeedZ, run.score) * 2 + bonus) {
+            problems.push('score is higher than the distance driven allows');
+        }
+
+        problems.push(...checkTimeline(run, maxSpeedZ, bonus));
+        return problems;
+    }
+
+    // The score each second must only grow, and no faster than the cap allows;
+    // anything above that has to come out of the near-miss bonus
+    function checkTimeline(run, maxSpeedZ, bonus) {
+        const timeline = run.timeline;
+        if (!Array.isArray(timeline) || timeline.length !== Math.floor(run.ticks / TICKS_PER_SECOND)) {
+            return ['score timeline is missing or the wrong length'];
+        }
+        const updatesPerSecond = TICKS_PER_SECOND / SCORE_TICKS;
+        const points = timeline.concat(run.score);
+        let previous = 0;
+        for (let i = 0; i < points.length; i++) {
+            const score = points[i];
+            if (!Number.isInteger(score) || score < previous) {
+                return [`score timeline goes backwards at ${i} s`];
+            }
+            bonus -= Math.max(0, score - previous - updatesPerSecond * maxScoreStep(maxSpeedZ, score));
+            if (bonus < 0) {
+                return [`score timeline jumps too fast at ${i} s`];
+            }
+            previous = score;
+        }
+        return [];
+    }
+
+    return { checkRun };
+});
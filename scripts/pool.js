@@ -0,0 +1,125 @@
+// Rendering resource management - shared GPU assets and reusable scene objects.
+// Browser-only: the simulation core never touches these.
+
+// Geometries, materials and textures are created once per key and shared by
+// every mesh that asks for them, so spawning a car or a cloud uploads nothing
+// new to the GPU. Textures load through `manager` (a THREE.LoadingManager)
+// when given, so they count towards the preloader's progress.
+class AssetCache {
+    constructor(manager) {
+        this.geometries = new Map();
+        this.materials = new Map();
+        this.textures = new Map();
+        this.textureLoader = new THREE.TextureLoader(manager);
+    }
+
+    geometry(key, create) {
+        if (!this.geometries.has(key)) this.geometries.set(key, create());
+        return this.geometries.get(key);
+    }
+
+    material(key, create) {
+        if (!this.materials.has(key)) this.materials.set(key, create());
+        return this.materials.get(key);
+    }
+
+    // Loads each texture URL once; `setup` runs on the first load only
+    texture(url, setup) {
+        if (!this.textures.has(url)) {
+            const texture = this.textureLoader.load(url);
+            if (setup) setup(texture);
+            this.textures.set(url, texture);
+        }
+        return this.textures.get(url);
+    }
+
+    // Free every asset's GPU copy. As with three.js's own dispose(), the
+    // assets stay usable and are uploaded again the next time they are drawn,
+    // so the cache keeps them for the meshes still using them.
+    dispose() {
+        this.geometries.forEach(geometry => geometry.dispose());
+        this.materials.forEach(material => material.dispose());
+        this.textures.forEach(texture => texture.dispose());
+    }
+}
+
+// Free list of scene objects. Released objects leave the scene and wait for
+// the next acquire() instead of being rebuilt; anything beyond maxFree is
+// dropped (it only references shared assets, so there is nothing to dispose).
+class ObjectPool {
+    constructor(create, maxFree = 64) {
+        this.create = create;
+        this.maxFree = maxFree;
+        this.free = [];
+        this.created = 0;
+    }
+
+    acquire(parent) {
+        let object = this.free.pop();
+        if (!object) {
+            object = this.create();
+            this.created++;
+        }
+        object.visible = true;
+        parent.add(object);
+        return object;
+    }
+
+    release(object) {
+        if (object.parent) object.parent.remove(object);
+        if (this.free.length < this.maxFree) this.free.push(object);
+    }
+}
+
+// Draws every copy of a small repeated part (wheels, headlights) in a single
+// call. Parts are marked by empty anchor objects inside each car; every frame
+// the anchors' world matrices are copied into the instance buffer.
+class InstancedPart {
+    constructor(scene, geometry, material, capacity = 64) {
+        this.scene = scene;
+        this.geometry = geometry;
+        this.material = material;
+        this.mesh = null;
+        this.count = 0;
+        this.allocate(capacity);
+    }
+
+    allocate(capacity) {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.dispose();
+        }
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.frustumCulled = false; // instances span the whole road
+        this.capacity = capacity;
+        this.scene.add(this.mesh);
+    }
+
+    begin() {
+        this.count = 0;
+    }
+
+    add(matrix) {
+        if (this.count >= this.capacity) this.grow();
+        this.mesh.setMatrixAt(this.count++, matrix);
+    }
+
+    end() {
+        this.mesh.count = this.count;
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    // Double the buffer, keeping the matrices written so far this frame
+    grow() {
+        const previous = this.mesh;
+        const matrix = new THREE.Matrix4();
+        const written = [];
+        for (let i = 0; i < this.count; i++) {
+            previous.getMatrixAt(i, matrix);
+            written.push(matrix.clone());
+        }
+        this.allocate(this.capacity * 2);
+        written.forEach((m, i) => this.mesh.setMatrixAt(i, m));
+    }
+}
@@ -0,0 +1,137 @@
+// Collectibles and timed power-up effects: shield, nitro, slow-motion and magnet.
+// Operates on GameState; no DOM or THREE.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./collision.js'), require('./traffic.js'), require('./scoring.js'));
+    } else {
+        Object.assign(root, factory(root, root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ CollisionDetector }, { laneCenter, findFreeLane }, { emit }) {
+    // Durations are in 60 Hz ticks
+    const POWERUPS = {
+        shield: { label: 'Shield', duration: 900 },   // absorbs one collision
+        nitro: { label: 'Nitro', duration: 300 },     // raises the speed cap
+        slowmo: { label: 'Slow-Mo', duration: 360 },  // traffic moves at half speed
+        magnet: { label: 'Magnet', duration: 600 }    // pulls in collectibles
+    };
+    const POWERUP_KINDS = Object.keys(POWERUPS);
+
+    const POWERUP_SPAWN_CHANCE = 0.2; // per traffic spawn
+    const PICKUP_RADIUS = 0.5;
+    const NITRO_SPEED_BONUS = 0.3;
+    const NITRO_ACCELERATION = 1.5; // throttle multiplier while boosting
+    const SLOWMO_SCALE = 0.5;
+    const MAGNET_RANGE = 12;
+    const MAGNET_PULL = 0.35; // distance per tick a pulled pickup travels
+
+    const collisionDetector = new CollisionDetector();
+
+    function createEffects() {
+        const effects = {};
+        POWERUP_KINDS.forEach(kind => { effects[kind] = 0; });
+        return effects;
+    }
+
+    function createPickup(state, kind, x, z) {
+        const pickup = {
+            id: state.nextPickupId++,
+            kind,
+            position: { x, y: 0.5, z },
+            prevPosition: { x, y: 0.5, z }
+        };
+        state.pickups.push(pickup);
+        return pickup;
+    }
+
+    // Called with each traffic spawn: sometimes drop a power-up in a free lane
+    function maybeSpawnPowerup(state, lanes, z) {
+        if (state.random() >= POWERUP_SPAWN_CHANCE) return;
+        const kind = POWERUP_KINDS[Math.floor(state.random() * POWERUP_KINDS.length)];
+        const lane = findFreeLane(state, lanes, z);
+        if (lane < 0) return;
+        createPickup(state, kind, laneCenter(lane), z);
+    }
+
+    function activatePowerup(state, kind) {
+        state.effects[kind] = POWERUPS[kind].duration;
+    }
+
+    // Collectible handlers by kind; power-ups start their effect
+    const collectHandlers = {};
+    POWERUP_KINDS.forEach(kind => {
+        collectHandlers[kind] = state => activatePowerup(state, kind);
+    });
+
+    // Magnet pull, pickup collision and cleanup for every collectible
+    function updatePickups(state) {
+        const player = state.player;
+        for (let i = state.pickups.length - 1; i >= 0; i--) {
+            const pickup = state.pickups[i];
+            pickup.prevPosition.x = pickup.position.x;
+            pickup.prevPosition.z = pickup.position.z;
+
+            if (state.effects.magnet > 0) {
+                const dx = player.position.x - pickup.position.x;
+                const dz = player.position.z - pickup.position.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                if (distance < MAGNET_RANGE && distance > 0) {
+                    const pull = Math.min(MAGNET_PULL, distance) / distance;
+                    pickup.position.x += dx * pull;
+                    pickup.position.z += dz * pull;
+                }
+            }
+
+            if (collisionDetector.checkPickupCollision(player, pickup, PICKUP_RADIUS)) {
+                state.pickups.splice(i, 1);
+                collectHandlers[pickup.kind](state, pickup);
+                emit(state, 'pickup', { kind: pickup.kind });
+            } else if (pickup.position.z > player.position.z + 15) {
+                state.pickups.splice(i, 1);
+            }
+        }
+    }
+
+    // Count down active effects
+    function updateEffects(state) {
+        POWERUP_KINDS.forEach(kind => {
+            if (state.effects[kind] > 0) state.effects[kind]--;
+        });
+    }
+
+    // A hit while shielded uses up the shield instead of ending the run
+    function absorbHit(state) {
+        if (state.effects.shield <= 0) return false;
+        state.effects.shield = 0;
+        return true;
+    }
+
+    function speedCapBonus(state) {
+        return state.effects.nitro > 0 ? NITRO_SPEED_BONUS : 0;
+    }
+
+    function accelerationScale(state) {
+        return state.effects.nitro > 0 ? NITRO_ACCELERATION : 1;
+    }
+
+    // Multiplier on every obstacle's movementSpeed
+    function trafficTimeScale(state) {
+        return state.effects.slowmo > 0 ? SLOWMO_SCALE : 1;
+    }
+
+    return {
+        POWERUPS,
+        POWERUP_KINDS,
+        NITRO_SPEED_BONUS,
+        createEffects,
+        createPickup,
+        collectHandlers,
+        maybeSpawnPowerup,
+        updatePickups,
+        updateEffects,
+        absorbHit,
+        speedCapBonus,
+        accelerationScale,
+        trafficTimeScale
+    };
+});
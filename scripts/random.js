@@ -0,0 +1,29 @@
+// Seeded pseudo-random numbers, so a run can be replayed from its seed.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Mulberry32: a 32-bit state generator, small and fast with good enough
+    // statistics for gameplay. Returns a function giving numbers in [0, 1).
+    function createRandom(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6d2b79f5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // A fresh unsigned 32-bit seed for a new run
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    return { createRandom, randomSeed };
+});
@@ -0,0 +1,152 @@
+// Run replays: per-tick input recording and deterministic playback.
+// A run is fully determined by its seed, the game mode, the car's handling,
+// the collision hulls and the input on every tick, so that is all a replay
+// stores.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core.js'), require('./cars.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function (core, { carById }) {
+    const { GameState, step, NO_INPUT, INPUT_STEPS, HULLS, normalizeInput } = core;
+    const REPLAY_VERSION = 5; // 5 added the game mode; older replays are Endless
+    const SUPPORTED_VERSIONS = [1, 2, 3, 4, 5];
+    const FIRST_WEATHER_VERSION = 3; // older replays were driven on a dry road
+    const FIRST_DAMAGE_VERSION = 4; // and ended on the first hit
+
+    // One tick of input packed into a small integer, in steps of 1/INPUT_STEPS
+    // (the resolution step() rounds analog input to): bits 0-6 steer + 1,
+    // bits 7-12 throttle, bits 13-18 brake
+    function encodeInput(input) {
+        const { steer, throttle, brake } = normalizeInput(input);
+        return Math.round((steer + 1) * INPUT_STEPS) |
+            Math.round(throttle * INPUT_STEPS) << 7 |
+            Math.round(brake * INPUT_STEPS) << 13;
+    }
+
+    function decodeInput(code, version) {
+        if (version === 1) {
+            // Keyboard-only replays: bits 0-1 steer + 1, bit 2 throttle, bit 3 brake
+            return { steer: (code & 3) - 1, throttle: (code >> 2) & 1, brake: (code >> 3) & 1 };
+        }
+        return {
+            steer: (code & 127) / INPUT_STEPS - 1,
+            throttle: ((code >> 7) & 63) / INPUT_STEPS,
+            brake: ((code >> 13) & 63) / INPUT_STEPS
+        };
+    }
+
+    // Inputs are kept run-length encoded as [code, ticks] pairs; held keys
+    // make a minute of driving only a few hundred pairs (a gamepad rather more).
+    class ReplayRecorder {
+        constructor(state, carId) {
+            this.seed = state.seed;
+            this.mode = state.mode.id;
+            this.car = carId;
+            this.inputs = [];
+        }
+
+        record(input) {
+            const code = encodeInput(input);
+            const last = this.inputs[this.inputs.length - 1];
+            if (last && last[0] === code) last[1]++;
+            else this.inputs.push([code, 1]);
+        }
+
+        // The replay as a plain object, with the run's outcome for checking playback
+        toJSON(state) {
+            return {
+                version: REPLAY_VERSION,
+                seed: this.seed,
+                mode: this.mode,
+                car: this.car,
+                hulls: JSON.parse(JSON.stringify(HULLS)),
+                inputs: this.inputs,
+                result: { ticks: state.tick, score: state.score, gameOver: state.gameOver }
+            };
+        }
+    }
+
+    // Hands back the recorded inputs one tick at a time, then NO_INPUT
+    class ReplayPlayer {
+        constructor(replay) {
+            this.replay = replay;
+            this.run = 0;
+            this.used = 0;
+        }
+
+        get finished() {
+            return this.run >= this.replay.inputs.length;
+        }
+
+        next() {
+            if (this.finished) return NO_INPUT;
+            const [code, ticks] = this.replay.inputs[this.run];
+            if (++this.used >= ticks) {
+                this.run++;
+                this.used = 0;
+            }
+            return decodeInput(code, this.replay.version);
+        }
+    }
+
+    function isVector(vector, isValid) {
+        return Boolean(vector) && ['x', 'y', 'z'].every(axis => isValid(vector[axis]));
+    }
+
+    // A box with a real size, centred somewhere finite
+    function isHull(hull) {
+        return Boolean(hull) &&
+            isVector(hull.halfExtents, size => Number.isFinite(size) && size > 0) &&
+            isVector(hull.offset, Number.isFinite);
+    }
+
+    function parseReplay(text) {
+        const replay = JSON.parse(text);
+        if (!replay || !SUPPORTED_VERSIONS.includes(replay.version)) {
+            throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+        }
+        if (!Array.isArray(replay.inputs) || !Number.isInteger(replay.seed)) {
+            throw new Error('Replay is missing its seed or inputs');
+        }
+        if (!replay.hulls || !isHull(replay.hulls.player) || !isHull(replay.hulls.obstacle)) {
+            throw new Error('Replay is missing its collision hulls');
+        }
+        return replay;
+    }
+
+    // A fresh state set up exactly like the recorded run's first tick. It
+    // collides with copies of the recorded hulls, so playback never changes
+    // the ones live runs use.
+    function createReplayState(replay) {
+        return new GameState({
+            seed: replay.seed,
+            mode: replay.mode,
+            handling: carById(replay.car).handling,
+            weather: replay.version >= FIRST_WEATHER_VERSION,
+            damage: replay.version >= FIRST_DAMAGE_VERSION,
+            hulls: JSON.parse(JSON.stringify(replay.hulls))
+        });
+    }
+
+    // Play a replay headlessly to the end of its recording
+    function playReplay(replay) {
+        const state = createReplayState(replay);
+        const player = new ReplayPlayer(replay);
+        while (!state.gameOver && !player.finished) {
+            step(state, player.next());
+        }
+        return state;
+    }
+
+    return {
+        REPLAY_VERSION,
+        ReplayRecorder,
+        ReplayPlayer,
+        parseReplay,
+        createReplayState,
+        playReplay
+    };
+});
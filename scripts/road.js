@@ -0,0 +1,112 @@
+// Procedural road: a Catmull-Rom spline through control points one segment
+// apart, with gentle curves and hills generated from the run's seed.
+// The simulation works in road coordinates - x across the road from the
+// centreline, z along it (s = -z is the distance driven) - so the rules never
+// see the curves. The renderer maps road coordinates to the world with
+// frameAt()/toWorld().
+// Operates on plain numbers; no DOM or THREE.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ createRandom }) {
+    const STRAIGHT_SEGMENTS = 3; // the start line is straight and flat
+    const KEEP_BEHIND = 6; // segments kept behind the player for the camera and scenery
+    // Per segment: heading change of at most MAX_TURN (a curve radius of about
+    // 400 units on 50 unit segments), changing by up to TURN_STEP each time
+    const MAX_TURN = 0.12;
+    const TURN_STEP = 0.05;
+    const MAX_HEIGHT = 6;
+    const MAX_CLIMB = 1.5; // a 3% grade on 50 unit segments
+
+    class Road {
+        constructor(seed, segmentLength) {
+            this.random = createRandom(seed);
+            this.segmentLength = segmentLength;
+            this.first = -KEEP_BEHIND; // index of points[0]; point i is at s = i * segmentLength
+            this.points = [];
+            this.yaw = 0; // heading of the last segment, 0 is straight down -z
+            this.turn = 0;
+            this.height = 0;
+            for (let i = this.first; i <= STRAIGHT_SEGMENTS; i++) {
+                this.points.push({ x: 0, y: 0, z: -i * segmentLength });
+            }
+        }
+
+        // Control points are generated in order as the road is driven, so the
+        // same seed always lays the same road
+        extend() {
+            const random = this.random;
+            this.turn = Math.max(-MAX_TURN, Math.min(MAX_TURN, this.turn + (random() - 0.5) * 2 * TURN_STEP));
+            if (random() < 0.25) this.turn *= 0.5; // straighten out now and then
+            this.yaw += this.turn;
+            this.height = Math.max(0, Math.min(MAX_HEIGHT, this.height + (random() - 0.5) * 2 * MAX_CLIMB));
+            const last = this.points[this.points.length - 1];
+            this.points.push({
+                x: last.x - Math.sin(this.yaw) * this.segmentLength,
+                y: this.height,
+                z: last.z - Math.cos(this.yaw) * this.segmentLength
+            });
+        }
+
+        point(i) {
+            while (i >= this.first + this.points.length) this.extend();
+            return this.points[Math.max(0, i - this.first)];
+        }
+
+        // Recycle the control points far behind distance `s`
+        trim(s) {
+            const drop = Math.floor(s / this.segmentLength) - KEEP_BEHIND - this.first;
+            if (drop <= 0) return;
+            this.points.splice(0, drop);
+            this.first += drop;
+        }
+
+        // Centreline position, heading (yaw, as THREE's rotation.y) and
+        // pitch at distance `s`. Pass `out` to avoid allocating.
+        frameAt(s, out = {}) {
+            const u = s / this.segmentLength;
+            const i = Math.floor(u);
+            const t = u - i;
+            const p0 = this.point(i - 1), p1 = this.point(i), p2 = this.point(i + 1), p3 = this.point(i + 2);
+            const position = key => catmullRom(p0[key], p1[key], p2[key], p3[key], t);
+            const tangent = key => catmullRomSlope(p0[key], p1[key], p2[key], p3[key], t);
+            const dx = tangent('x'), dy = tangent('y'), dz = tangent('z');
+            out.x = position('x');
+            out.y = position('y');
+            out.z = position('z');
+            out.yaw = Math.atan2(-dx, -dz);
+            out.pitch = Math.atan2(dy, Math.hypot(dx, dz));
+            return out;
+        }
+
+        // World position of road coordinates (x across, y up, z along)
+        toWorld(x, y, z, out = {}) {
+            const frame = this.frameAt(-z, scratchFrame);
+            const sinYaw = Math.sin(frame.yaw), cosYaw = Math.cos(frame.yaw);
+            const sinPitch = Math.sin(frame.pitch), cosPitch = Math.cos(frame.pitch);
+            // right = (cos yaw, 0, -sin yaw), up = right x forward
+            out.x = frame.x + x * cosYaw + y * sinPitch * sinYaw;
+            out.y = frame.y + y * cosPitch;
+            out.z = frame.z - x * sinYaw + y * sinPitch * cosYaw;
+            return out;
+        }
+    }
+
+    const scratchFrame = {};
+
+    function catmullRom(p0, p1, p2, p3, t) {
+        return 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t +
+            (3 * p1 - p0 - 3 * p2 + p3) * t * t * t);
+    }
+
+    function catmullRomSlope(p0, p1, p2, p3, t) {
+        return 0.5 * ((p2 - p0) + 2 * (2 * p0 - 5 * p1 + 4 * p2 - p3) * t +
+            3 * (3 * p1 - p0 - 3 * p2 + p3) * t * t);
+    }
+
+    return { STRAIGHT_SEGMENTS, MAX_TURN, MAX_HEIGHT, MAX_CLIMB, Road };
+});
@@ -0,0 +1,143 @@
+// Roadside props, backdrop shapes and ground textures for the biomes
+// (biomes.js), built from shared assets (pool.js).
+// Browser-only: the simulation core never touches these.
+
+// How far from the centreline each prop kind stands, [nearest, furthest]
+const PROP_SETBACKS = {
+    tree: [8, 16],
+    bush: [7, 12],
+    pine: [8, 16],
+    cactus: [8, 15],
+    rock: [7, 14],
+    building: [20, 36],
+    lampPost: [6.5, 6.5]
+};
+const PROP_KINDS = Object.keys(PROP_SETBACKS);
+
+const BUILDING_COLORS = [0x7f8c8d, 0xa39e93, 0x5d6d7e, 0xc9b79c, 0x8e6e53];
+
+function lambert(assets, key, color, extra) {
+    return assets.material(key, () => new THREE.MeshLambertMaterial(Object.assign({ color }, extra)));
+}
+
+// Lamp bulbs glow brighter after dark (see updateAtmosphere in game.js)
+function lampBulbMaterial(assets) {
+    return lambert(assets, 'prop-bulb', 0xfff3c4, { emissive: 0xfff3c4, emissiveIntensity: 0.2 });
+}
+
+// A prop stands on its own origin; the kind's parts share geometry and
+// materials. Buildings get their colour and height on placement.
+function buildProp(kind, assets) {
+    const group = new THREE.Group();
+    const part = (geometryKey, createGeometry, material, y) => {
+        const mesh = new THREE.Mesh(assets.geometry(geometryKey, createGeometry), material);
+        mesh.position.y = y;
+        mesh.castShadow = true;
+        group.add(mesh);
+        return mesh;
+    };
+    const bark = lambert(assets, 'prop-bark', 0x6b4226);
+    switch (kind) {
+        case 'tree':
+            part('prop-trunk', () => new THREE.CylinderGeometry(0.25, 0.35, 2, 6), bark, 1);
+            part('prop-crown', () => new THREE.IcosahedronGeometry(1.6, 0), lambert(assets, 'prop-leaves', 0x2e8b3a), 3.2);
+            break;
+        case 'bush':
+            part('prop-bush', () => new THREE.IcosahedronGeometry(0.9, 0), lambert(assets, 'prop-bush', 0x3f9b45), 0.5);
+            break;
+        case 'pine':
+            part('prop-trunk', () => new THREE.CylinderGeometry(0.25, 0.35, 2, 6), bark, 1);
+            part('prop-pine', () => new THREE.ConeGeometry(1.5, 3.5, 7), lambert(assets, 'prop-needles', 0x1f5e3a), 3.2);
+            part('prop-pine-snow', () => new THREE.ConeGeometry(0.8, 1.5, 7), lambert(assets, 'prop-snow', 0xffffff), 4.6);
+            break;
+        case 'cactus': {
+            const green = lambert(assets, 'prop-cactus', 0x4f8a3c);
+            part('prop-cactus', () => new THREE.CylinderGeometry(0.3, 0.35, 3, 7), green, 1.5);
+            [-1, 1].forEach(side => {
+                const arm = part('prop-cactus-arm', () => new THREE.CylinderGeometry(0.2, 0.2, 1.2, 6), green, 1.8 + side * 0.3);
+                arm.position.x = side * 0.55;
+            });
+            break;
+        }
+        case 'rock':
+            part('prop-rock', () => new THREE.DodecahedronGeometry(0.8, 0), lambert(assets, 'prop-rock', 0x8d8478), 0.3);
+            break;
+        case 'building': {
+            // A unit-high block scaled to height on placement
+            const block = part('prop-building', () => new THREE.BoxGeometry(8, 1, 8).translate(0, 0.5, 0),
+                lambert(assets, `prop-building-${BUILDING_COLORS[0]}`, BUILDING_COLORS[0]), 0);
+            group.userData.block = block;
+            break;
+        }
+        default: { // lamp post, its arm reaching over the road's edge
+            const metal = lambert(assets, 'prop-metal', 0x555b61);
+            part('prop-pole', () => new THREE.CylinderGeometry(0.08, 0.1, 4.5, 6), metal, 2.25);
+            const arm = part('prop-lamp-arm', () => new THREE.BoxGeometry(1.2, 0.08, 0.08), metal, 4.45);
+            arm.position.x = -0.55;
+            const bulb = part('prop-bulb', () => new THREE.SphereGeometry(0.18, 8, 6), lampBulbMaterial(assets), 4.3);
+            bulb.position.x = -1.1;
+            bulb.castShadow = false;
+        }
+    }
+    group.userData.kind = kind;
+    return group;
+}
+
+// Vary a freshly placed prop: size, and a building's height and colour.
+// `random` returns numbers in [0, 1).
+function varyProp(prop, random, assets) {
+    if (prop.userData.kind === 'building') {
+        const color = BUILDING_COLORS[Math.floor(random() * BUILDING_COLORS.length)];
+        prop.userData.block.material = lambert(assets, `prop-building-${color}`, color);
+        prop.scale.set(1, 8 + random() * 30, 1);
+        return;
+    }
+    prop.scale.setScalar(0.8 + random() * 0.5);
+}
+
+// Horizon shapes, with their base at y = 0
+function backdropGeometry(shape, assets) {
+    return assets.geometry(`backdrop-${shape}`, () => {
+        switch (shape) {
+            case 'mesa': return new THREE.CylinderGeometry(18, 26, 16, 7).translate(0, 8, 0);
+            case 'tower': return new THREE.BoxGeometry(14, 60, 14).translate(0, 30, 0);
+            default: return new THREE.ConeGeometry(20, 40, 6).translate(0, 20, 0); // peak
+        }
+    });
+}
+
+function backdropMaterial(color, assets) {
+    return lambert(assets, `backdrop-${color}`, color, { transparent: true, opacity: 0.7 });
+}
+
+// A tileable speckled texture per biome. It is white with the speckles
+// shaded so that the ground material's colour tints it to the biome's
+// colours, which lets the colour blend smoothly between biomes.
+// Null where there is no 2D canvas.
+const groundTextures = new Map(); // biome id -> texture
+
+function groundTexture(biome) {
+    if (!groundTextures.has(biome.id)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 128;
+        const context = canvas.getContext('2d');
+        let texture = null;
+        if (context) {
+            const base = new THREE.Color(biome.ground.color), speckle = new THREE.Color(biome.ground.speckle);
+            const shade = ['r', 'g', 'b'].map(channel => Math.round(255 * Math.min(1, speckle[channel] / Math.max(base[channel], 0.01))));
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, 128, 128);
+            context.fillStyle = `rgb(${shade.join(',')})`;
+            const random = createRandom(biome.ground.color);
+            for (let i = 0; i < 600; i++) {
+                context.fillRect(Math.floor(random() * 128), Math.floor(random() * 128), 2, 2);
+            }
+            texture = new THREE.CanvasTexture(canvas);
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.repeat.set(100, 100);
+        }
+        groundTextures.set(biome.id, texture);
+    }
+    return groundTextures.get(biome.id);
+}
@@ -0,0 +1,75 @@
+// Score events, near-miss bonuses and the combo multiplier.
+// Everything that changes the score goes through addScore(), which also
+// reports it in state.events for the HUD (and anything else listening).
+// Operates on GameState; no DOM or THREE.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const NEAR_MISS_GAP = 0.6; // side gap under which passing a car is a near miss
+    const NEAR_MISS_POINTS = 50; // times the combo multiplier
+    const MAX_COMBO = 5;
+    // Durations are in 60 Hz ticks
+    const COMBO_HOLD_TICKS = 180; // the multiplier holds this long after a near miss
+    const COMBO_DECAY_TICKS = 60; // then drops by one this often
+
+    function createCombo() {
+        return { multiplier: 0, timer: 0 };
+    }
+
+    // Events are cleared at the start of every step, so after step() the list
+    // holds exactly what happened during that tick
+    function emit(state, type, data) {
+        state.events.push(Object.assign({ type, tick: state.tick }, data));
+    }
+
+    function addScore(state, points, reason) {
+        state.score += points;
+        emit(state, 'score', { points, reason, total: state.score });
+    }
+
+    // A car got past the player with little room: build the combo and pay out
+    function awardNearMiss(state, obstacle) {
+        const combo = state.combo;
+        combo.multiplier = Math.min(combo.multiplier + 1, MAX_COMBO);
+        combo.timer = COMBO_HOLD_TICKS;
+        state.stats.nearMisses++;
+        const points = NEAR_MISS_POINTS * combo.multiplier;
+        emit(state, 'nearMiss', { obstacleId: obstacle.id, multiplier: combo.multiplier, points });
+        addScore(state, points, 'nearMiss');
+    }
+
+    // Braking drops the combo at once; otherwise it decays after a while
+    function updateCombo(state, input) {
+        const combo = state.combo;
+        if (combo.multiplier === 0) return;
+        if (input.brake) {
+            combo.multiplier = 0;
+            combo.timer = 0;
+            emit(state, 'comboReset', { reason: 'brake' });
+            return;
+        }
+        if (--combo.timer > 0) return;
+        combo.multiplier--;
+        combo.timer = COMBO_DECAY_TICKS;
+        emit(state, combo.multiplier > 0 ? 'comboDecay' : 'comboReset',
+            { multiplier: combo.multiplier, reason: 'timeout' });
+    }
+
+    return {
+        NEAR_MISS_GAP,
+        NEAR_MISS_POINTS,
+        MAX_COMBO,
+        COMBO_HOLD_TICKS,
+        COMBO_DECAY_TICKS,
+        createCombo,
+        emit,
+        addScore,
+        awardNearMiss,
+        updateCombo
+    };
+});
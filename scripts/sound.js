@@ -0,0 +1,308 @@
+// Engine, passing traffic, one-shot effects and music, mixed through Web
+// Audio buses (master, music, effects) whose volumes are saved in
+// localStorage. Browser-only, and never throws: without Web Audio nothing
+// plays, nothing plays until the first click or key press (browsers block
+// autoplay), and a sound file that fails to load is synthesized instead
+// (music is simply left out).
+const SOUND_FILES = {
+    engine: 'assets/sound.mp3',
+    music: 'assets/music.mp3',
+    crash: 'assets/crash.mp3',
+    pass: 'assets/pass.mp3',
+    scrape: 'assets/scrape.mp3',
+    pickup: 'assets/pickup.mp3'
+};
+const DEFAULT_VOLUMES = { master: 0.8, music: 0.5, sfx: 0.8 };
+const SOUND_BUSES = Object.keys(DEFAULT_VOLUMES);
+const ENGINE_IDLE_RATE = 0.6; // engine playback rate at a standstill
+const ENGINE_TOP_RATE = 1.8; // and at the speed cap
+const ENGINE_NOTE = 55; // Hz of the synthesized engine at playback rate 1
+const TRAFFIC_VOICES = 3; // the nearest oncoming cars are heard
+const TRAFFIC_RANGE = 60; // units; further cars are silent
+const TRAFFIC_RATE = 1.4; // other cars idle higher than the player's engine
+// Units per second. Far slower than real sound, so the pitch drop as a car
+// goes by is easy to hear at game speeds.
+const SOUND_SPEED = 200;
+const SOUND_SMOOTHING = 0.05; // seconds for pitch and volume to settle
+
+class SoundManager {
+    constructor(storageKey = 'carGame.audio') {
+        this.storageKey = storageKey;
+        this.volumes = Object.assign({}, DEFAULT_VOLUMES);
+        this.muted = false;
+        this.context = null; // created on the first user gesture
+        this.buffers = {}; // sound name -> AudioBuffer, or null when it failed to load
+        this.engine = null;
+        this.traffic = [];
+        this.music = null;
+        this.load();
+
+        this.unlock = this.unlock.bind(this);
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            window.addEventListener(type, this.unlock, true);
+        });
+    }
+
+    load() {
+        const saved = loadStored(this.storageKey, {});
+        SOUND_BUSES.forEach(bus => {
+            if (typeof saved[bus] === 'number') this.volumes[bus] = clampVolume(saved[bus]);
+        });
+        this.muted = saved.muted === true;
+    }
+
+    save() {
+        store(this.storageKey, Object.assign({ muted: this.muted }, this.volumes));
+    }
+
+    // Browsers only start audio from a user gesture, so the context is
+    // created (or resumed, after the tab was suspended) on each one
+    unlock() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            try {
+                if (AudioContext) this.createGraph(new AudioContext());
+            } catch (e) {
+                console.warn('Web Audio is unavailable, playing without sound', e);
+            }
+            if (!this.context) {
+                ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+                    window.removeEventListener(type, this.unlock, true);
+                });
+                return;
+            }
+        }
+        if (this.context.state === 'suspended') this.context.resume().catch(() => {});
+    }
+
+    createGraph(context) {
+        this.buses = {};
+        SOUND_BUSES.forEach(bus => {
+            this.buses[bus] = context.createGain();
+            this.buses[bus].connect(bus === 'master' ? context.destination : this.buses.master);
+        });
+        this.context = context;
+        this.applyVolumes();
+        this.createEngineVoices();
+        Object.keys(SOUND_FILES).forEach(name => this.loadSound(name));
+    }
+
+    loadSound(name) {
+        const url = SOUND_FILES[name];
+        fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.arrayBuffer();
+            })
+            // The callback form also works in older Safari
+            .then(data => new Promise((resolve, reject) => this.context.decodeAudioData(data, resolve, reject)))
+            .then(buffer => {
+                this.buffers[name] = buffer;
+                if (name === 'engine') this.createEngineVoices();
+                if (name === 'music') this.startMusic();
+            })
+            .catch(e => {
+                this.buffers[name] = null;
+                console.warn(`Sound ${url} could not be loaded${name === 'music' ? '' : ', synthesizing it'}`, e);
+            });
+    }
+
+    // The player's engine and the traffic voices, rebuilt when the engine
+    // recording arrives
+    createEngineVoices() {
+        [this.engine].concat(this.traffic).forEach(voice => voice && voice.stop());
+        this.engine = this.createEngineVoice(null);
+        this.traffic = [];
+        for (let i = 0; i < TRAFFIC_VOICES; i++) {
+            this.traffic.push(this.createEngineVoice(this.context.createStereoPanner ? this.context.createStereoPanner() : null));
+        }
+    }
+
+    // A looping engine note: the recording if it loaded, otherwise a
+    // low-passed sawtooth. Starts silent; setRate() scales the pitch.
+    createEngineVoice(panner) {
+        const context = this.context;
+        const gain = context.createGain();
+        gain.gain.value = 0;
+        if (panner) {
+            gain.connect(panner);
+            panner.connect(this.buses.sfx);
+        } else {
+            gain.connect(this.buses.sfx);
+        }
+        let source, rate, scale;
+        if (this.buffers.engine) {
+            source = context.createBufferSource();
+            source.buffer = this.buffers.engine;
+            source.loop = true;
+            source.connect(gain);
+            rate = source.playbackRate;
+            scale = 1;
+        } else {
+            source = context.createOscillator();
+            source.type = 'sawtooth';
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 500;
+            source.connect(filter);
+            filter.connect(gain);
+            rate = source.frequency;
+            scale = ENGINE_NOTE;
+        }
+        source.start();
+        return {
+            gain: gain.gain,
+            panner,
+            setRate: value => rate.setTargetAtTime(value * scale, context.currentTime, SOUND_SMOOTHING),
+            stop: () => {
+                source.stop();
+                gain.disconnect();
+            }
+        };
+    }
+
+    startMusic() {
+        if (this.music || !this.buffers.music) return;
+        this.music = this.context.createBufferSource();
+        this.music.buffer = this.buffers.music;
+        this.music.loop = true;
+        this.music.connect(this.buses.music);
+        this.music.start();
+    }
+
+    fade(param, value) {
+        param.setTargetAtTime(value, this.context.currentTime, SOUND_SMOOTHING);
+    }
+
+    // Engine pitch follows `speed` (0 at a standstill to 1 at the speed cap)
+    // and the engine gets louder under `throttle` (0 to 1)
+    updateEngine(speed, throttle) {
+        if (!this.engine) return;
+        this.engine.setRate(ENGINE_IDLE_RATE + (ENGINE_TOP_RATE - ENGINE_IDLE_RATE) * speed + 0.1 * throttle);
+        this.fade(this.engine.gain, 0.25 + 0.15 * speed + 0.3 * throttle);
+    }
+
+    // The nearest oncoming cars each drive a traffic voice, panned to their
+    // side and pitched up while closing in and down once past (doppler).
+    // `listener` and `cars` are { x, z, vx, vz } in road coordinates, with
+    // velocities per tick; `cars` nearest first.
+    updateTraffic(listener, cars) {
+        this.traffic.forEach((voice, i) => {
+            const car = cars[i];
+            const dx = car ? car.x - listener.x : 0;
+            const dz = car ? car.z - listener.z : 0;
+            const distance = Math.max(Math.hypot(dx, dz), 1);
+            if (!car || distance > TRAFFIC_RANGE) {
+                this.fade(voice.gain, 0);
+                return;
+            }
+            // How fast the gap shrinks, in units per second (velocities are per core tick)
+            const closing = -((car.vx - listener.vx) * dx + (car.vz - listener.vz) * dz) / distance * TICKS_PER_SECOND;
+            voice.setRate(TRAFFIC_RATE * SOUND_SPEED / Math.max(SOUND_SPEED - closing, SOUND_SPEED / 2));
+            if (voice.panner) this.fade(voice.panner.pan, dx / distance);
+            this.fade(voice.gain, 0.3 * Math.pow(1 - distance / TRAFFIC_RANGE, 2));
+        });
+    }
+
+    // Engine and traffic fall quiet outside a run; music and effects go on
+    silence() {
+        if (!this.engine) return;
+        [this.engine].concat(this.traffic).forEach(voice => this.fade(voice.gain, 0));
+    }
+
+    // One-shot effect: 'crash', 'pass', 'scrape' or 'pickup'. Skipped while audio is
+    // still locked, rather than queued up to play all at once later.
+    play(name) {
+        if (!this.context || this.context.state !== 'running') return;
+        const buffer = this.buffers[name];
+        if (buffer) {
+            const source = this.context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(this.buses.sfx);
+            source.start();
+        } else {
+            SYNTHESIZED_EFFECTS[name](this.context, this.buses.sfx);
+        }
+    }
+
+    setVolume(bus, value) {
+        this.volumes[bus] = clampVolume(value);
+        this.applyVolumes();
+        this.save();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+        this.save();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        SOUND_BUSES.forEach(bus => {
+            const volume = bus === 'master' && this.muted ? 0 : this.volumes[bus];
+            this.fade(this.buses[bus].gain, volume);
+        });
+    }
+}
+
+function clampVolume(value) {
+    return Math.max(0, Math.min(1, Number(value) || 0));
+}
+
+// Stand-ins for effect files that failed to load
+const SYNTHESIZED_EFFECTS = {
+    // A burst of noise, dull and fading
+    crash(context, output) {
+        playNoise(context, output, 0.8, 'lowpass', 900, 900, 1);
+    },
+    // A rising and falling whoosh
+    pass(context, output) {
+        playNoise(context, output, 0.4, 'bandpass', 400, 2000, 0.6);
+    },
+    // A short metallic screech
+    scrape(context, output) {
+        playNoise(context, output, 0.35, 'highpass', 2500, 5000, 0.5);
+    },
+    // Two quick rising beeps
+    pickup(context, output) {
+        [880, 1320].forEach((frequency, i) => {
+            const start = context.currentTime + i * 0.08;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.3, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.12);
+            oscillator.connect(gain);
+            gain.connect(output);
+            oscillator.start(start);
+            oscillator.stop(start + 0.12);
+        });
+    }
+};
+
+// White noise through a filter that sweeps from `from` to `to` Hz and back,
+// fading out over `seconds`
+function playNoise(context, output, seconds, filterType, from, to, volume) {
+    const buffer = context.createBuffer(1, Math.ceil(context.sampleRate * seconds), context.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+    }
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    const filter = context.createBiquadFilter();
+    filter.type = filterType;
+    const now = context.currentTime;
+    filter.frequency.setValueAtTime(from, now);
+    filter.frequency.linearRampToValueAtTime(to, now + seconds / 2);
+    filter.frequency.linearRampToValueAtTime(from, now + seconds);
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + seconds);
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(output);
+    source.start(now);
+}
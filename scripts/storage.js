@@ -0,0 +1,39 @@
+// Saved settings and progress in localStorage. Reading or writing never
+// throws: storage can be unavailable or full (private browsing, quota), and
+// then the game carries on with what it has in memory.
+// Strings are saved as plain text, everything else as JSON.
+// Loaded as a plain <script> in the browser and through require() under Node,
+// where there is no localStorage unless the caller provides one.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // The value saved under `key`, or `fallback` when there is none, it can't
+    // be read, or it is not the same kind of value as `fallback`
+    function loadStored(key, fallback = null) {
+        try {
+            const text = localStorage.getItem(key);
+            if (text === null) return fallback;
+            if (typeof fallback === 'string') return text;
+            const value = JSON.parse(text);
+            if (fallback !== null && (value === null || typeof value !== typeof fallback)) return fallback;
+            return value;
+        } catch (e) {
+            console.warn(`Saved ${key} could not be loaded`, e);
+            return fallback;
+        }
+    }
+
+    function store(key, value) {
+        try {
+            localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+        } catch (e) {
+            console.warn(`${key} could not be saved`, e);
+        }
+    }
+
+    return { loadStored, store };
+});
@@ -0,0 +1,170 @@
+// Traffic AI - lane assignment, following distance and signalled lane changes.
+// Operates on the core's obstacle records; no DOM or THREE.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Four lanes across the 10-wide road
+    const LANE_COUNT = 4;
+    const LANE_WIDTH = 2.5;
+    // Cars hold a random line inside their lane so that between them they
+    // cover the whole road, lane markings included
+    const LANE_DRIFT = 0.55;
+
+    // Per 60 Hz tick, like the player physics
+    const TRAFFIC = {
+        spawnGap: 10,          // minimum distance between cars spawned in one lane
+        followDistance: 6,     // bumper gap a car keeps to the car ahead at its speed
+        minGap: 1.5,           // bumper gap at which a car comes to a stop
+        brakeRate: 0.002,      // speed lost per tick when closing in
+        accelerationRate: 0.0005,
+        laneChangeChance: 0.01, // per tick, while held up by a slower car
+        laneChangeClearance: 8, // free road needed ahead and behind in the new lane
+        laneChangeSpeed: 0.02, // lateral speed while moving over
+        signalTicks: 60        // indicators blink this long before moving over
+    };
+
+    function laneCenter(lane) {
+        return (lane - (LANE_COUNT - 1) / 2) * LANE_WIDTH;
+    }
+
+    // Offset from the lane centre for a newly spawned car
+    function randomLaneOffset(state) {
+        return (state.random() - 0.5) * 2 * LANE_DRIFT;
+    }
+
+    // Cars per lane, nearest the player (largest z) first. A car that is still
+    // moving over also blocks the lane it is leaving.
+    function buildLaneIndex(obstacles) {
+        const lanes = [];
+        for (let i = 0; i < LANE_COUNT; i++) lanes.push([]);
+        obstacles.forEach(obstacle => {
+            lanes[obstacle.lane].push(obstacle);
+            if (obstacle.fromLane !== obstacle.lane) lanes[obstacle.fromLane].push(obstacle);
+        });
+        lanes.forEach(lane => lane.sort((a, b) => b.position.z - a.position.z));
+        return lanes;
+    }
+
+    // Nearest car in front of `obstacle` in a lane (traffic drives towards +z)
+    function carAhead(lanes, lane, obstacle) {
+        let ahead = null;
+        for (const other of lanes[lane]) {
+            if (other.position.z <= obstacle.position.z) break;
+            if (other !== obstacle) ahead = other;
+        }
+        return ahead;
+    }
+
+    // No car in the lane within `clearance` of z, other than `except`
+    function isLaneClear(lanes, lane, z, clearance, except) {
+        return lanes[lane].every(other => other === except || Math.abs(other.position.z - z) >= clearance);
+    }
+
+    // A random lane with no car within spawnGap of z, or -1 when all are taken
+    function findFreeLane(state, lanes, z) {
+        const start = Math.floor(state.random() * LANE_COUNT);
+        for (let i = 0; i < LANE_COUNT; i++) {
+            const lane = (start + i) % LANE_COUNT;
+            if (isLaneClear(lanes, lane, z, TRAFFIC.spawnGap)) return lane;
+        }
+        return -1;
+    }
+
+    function bumperGap(obstacle, ahead) {
+        return ahead.position.z - obstacle.position.z - obstacle.hull.halfExtents.z - ahead.hull.halfExtents.z;
+    }
+
+    // Pick the speed for this tick: cruise, or drop back to hold the following distance
+    function updateSpeed(obstacle, ahead) {
+        let targetSpeed = obstacle.cruiseSpeed;
+        if (ahead) {
+            const gap = bumperGap(obstacle, ahead);
+            if (gap < TRAFFIC.followDistance) {
+                const room = Math.max(gap - TRAFFIC.minGap, 0) / (TRAFFIC.followDistance - TRAFFIC.minGap);
+                targetSpeed = Math.min(targetSpeed, ahead.movementSpeed * room);
+            }
+        }
+        if (targetSpeed < obstacle.movementSpeed) {
+            obstacle.movementSpeed = Math.max(obstacle.movementSpeed - TRAFFIC.brakeRate, targetSpeed);
+        } else {
+            obstacle.movementSpeed = Math.min(obstacle.movementSpeed + TRAFFIC.accelerationRate, targetSpeed);
+        }
+    }
+
+    // Held up by a slower car: maybe signal towards a clear neighbouring lane
+    function considerLaneChange(state, obstacle, ahead, lanes) {
+        if (!ahead || obstacle.signal !== 0) return;
+        if (ahead.cruiseSpeed >= obstacle.cruiseSpeed) return;
+        if (bumperGap(obstacle, ahead) > TRAFFIC.followDistance * 1.5) return;
+        if (state.random() >= TRAFFIC.laneChangeChance) return;
+
+        const sides = state.random() < 0.5 ? [-1, 1] : [1, -1];
+        for (const side of sides) {
+            const lane = obstacle.lane + side;
+            if (lane < 0 || lane >= LANE_COUNT) continue;
+            if (isLaneClear(lanes, lane, obstacle.position.z, TRAFFIC.laneChangeClearance, obstacle)) {
+                obstacle.signal = side;
+                obstacle.signalTimer = TRAFFIC.signalTicks;
+                obstacle.targetLane = lane;
+                return;
+            }
+        }
+    }
+
+    // Signal first, then drift across; yaw follows the direction of travel
+    function updateLaneChange(obstacle) {
+        if (obstacle.signal === 0) return;
+
+        if (obstacle.signalTimer > 0) {
+            obstacle.signalTimer--;
+            if (obstacle.signalTimer === 0) {
+                obstacle.fromLane = obstacle.lane;
+                obstacle.lane = obstacle.targetLane;
+            }
+            return;
+        }
+
+        const targetX = laneCenter(obstacle.lane) + obstacle.laneOffset;
+        const dx = targetX - obstacle.position.x;
+        if (Math.abs(dx) <= TRAFFIC.laneChangeSpeed) {
+            obstacle.position.x = targetX;
+            obstacle.fromLane = obstacle.lane;
+            obstacle.signal = 0;
+            obstacle.rotation.y = 0;
+            return;
+        }
+
+        const lateral = Math.sign(dx) * TRAFFIC.laneChangeSpeed;
+        obstacle.position.x += lateral;
+        obstacle.rotation.y = Math.atan2(lateral, Math.max(obstacle.movementSpeed, 0.01));
+    }
+
+    // One tick of driving for a single car. While moving over it watches both lanes.
+    function driveObstacle(state, obstacle, lanes) {
+        let ahead = carAhead(lanes, obstacle.lane, obstacle);
+        if (obstacle.fromLane !== obstacle.lane) {
+            const other = carAhead(lanes, obstacle.fromLane, obstacle);
+            if (other && (!ahead || other.position.z < ahead.position.z)) ahead = other;
+        }
+        updateSpeed(obstacle, ahead);
+        considerLaneChange(state, obstacle, ahead, lanes);
+        updateLaneChange(obstacle);
+    }
+
+    return {
+        LANE_COUNT,
+        LANE_WIDTH,
+        TRAFFIC,
+        laneCenter,
+        randomLaneOffset,
+        buildLaneIndex,
+        isLaneClear,
+        findFreeLane,
+        driveObstacle
+    };
+});
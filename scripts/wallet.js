@@ -0,0 +1,66 @@
+// Persistent coin wallet and garage ownership, saved in localStorage (see storage.js).
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./cars.js'), require('./storage.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ DEFAULT_CAR_ID, carById }, { loadStored, store }) {
+    class Wallet {
+        constructor(storageKey = 'carGame.wallet') {
+            this.storageKey = storageKey;
+            this.coins = 0;
+            this.unlocked = [DEFAULT_CAR_ID];
+            this.selected = DEFAULT_CAR_ID;
+            this.load();
+        }
+
+        load() {
+            const saved = loadStored(this.storageKey, null);
+            if (saved) {
+                this.coins = Math.max(0, Math.floor(saved.coins) || 0);
+                const unlocked = Array.isArray(saved.unlocked) ? saved.unlocked : [];
+                this.unlocked = Array.from(new Set([DEFAULT_CAR_ID].concat(unlocked)));
+                this.selected = this.unlocked.includes(saved.selected) ? saved.selected : DEFAULT_CAR_ID;
+            }
+        }
+
+        save() {
+            store(this.storageKey, {
+                coins: this.coins,
+                unlocked: this.unlocked,
+                selected: this.selected
+            });
+        }
+
+        deposit(amount) {
+            if (amount <= 0) return;
+            this.coins += amount;
+            this.save();
+        }
+
+        owns(carId) {
+            return this.unlocked.includes(carId);
+        }
+
+        // Spend coins on a car; false if it is owned already or too expensive
+        unlock(carId) {
+            const car = carById(carId);
+            if (this.owns(car.id) || this.coins < car.price) return false;
+            this.coins -= car.price;
+            this.unlocked.push(car.id);
+            this.save();
+            return true;
+        }
+
+        select(carId) {
+            if (!this.owns(carId)) return false;
+            this.selected = carId;
+            this.save();
+            return true;
+        }
+    }
+
+    return { Wallet };
+});
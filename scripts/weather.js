@@ -0,0 +1,99 @@
+// Weather and time of day. Spells of clear skies, rain and fog follow each
+// other on a schedule drawn from the run's seed, and the clock runs from the
+// tick count, so a replay sees the same sky. A wet road has less grip.
+// Operates on GameState; no DOM or THREE.
+// Loaded as a plain <script> in the browser and through require() under Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random.js'), require('./scoring.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ createRandom }, { emit }) {
+    // rain and fog are the levels each kind of weather settles at (0-1);
+    // chance is the weight of drawing it for the next spell
+    const WEATHER = {
+        clear: { label: 'Clear', rain: 0, fog: 0, chance: 0.55 },
+        rain: { label: 'Rain', rain: 1, fog: 0.4, chance: 0.3 },
+        fog: { label: 'Fog', rain: 0, fog: 1, chance: 0.15 }
+    };
+    const WEATHER_KINDS = Object.keys(WEATHER);
+    const WEATHER_SEED = 0x27d4eb2f; // the schedule never shifts the traffic
+
+    // Durations are in 60 Hz ticks
+    const MIN_SPELL_TICKS = 60 * 30;
+    const MAX_SPELL_TICKS = 60 * 90;
+    const RAIN_RATE = 1 / 180; // rain and fog set in over a few seconds
+    const FOG_RATE = 1 / 300;
+    const WET_RATE = 1 / 600; // the road takes longer to soak and to dry
+    const WET_GRIP = 0.4; // share of the sideways friction and drag left on a soaked road
+    const DAY_TICKS = 60 * 60 * 4; // a whole day in four minutes
+    // Runs start between mid morning and early afternoon (0 is midnight, 0.5 noon)
+    const FIRST_HOUR = 0.35;
+    const LAST_HOUR = 0.55;
+
+    function createWeather(seed) {
+        const random = createRandom(seed ^ WEATHER_SEED);
+        const weather = {
+            random,
+            startTime: FIRST_HOUR + random() * (LAST_HOUR - FIRST_HOUR),
+            kind: 'clear',
+            timer: 0,
+            rain: 0,
+            fog: 0,
+            wetness: 0
+        };
+        // Runs always start dry; the first spell may already be rain
+        startSpell(weather);
+        return weather;
+    }
+
+    function startSpell(weather) {
+        let pick = weather.random();
+        weather.kind = WEATHER_KINDS.find(kind => (pick -= WEATHER[kind].chance) < 0) || 'clear';
+        weather.timer = MIN_SPELL_TICKS + Math.floor(weather.random() * (MAX_SPELL_TICKS - MIN_SPELL_TICKS));
+    }
+
+    function approach(value, target, rate) {
+        return value < target ? Math.min(target, value + rate) : Math.max(target, value - rate);
+    }
+
+    function updateWeather(state) {
+        const weather = state.weather;
+        if (!weather) return;
+        if (--weather.timer <= 0) {
+            const previous = weather.kind;
+            startSpell(weather);
+            if (weather.kind !== previous) emit(state, 'weather', { kind: weather.kind });
+        }
+        const target = WEATHER[weather.kind];
+        weather.rain = approach(weather.rain, target.rain, RAIN_RATE);
+        weather.fog = approach(weather.fog, target.fog, FOG_RATE);
+        weather.wetness = approach(weather.wetness, weather.rain > 0 ? 1 : 0, WET_RATE);
+    }
+
+    // Multiplies how strongly sideways friction and drag slow the car
+    function gripScale(state) {
+        return state.weather ? 1 - (1 - WET_GRIP) * state.weather.wetness : 1;
+    }
+
+    // Fraction of the day at the current tick: 0 midnight, 0.25 sunrise,
+    // 0.5 noon, 0.75 sunset. Always noon without weather.
+    function timeOfDay(state) {
+        if (!state.weather) return 0.5;
+        return (state.weather.startTime + state.tick / DAY_TICKS) % 1;
+    }
+
+    return {
+        WEATHER,
+        WEATHER_KINDS,
+        MIN_SPELL_TICKS,
+        MAX_SPELL_TICKS,
+        WET_GRIP,
+        DAY_TICKS,
+        createWeather,
+        updateWeather,
+        gripScale,
+        timeOfDay
+    };
+});
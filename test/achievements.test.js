@@ -0,0 +1,85 @@
+// Achievements and daily missions: the day's missions follow from the date
+// alone, and runs add up to the right progress.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TICKS_PER_SECOND } = require('../scripts/core.js');
+const { ACHIEVEMENTS, DAILY_MISSIONS, dailyMissions, Achievements } = require('../scripts/achievements.js');
+
+const goal = id => ACHIEVEMENTS.find(achievement => achievement.id === id);
+
+// The parts of a GameState and input that track() reads
+function tick({ z = 0, velocityZ = 0.5, coins = 0, score = 0, events = [], brake = 0 } = {}) {
+    return [
+        { events, player: { position: { z }, velocityZ }, coins, score },
+        { brake }
+    ];
+}
+
+test('the same date gives the same three missions', () => {
+    const missions = dailyMissions('2026-10-19');
+    assert.equal(missions.length, 3);
+    assert.equal(new Set(missions.map(mission => mission.id)).size, 3);
+    missions.forEach(mission => assert.ok(DAILY_MISSIONS.includes(mission)));
+    assert.deepEqual(dailyMissions('2026-10-19'), missions);
+
+    const days = new Set();
+    for (let day = 1; day <= 28; day++) {
+        days.add(dailyMissions(`2026-02-${String(day).padStart(2, '0')}`).map(mission => mission.id).join());
+    }
+    assert.ok(days.size > 10, 'missions change from day to day');
+});
+
+test('goal progress follows the run and adds up over finished runs', () => {
+    let saved = null;
+    const achievements = new Achievements({}, progress => { saved = progress; });
+    achievements.startRun();
+    achievements.track(...tick({ z: -500, coins: 4, score: 300, events: [{ type: 'passed' }, { type: 'nearMiss' }] }));
+    assert.equal(achievements.progress(goal('roadTrip')), 500);
+    assert.equal(achievements.progress(goal('overtaker')), 1);
+    assert.equal(achievements.progress(goal('closeCalls')), 1);
+    assert.equal(achievements.progress(goal('collector')), 0, 'coins count once banked');
+    assert.equal(achievements.progress(goal('firstRun')), 0);
+
+    const completed = achievements.finishRun(true);
+    assert.deepEqual(completed.map(({ goal }) => goal.id), ['firstRun']);
+    assert.ok(achievements.isDone(goal('firstRun')));
+    assert.equal(achievements.run, null);
+    assert.equal(achievements.records.total.runs, 1);
+    assert.equal(achievements.records.total.distance, 500);
+    assert.equal(saved.records.total.coins, 4);
+
+    achievements.startRun();
+    achievements.track(...tick({ z: -200, coins: 6, score: 100 }));
+    assert.equal(achievements.progress(goal('roadTrip')), 700, 'totals count the run being driven');
+    assert.equal(achievements.progress(goal('longHaul')), 500, 'one-run goals show the best run');
+    achievements.finishRun(true);
+    assert.equal(achievements.records.total.runs, 2);
+    assert.equal(achievements.records.total.distance, 700);
+    assert.equal(achievements.records.total.coins, 10);
+    assert.equal(achievements.records.best.score, 300);
+
+    const reloaded = new Achievements(JSON.parse(JSON.stringify(saved)));
+    assert.deepEqual(reloaded.records, achievements.records);
+    assert.ok(reloaded.isDone(goal('firstRun')));
+});
+
+test('braking ends the no-brake streak', () => {
+    const achievements = new Achievements();
+    achievements.startRun();
+    for (let i = 0; i < TICKS_PER_SECOND * 2; i++) achievements.track(...tick({ events: i % 30 ? [] : [{ type: 'passed' }] }));
+    achievements.track(...tick({ brake: 1 }));
+    for (let i = 0; i < TICKS_PER_SECOND; i++) achievements.track(...tick());
+    assert.equal(achievements.progress(goal('coolHead')), 2);
+    assert.equal(achievements.progress(goal('weaver')), 4);
+});
+
+test('an abandoned run is not counted as finished', () => {
+    const achievements = new Achievements();
+    achievements.startRun();
+    achievements.track(...tick({ z: -100, coins: 3 }));
+    assert.deepEqual(achievements.finishRun(false), []);
+    assert.equal(achievements.records.total.runs, 0);
+    assert.equal(achievements.records.total.coins, 0, 'its coins never reached the wallet');
+    assert.equal(achievements.records.total.distance, 100);
+    assert.ok(!achievements.isDone(goal('firstRun')));
+});
@@ -0,0 +1,85 @@
+// Broad phase: SweepAndPrune must find exactly what testing every pair would.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CollisionDetector, SweepAndPrune } = require('../scripts/collision.js');
+const { createRandom } = require('../scripts/random.js');
+
+const detector = new CollisionDetector();
+
+// A car-sized box somewhere on a stretch of road, moved a little since the last tick
+function randomObject(random, id) {
+    const position = { x: (random() - 0.5) * 12, y: 0, z: -random() * 300 };
+    return {
+        id,
+        position,
+        prevPosition: { x: position.x + (random() - 0.5) * 0.4, y: 0, z: position.z - random() * 1.5 },
+        rotation: { x: 0, y: (random() - 0.5) * 0.6, z: 0 },
+        hull: {
+            halfExtents: { x: 0.3 + random() * 1.2, y: 0.5, z: 0.3 + random() * 3 },
+            offset: { x: 0, y: 0, z: (random() - 0.5) * 0.4 }
+        }
+    };
+}
+
+function randomBounds(random) {
+    const x = (random() - 0.5) * 14, z = -random() * 300;
+    return { minX: x, maxX: x + random() * 4, minZ: z, maxZ: z + random() * 10 };
+}
+
+// The O(n^2) reference: every object's swept bounds against the query
+function bruteForce(broadPhase, objects, bounds) {
+    return objects.filter(object => {
+        const other = broadPhase.sweptBounds(object);
+        return other.maxZ >= bounds.minZ && other.minZ <= bounds.maxZ &&
+            other.maxX >= bounds.minX && other.minX <= bounds.maxX;
+    });
+}
+
+function ids(objects) {
+    return objects.map(object => object.id).sort((a, b) => a - b);
+}
+
+test('queries match a brute-force pass over random layouts', () => {
+    const random = createRandom(2024);
+    for (let layout = 0; layout < 20; layout++) {
+        const objects = [];
+        const count = 1 + Math.floor(random() * 150);
+        for (let i = 0; i < count; i++) objects.push(randomObject(random, i));
+        const broadPhase = new SweepAndPrune(detector);
+        broadPhase.update(objects);
+        for (let q = 0; q < 50; q++) {
+            const bounds = randomBounds(random);
+            assert.deepEqual(ids(broadPhase.query(bounds)), ids(bruteForce(broadPhase, objects, bounds)));
+        }
+        // Each object finds itself and everything touching it
+        objects.forEach(object => {
+            const bounds = broadPhase.sweptBounds(object);
+            const found = ids(broadPhase.query(bounds));
+            assert.ok(found.includes(object.id));
+            assert.deepEqual(found, ids(bruteForce(broadPhase, objects, bounds)));
+        });
+    }
+});
+
+test('queries stay right as objects move, arrive and leave between updates', () => {
+    const random = createRandom(7);
+    let objects = [];
+    let nextId = 0;
+    for (let i = 0; i < 80; i++) objects.push(randomObject(random, nextId++));
+    const broadPhase = new SweepAndPrune(detector);
+    for (let tick = 0; tick < 100; tick++) {
+        objects.forEach(object => {
+            object.prevPosition = Object.assign({}, object.position);
+            object.position.z += random() * 2; // towards the player, some overtaking others
+            object.position.x += (random() - 0.5) * 0.2;
+        });
+        objects = objects.filter(() => random() > 0.05);
+        while (objects.length < 80) objects.push(randomObject(random, nextId++));
+        broadPhase.update(objects);
+        assert.equal(broadPhase.entries.length, objects.length);
+        for (let q = 0; q < 10; q++) {
+            const bounds = randomBounds(random);
+            assert.deepEqual(ids(broadPhase.query(bounds)), ids(bruteForce(broadPhase, objects, bounds)));
+        }
+    }
+});
@@ -0,0 +1,109 @@
+// Coins: patterns are laid along lane centres, stay on the road, and each
+// coin picked up adds one to the run's total.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LANE_COUNT, TRAFFIC, laneCenter, buildLaneIndex } = require('../scripts/traffic.js');
+const { createEffects, updatePickups } = require('../scripts/powerups.js');
+const { COIN_PATTERNS, maybeSpawnCoins } = require('../scripts/coins.js');
+
+const PATTERN_NAMES = Object.keys(COIN_PATTERNS);
+const LANE_CENTRES = Array.from({ length: LANE_COUNT }, (_, lane) => laneCenter(lane));
+
+// `draws` answers the random draws in order, then 0
+function createState(draws = []) {
+    return {
+        tick: 0,
+        events: [],
+        random: () => (draws.length ? draws.shift() : 0),
+        nextPickupId: 1,
+        pickups: [],
+        effects: createEffects(),
+        coins: 0,
+        player: {
+            position: { x: 0, y: 0.25, z: 0 },
+            rotation: { x: 0, y: Math.PI, z: 0 },
+            hull: { halfExtents: { x: 0.5, y: 0.35, z: 1 }, offset: { x: 0, y: 0.1, z: 0 } }
+        }
+    };
+}
+
+// Draw for: spawning at all, the pattern, then the lane to start from
+function patternDraws(name, lane) {
+    return [0, (PATTERN_NAMES.indexOf(name) + 0.5) / PATTERN_NAMES.length, (lane + 0.5) / LANE_COUNT];
+}
+
+test('every pattern is laid along lane centres and stays on the road', () => {
+    PATTERN_NAMES.forEach(name => {
+        for (let lane = 0; lane < LANE_COUNT; lane++) {
+            const state = createState(patternDraws(name, lane));
+            maybeSpawnCoins(state, buildLaneIndex([]), -100);
+            assert.equal(state.pickups.length, COIN_PATTERNS[name].length, name);
+            state.pickups.forEach(coin => {
+                assert.equal(coin.kind, 'coin');
+                assert.ok(LANE_CENTRES.includes(coin.position.x), `${name} from lane ${lane}: ${coin.position.x}`);
+                assert.ok(coin.position.z <= -100);
+            });
+            const zs = state.pickups.map(coin => coin.position.z);
+            assert.deepEqual(zs, zs.slice().sort((a, b) => b - a), 'laid out ahead of the start');
+        }
+    });
+});
+
+test('a pattern starts in the lane it was given when it fits', () => {
+    const state = createState(patternDraws('line', 2));
+    maybeSpawnCoins(state, buildLaneIndex([]), -100);
+    state.pickups.forEach(coin => assert.equal(coin.position.x, laneCenter(2)));
+});
+
+// A car parked in a lane at z
+function car(lane, z) {
+    return { lane, fromLane: lane, position: { x: laneCenter(lane), y: 0, z } };
+}
+
+test('coins are never laid within a spawn gap of a car', () => {
+    PATTERN_NAMES.forEach(name => {
+        for (let lane = 0; lane < LANE_COUNT; lane++) {
+            // Cars in every lane but one, level with the pattern's coins
+            const traffic = [];
+            for (let other = 0; other < LANE_COUNT; other++) {
+                if (other !== lane) traffic.push(car(other, -105));
+            }
+            const state = createState(patternDraws(name, 0));
+            maybeSpawnCoins(state, buildLaneIndex(traffic), -100);
+            state.pickups.forEach(coin => traffic.forEach(other => assert.ok(
+                coin.position.x !== other.position.x || Math.abs(coin.position.z - other.position.z) >= TRAFFIC.spawnGap,
+                `${name} next to the car in lane ${other.lane}`
+            )));
+            // Only the line fits in a single lane
+            assert.equal(state.pickups.length, name === 'line' ? COIN_PATTERNS.line.length : 0, name);
+        }
+    });
+});
+
+test('a car far enough ahead leaves room for coins', () => {
+    const traffic = [];
+    // A spawn gap past the end of the line, whose coins run from z = -100 to -110
+    for (let lane = 0; lane < LANE_COUNT; lane++) traffic.push(car(lane, -120 - TRAFFIC.spawnGap));
+    const state = createState(patternDraws('line', 1));
+    maybeSpawnCoins(state, buildLaneIndex(traffic), -100);
+    assert.equal(state.pickups.length, COIN_PATTERNS.line.length);
+});
+
+test('coins only come with some traffic spawns', () => {
+    const state = createState([0.99]);
+    maybeSpawnCoins(state, buildLaneIndex([]), -100);
+    assert.equal(state.pickups.length, 0);
+});
+
+test('driving through a line of coins collects every one', () => {
+    const state = createState(patternDraws('line', 1));
+    maybeSpawnCoins(state, buildLaneIndex([]), -10);
+    const count = state.pickups.length;
+    state.player.position.x = laneCenter(1);
+    while (state.player.position.z > -30) {
+        state.player.position.z -= 0.5;
+        updatePickups(state);
+    }
+    assert.equal(state.coins, count);
+    assert.equal(state.pickups.length, 0);
+});
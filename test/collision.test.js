@@ -0,0 +1,71 @@
+// Narrow phase: the oriented-box SAT test and the swept test built on it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CollisionDetector } = require('../scripts/collision.js');
+
+const detector = new CollisionDetector();
+
+function box(position, halfExtents, rotationY = 0) {
+    return {
+        position,
+        rotation: { x: 0, y: rotationY, z: 0 },
+        hull: { halfExtents, offset: { x: 0, y: 0, z: 0 } }
+    };
+}
+
+test('a rotated box overlaps what its turned extent reaches', () => {
+    // A plank 4 long turned across the road reaches 2 along z; unturned it
+    // would only reach 0.2, well short of the cube at z = 1.5
+    const plank = box({ x: 0, y: 0, z: 0 }, { x: 2, y: 0.5, z: 0.2 }, Math.PI / 2);
+    const cube = box({ x: 0, y: 0, z: 1.5 }, { x: 0.5, y: 0.5, z: 0.5 });
+    assert.equal(detector.checkSATCollision(plank, cube), true);
+    assert.equal(detector.checkSATCollision(cube, plank), true);
+    plank.rotation.y = 0;
+    assert.equal(detector.checkSATCollision(plank, cube), false);
+});
+
+test('a rotated box misses what only its world-axis bounds cover', () => {
+    // A diagonal plank's axis-aligned bounds cover the whole square around
+    // it, but the cube sits in the empty corner
+    const plank = box({ x: 0, y: 0, z: 0 }, { x: 3, y: 0.5, z: 0.1 }, Math.PI / 4);
+    const cube = box({ x: 1.5, y: 0, z: 1.5 }, { x: 0.3, y: 0.3, z: 0.3 });
+    assert.equal(detector.checkAABBCollision(plank, cube), true);
+    assert.equal(detector.checkSATCollision(plank, cube), false);
+    assert.equal(detector.checkSATCollision(cube, plank), false);
+    // Moved onto the plank's line, it hits
+    cube.position = { x: 1.5, y: 0, z: -1.5 };
+    assert.equal(detector.checkSATCollision(plank, cube), true);
+});
+
+test('two rotated boxes are separated only along an edge-edge axis', () => {
+    // Two cubes turned 45 degrees about different axes, one above the other
+    // with their edges crossed: every face axis shows them overlapping, only
+    // the cross product of the edges (straight up) separates them
+    const a = box({ x: 0, y: 0, z: 0 }, { x: 0.5, y: 0.5, z: 0.5 });
+    a.rotation = { x: Math.PI / 4, y: 0, z: 0 };
+    const b = box({ x: 0, y: 1.45, z: 0 }, { x: 0.5, y: 0.5, z: 0.5 });
+    b.rotation = { x: 0, y: 0, z: Math.PI / 4 };
+    assert.equal(detector.checkSATCollision(a, b), false);
+    b.position.y = 1.38;
+    assert.equal(detector.checkSATCollision(a, b), true);
+});
+
+test('the swept test catches a fast mover that tunnels through a thin box', () => {
+    const wall = box({ x: 0, y: 0, z: 0 }, { x: 2, y: 0.5, z: 0.05 });
+    const mover = box({ x: 0, y: 0, z: 1 }, { x: 0.2, y: 0.2, z: 0.2 });
+    const start = { x: 0, y: 0, z: -1 };
+    // Neither end of the tick touches the wall...
+    assert.equal(detector.checkSATCollision(mover, wall, start), false);
+    assert.equal(detector.checkSATCollision(mover, wall), false);
+    // ...but the path between them goes straight through it
+    assert.equal(detector.checkSweptCollision(mover, wall, start, wall.position), true);
+    // Also when both move, towards each other
+    const movingWall = box({ x: 0, y: 0, z: -0.6 }, { x: 2, y: 0.5, z: 0.05 });
+    assert.equal(detector.checkSweptCollision(mover, movingWall, start, { x: 0, y: 0, z: 0.6 }), true);
+});
+
+test('the swept test ignores a fast mover that passes beside a box', () => {
+    const wall = box({ x: 0, y: 0, z: 0 }, { x: 2, y: 0.5, z: 0.05 });
+    const mover = box({ x: 2.5, y: 0, z: 1 }, { x: 0.2, y: 0.2, z: 0.2 });
+    assert.equal(detector.checkSweptCollision(mover, wall, { x: 2.5, y: 0, z: -1 }, wall.position), false);
+});
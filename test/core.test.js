@@ -0,0 +1,91 @@
+// The game core under Node: a run is fixed by its seed and input, and ends
+// exactly when its mode says it should.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameState, step, TICKS_PER_SECOND } = require('../scripts/core.js');
+const { modeById } = require('../scripts/modes.js');
+const { MAX_HEALTH } = require('../scripts/damage.js');
+
+const FULL_THROTTLE = { steer: 0, throttle: 1, brake: 0 };
+
+// Weaves, accelerates and brakes in a fixed pattern, with analog values
+function scriptedInput(tick) {
+    const phase = tick % 300;
+    return {
+        steer: Math.sin(tick / 17) * 0.8,
+        throttle: phase < 250 ? 0.5 + 0.5 * Math.sin(tick / 40) ** 2 : 0,
+        brake: phase >= 270 ? 0.5 : 0
+    };
+}
+
+// Step a new run until it ends or reaches `maxTicks`, keeping every event
+function drive(options, input, maxTicks) {
+    const state = new GameState(options);
+    const events = [];
+    while (!state.gameOver && state.tick < maxTicks) {
+        step(state, input(state.tick));
+        events.push(...state.events);
+    }
+    return { state, events };
+}
+
+// Everything the outcome of a run depends on
+function snapshot(state) {
+    const place = object => ({ id: object.id, position: object.position });
+    return JSON.stringify({
+        tick: state.tick,
+        score: state.score,
+        gameOver: state.gameOver,
+        health: state.health,
+        coins: state.coins,
+        player: [state.player.position, state.player.velocityX, state.player.velocityZ],
+        obstacles: state.obstacles.map(place),
+        pickups: state.pickups.map(place),
+        stats: state.stats,
+        race: state.race
+    });
+}
+
+test('step() is deterministic for a fixed seed and input', () => {
+    const first = drive({ seed: 42 }, scriptedInput, 3000);
+    const second = drive({ seed: 42 }, scriptedInput, 3000);
+    assert.ok(first.state.tick > 300, 'the run should last long enough to mean something');
+    assert.ok(first.state.stats.obstaclesPassed > 0);
+    assert.equal(snapshot(second.state), snapshot(first.state));
+    assert.deepEqual(second.events, first.events);
+});
+
+test('a different seed gives a different run', () => {
+    const first = drive({ seed: 42 }, scriptedInput, 600);
+    const second = drive({ seed: 43 }, scriptedInput, 600);
+    assert.notEqual(snapshot(second.state), snapshot(first.state));
+});
+
+test('a seeded run driven straight at full throttle crashes within a minute', () => {
+    const { state, events } = drive({ seed: 1 }, () => FULL_THROTTLE, 60 * TICKS_PER_SECOND);
+    assert.equal(state.gameOver, true);
+    assert.equal(state.race.timeUp, false);
+    assert.equal(state.health, 0);
+    assert.equal(events.filter(event => event.type === 'crash').length, 1);
+    // Nothing moves once the run is over
+    const ended = snapshot(state);
+    step(state, FULL_THROTTLE);
+    assert.equal(snapshot(state), ended);
+});
+
+test('zen mode never ends the run before its time limit', () => {
+    const limit = modeById('zen').timeLimit * TICKS_PER_SECOND;
+    for (const seed of [1, 2, 3]) {
+        // The same driving in Endless runs into traffic...
+        const endless = drive({ seed }, () => FULL_THROTTLE, limit);
+        assert.equal(endless.state.gameOver && !endless.state.race.timeUp, true);
+        // ...which in Zen the car passes straight through
+        const { state, events } = drive({ seed, mode: 'zen' }, () => FULL_THROTTLE, limit + 1);
+        const types = new Set(events.map(event => event.type));
+        assert.ok(!types.has('crash') && !types.has('damage'));
+        assert.equal(state.health, MAX_HEALTH);
+        assert.equal(state.tick, limit);
+        assert.equal(state.race.timeUp, true);
+        assert.equal(state.gameOver, true);
+    }
+});
@@ -0,0 +1,46 @@
+// Game modes: each ranks finished runs by its own objective.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameState, step, runSummary, TICKS_PER_SECOND } = require('../scripts/core.js');
+const { modeById, compareRuns } = require('../scripts/modes.js');
+const { autopilot } = require('../tools/autopilot.js');
+
+// Best first under the mode's objective
+function rank(modeId, runs) {
+    return runs.slice().sort((a, b) => compareRuns(modeById(modeId), a, b)).map(run => run.id);
+}
+
+const runs = [
+    { id: 'far', score: 900, distance: 4000, gates: 7, gateTime: 160 },
+    { id: 'quick', score: 1200, distance: 3500, gates: 7, gateTime: 140 },
+    { id: 'gates', score: 800, distance: 3800, gates: 8, gateTime: 170 },
+    { id: 'points', score: 1500, distance: 3000, gates: 5, gateTime: 90 }
+];
+
+test('each mode ranks runs by its objective', () => {
+    assert.deepEqual(rank('endless', runs), ['points', 'quick', 'far', 'gates']);
+    assert.deepEqual(rank('zen', runs), ['points', 'quick', 'far', 'gates']);
+    assert.deepEqual(rank('timeTrial', runs), ['far', 'gates', 'quick', 'points']);
+    // Most gates, then whoever reached the last one first
+    assert.deepEqual(rank('checkpoints', runs), ['gates', 'quick', 'far', 'points']);
+});
+
+test('ties and runs saved before a field existed fall back to the score', () => {
+    const old = [{ id: 'low', score: 100 }, { id: 'high', score: 300 }, { id: 'new', score: 200, distance: 50 }];
+    assert.deepEqual(rank('timeTrial', old), ['new', 'high', 'low']);
+    assert.deepEqual(rank('checkpoints', old), ['high', 'new', 'low']);
+});
+
+test('a Checkpoint Rush run reports its gates and when it reached the last', () => {
+    const state = new GameState({ seed: 8, mode: 'checkpoints' });
+    let lastGate = 0;
+    while (!state.gameOver) {
+        step(state, autopilot(state));
+        if (state.events.some(event => event.type === 'checkpoint')) lastGate = state.tick;
+    }
+    const summary = runSummary(state);
+    assert.ok(summary.gates > 0);
+    assert.equal(summary.gates, state.race.gates);
+    assert.equal(summary.gateTime, Math.round(lastGate / TICKS_PER_SECOND * 10) / 10);
+    assert.equal(runSummary(new GameState({ seed: 8 })).gates, 0);
+});
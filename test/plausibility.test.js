@@ -0,0 +1,102 @@
+// Plausibility checks: genuine runs always pass, forged ones never do.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameState, step, runSummary, TICKS_PER_SECOND } = require('../scripts/core.js');
+const { CARS } = require('../scripts/cars.js');
+const { checkRun } = require('../scripts/plausibility.js');
+const { autopilot } = require('../tools/autopilot.js');
+
+const MAX_TICKS = 60 * 60 * 5;
+
+// A run as the game submits it (see runSubmission in game.js)
+function submission(state, car) {
+    return Object.assign({ name: 'Tester', car: car.id, ticks: state.tick, timeline: state.stats.timeline.slice() }, runSummary(state));
+}
+
+// Seeded runs in every car: the autopilot, and a weaving driver that brakes now and then
+function genuineRun(seed) {
+    const car = CARS[seed % CARS.length];
+    const state = new GameState({ seed, handling: car.handling });
+    while (!state.gameOver && state.tick < MAX_TICKS) {
+        step(state, seed % 2 ? autopilot(state) : {
+            steer: Math.sin(state.tick / 20),
+            throttle: 1,
+            brake: state.tick % 300 < 5 ? 1 : 0
+        });
+    }
+    return submission(state, car);
+}
+
+const genuine = [];
+for (let seed = 0; seed < 60; seed++) genuine.push(genuineRun(seed));
+// The best of them, to forge from: long enough to have a proper timeline
+const best = genuine.reduce((a, b) => (b.score > a.score ? b : a));
+
+function forge(changes) {
+    return Object.assign(JSON.parse(JSON.stringify(best)), changes);
+}
+
+test('genuine runs are never rejected', () => {
+    assert.ok(best.ticks > 30 * TICKS_PER_SECOND);
+    genuine.forEach(run => assert.deepEqual(checkRun(run), [], `${run.car} scoring ${run.score}`));
+});
+
+test('a run claiming more score than it could have driven is rejected', () => {
+    const problems = checkRun(forge({ score: best.score * 3 }));
+    assert.ok(problems.includes('score is higher than the distance driven allows'), problems.join('; '));
+    // Forging the distance and timeline to match doesn't get it through either
+    const padded = forge({
+        score: best.score * 3,
+        distance: best.distance * 3,
+        timeline: best.timeline.map(score => score * 3)
+    });
+    assert.notDeepEqual(checkRun(padded), []);
+});
+
+test('a run faster than the speed cap is rejected', () => {
+    const problems = checkRun(forge({ topSpeed: 200 }));
+    assert.ok(problems.includes('top speed is above the speed cap'), problems.join('; '));
+});
+
+test('a run further than the speed cap allows is rejected', () => {
+    const problems = checkRun(forge({ distance: best.distance * 4 }));
+    assert.ok(problems.includes('distance is further than the speed cap allows'), problems.join('; '));
+});
+
+test('a run whose duration does not match its length is rejected', () => {
+    assert.ok(checkRun(forge({ duration: best.duration + 10 })).includes('duration does not match the run length'));
+});
+
+test('a run with impossible near misses is rejected', () => {
+    assert.ok(checkRun(forge({ nearMisses: 100000 })).includes('more near misses than cars on the road'));
+    assert.ok(checkRun(forge({ nearMisses: -1 })).includes('near-miss count is negative'));
+});
+
+test('a run with a forged score timeline is rejected', () => {
+    assert.deepEqual(checkRun(forge({ timeline: best.timeline.slice(1) })), ['score timeline is missing or the wrong length']);
+    const backwards = best.timeline.slice();
+    backwards[10] = backwards[9] - 1;
+    assert.deepEqual(checkRun(forge({ timeline: backwards })), ['score timeline goes backwards at 10 s']);
+    // The whole score banked in the first second
+    const early = best.timeline.map(() => best.score);
+    assert.deepEqual(checkRun(forge({ timeline: early })), ['score timeline jumps too fast at 0 s']);
+});
+
+test('runs in unknown cars or without a length are rejected', () => {
+    assert.deepEqual(checkRun(forge({ car: 'hovercraft' })), ['unknown car "hovercraft"']);
+    assert.deepEqual(checkRun(forge({ ticks: 0 })), ['run length is out of range']);
+    assert.deepEqual(checkRun(forge({ ticks: undefined })), ['ticks is not a whole number']);
+    assert.deepEqual(checkRun(forge({ score: 12.5 })), ['score is not a whole number']);
+});
+
+test('a run with its figures sent as strings is rejected', () => {
+    // Each would pass every range check, then break the table that shows it
+    for (const field of ['ticks', 'score', 'nearMisses']) {
+        assert.deepEqual(checkRun(forge({ [field]: String(best[field]) })), [`${field} is not a whole number`]);
+    }
+    for (const field of ['distance', 'topSpeed', 'duration']) {
+        assert.deepEqual(checkRun(forge({ [field]: String(best[field]) })), [`${field} is not a number`]);
+    }
+    assert.deepEqual(checkRun(forge({ distance: Infinity })), ['distance is not a number']);
+    assert.deepEqual(checkRun(forge({ topSpeed: null })), ['topSpeed is not a number']);
+});
@@ -0,0 +1,106 @@
+// Power-ups: each effect lasts its own time, picking one up again starts
+// its clock over, and the magnet only reaches pickups nearby.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    POWERUPS, POWERUP_KINDS, createEffects, createPickup, updatePickups, updateEffects,
+    absorbHit, speedCapBonus, accelerationScale, trafficTimeScale
+} = require('../scripts/powerups.js');
+
+// The parts of a GameState the power-ups use
+function createState() {
+    return {
+        tick: 0,
+        events: [],
+        nextPickupId: 1,
+        pickups: [],
+        effects: createEffects(),
+        player: {
+            position: { x: 0, y: 0.25, z: 0 },
+            rotation: { x: 0, y: Math.PI, z: 0 },
+            hull: { halfExtents: { x: 0.5, y: 0.35, z: 1 }, offset: { x: 0, y: 0.1, z: 0 } }
+        }
+    };
+}
+
+function tick(state, ticks = 1) {
+    for (let i = 0; i < ticks; i++) {
+        updatePickups(state);
+        updateEffects(state);
+    }
+}
+
+// Drop a power-up on the player and let one tick collect it
+function collect(state, kind) {
+    createPickup(state, kind, state.player.position.x, state.player.position.z);
+    tick(state);
+}
+
+test('each power-up runs out after its duration', () => {
+    POWERUP_KINDS.forEach(kind => {
+        const state = createState();
+        collect(state, kind);
+        assert.equal(state.pickups.length, 0);
+        assert.equal(state.effects[kind], POWERUPS[kind].duration - 1);
+        tick(state, POWERUPS[kind].duration - 2);
+        assert.equal(state.effects[kind], 1, `${kind} still on`);
+        tick(state, 5);
+        assert.equal(state.effects[kind], 0, `${kind} over`);
+    });
+});
+
+test('effects change the rules only while they last', () => {
+    const state = createState();
+    assert.equal(speedCapBonus(state), 0);
+    assert.equal(accelerationScale(state), 1);
+    assert.equal(trafficTimeScale(state), 1);
+    collect(state, 'nitro');
+    collect(state, 'slowmo');
+    assert.ok(speedCapBonus(state) > 0);
+    assert.ok(accelerationScale(state) > 1);
+    assert.ok(trafficTimeScale(state) < 1);
+    tick(state, Math.max(POWERUPS.nitro.duration, POWERUPS.slowmo.duration));
+    assert.equal(speedCapBonus(state), 0);
+    assert.equal(trafficTimeScale(state), 1);
+});
+
+test('different power-ups stack and the same one starts over', () => {
+    const state = createState();
+    collect(state, 'shield');
+    tick(state, 100);
+    collect(state, 'magnet');
+    assert.ok(state.effects.shield > 0 && state.effects.magnet > 0, 'both run at once');
+    collect(state, 'shield');
+    assert.equal(state.effects.shield, POWERUPS.shield.duration - 1, 'a second shield restarts the clock');
+});
+
+test('a shield absorbs exactly one hit', () => {
+    const state = createState();
+    assert.equal(absorbHit(state), false);
+    collect(state, 'shield');
+    assert.equal(absorbHit(state), true);
+    assert.equal(state.effects.shield, 0);
+    assert.equal(absorbHit(state), false);
+});
+
+test('the magnet pulls in nearby pickups and leaves distant ones', () => {
+    const state = createState();
+    collect(state, 'magnet');
+    const near = createPickup(state, 'nitro', 2, -5);
+    const far = createPickup(state, 'nitro', 2, -40);
+    tick(state);
+    assert.ok(near.position.z > -5 && near.position.x < 2, 'pulled towards the player');
+    assert.deepEqual([far.position.x, far.position.z], [2, -40]);
+    tick(state, 60);
+    assert.ok(!state.pickups.includes(near), 'pulled all the way in and collected');
+    assert.ok(state.effects.nitro > 0);
+    assert.ok(state.pickups.includes(far));
+    assert.deepEqual([far.position.x, far.position.z], [2, -40]);
+});
+
+test('without a magnet pickups stay where they are', () => {
+    const state = createState();
+    const pickup = createPickup(state, 'nitro', 2, -5);
+    tick(state, 60);
+    assert.deepEqual([pickup.position.x, pickup.position.z], [2, -5]);
+});
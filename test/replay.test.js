@@ -0,0 +1,135 @@
+// Replays: inputs survive run-length encoding, and playing a replay back
+// re-simulates the recorded run to the same outcome.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameState, step, normalizeInput, HULLS } = require('../scripts/core.js');
+const { GAME_MODES } = require('../scripts/modes.js');
+const { CARS } = require('../scripts/cars.js');
+const { REPLAY_VERSION, ReplayRecorder, ReplayPlayer, parseReplay, playReplay } = require('../scripts/replay.js');
+
+const MAX_TICKS = 60 * 60 * 4;
+
+// Weaves with analog steering, eases off and brakes now and then
+function driver(state) {
+    const tick = state.tick;
+    return {
+        steer: Math.sin(tick / 23) * 0.7,
+        throttle: tick % 240 < 200 ? 1 : 0.4,
+        brake: tick % 240 >= 228 ? 0.6 : 0
+    };
+}
+
+// Drive a run while recording it; returns the run and its replay as shared JSON text
+function recordRun(seed, mode, car) {
+    const state = new GameState({ seed, mode, handling: car.handling });
+    const recorder = new ReplayRecorder(state, car.id);
+    while (!state.gameOver && state.tick < MAX_TICKS) {
+        const input = driver(state);
+        recorder.record(input);
+        step(state, input);
+    }
+    return { state, text: JSON.stringify(recorder.toJSON(state)) };
+}
+
+test('recorded inputs decode to what step() drove with', () => {
+    const state = new GameState({ seed: 3 });
+    const recorder = new ReplayRecorder(state, 'classic');
+    const inputs = [];
+    for (let tick = 0; tick < 2000; tick++) {
+        const input = {
+            steer: tick % 400 < 200 ? Math.sin(tick / 13) : Math.round(Math.sin(tick / 50)),
+            throttle: tick % 300 < 150 ? 1 : (tick % 7) / 7,
+            brake: tick % 300 > 280 ? true : 0
+        };
+        const { steer, throttle, brake } = normalizeInput(input);
+        inputs.push({ steer: steer + 0, throttle, brake }); // a small left steer rounds to -0
+        recorder.record(input);
+    }
+    const replay = JSON.parse(JSON.stringify(recorder.toJSON(state)));
+    // Held input is stored once per run of ticks
+    assert.ok(replay.inputs.length < inputs.length);
+    assert.equal(replay.inputs.reduce((ticks, [, count]) => ticks + count, 0), inputs.length);
+    const player = new ReplayPlayer(replay);
+    inputs.forEach(expected => assert.deepEqual(player.next(), expected));
+    assert.equal(player.finished, true);
+});
+
+test('every mode and car replays to the recorded outcome', () => {
+    GAME_MODES.forEach((mode, m) => {
+        for (let seed = 1; seed <= 3; seed++) {
+            const car = CARS[(m + seed) % CARS.length];
+            const { state, text } = recordRun(seed, mode.id, car);
+            const replay = parseReplay(text);
+            assert.deepEqual(replay.result, { ticks: state.tick, score: state.score, gameOver: state.gameOver });
+            const played = playReplay(replay);
+            const label = `${mode.id}, seed ${seed}`;
+            assert.equal(played.tick, state.tick, label);
+            assert.equal(played.score, state.score, label);
+            assert.equal(played.gameOver, state.gameOver, label);
+            assert.equal(played.mode.id, mode.id, label);
+            assert.deepEqual(played.player.position, state.player.position, label);
+            assert.deepEqual(played.stats, state.stats, label);
+        }
+    });
+});
+
+test('a replay plays back with the collision hulls it was recorded with', () => {
+    const { state, text } = recordRun(5, 'endless', CARS[0]);
+    const saved = JSON.parse(JSON.stringify(HULLS));
+    HULLS.obstacle.halfExtents.x *= 2; // as if the car models had been measured differently
+    try {
+        const played = playReplay(parseReplay(text));
+        assert.equal(played.score, state.score);
+        assert.equal(played.tick, state.tick);
+    } finally {
+        Object.assign(HULLS.obstacle.halfExtents, saved.obstacle.halfExtents);
+    }
+});
+
+test('playing a replay leaves the hulls of live runs alone', () => {
+    const live = () => recordRun(7, 'endless', CARS[0]).state;
+    const before = live();
+    const saved = JSON.parse(JSON.stringify(HULLS));
+    // A crafted replay with cars too small to ever touch
+    const replay = JSON.parse(recordRun(7, 'endless', CARS[0]).text);
+    replay.hulls.player.halfExtents = { x: 0.01, y: 0.01, z: 0.01 };
+    replay.hulls.obstacle.halfExtents = { x: 0.01, y: 0.01, z: 0.01 };
+    const played = playReplay(parseReplay(JSON.stringify(replay)));
+    assert.equal(played.player.hull.halfExtents.x, 0.01);
+    assert.deepEqual(HULLS, saved);
+    const after = live();
+    assert.equal(after.tick, before.tick);
+    assert.equal(after.gameOver, before.gameOver);
+});
+
+test('version 1 replays still play', () => {
+    // Keyboard-only codes: bits 0-1 steer + 1, bit 2 throttle, bit 3 brake
+    const replay = parseReplay(JSON.stringify({
+        version: 1,
+        seed: 3,
+        car: 'classic',
+        hulls: JSON.parse(JSON.stringify(HULLS)),
+        inputs: [[6, 400], [4, 100], [5, 300]]
+    }));
+    const player = new ReplayPlayer(replay);
+    assert.deepEqual(player.next(), { steer: 1, throttle: 1, brake: 0 });
+    const played = playReplay(replay);
+    assert.equal(played.mode.id, 'endless');
+    assert.equal(played.weather, null); // driven before weather existed
+    assert.ok(played.tick > 0 && played.tick <= 800);
+});
+
+test('parseReplay rejects files that are not replays', () => {
+    assert.throws(() => parseReplay(JSON.stringify({ version: 99, seed: 1, inputs: [] })), /Unsupported replay version/);
+    assert.throws(() => parseReplay('null'), /Unsupported replay version/);
+    assert.throws(() => parseReplay(JSON.stringify({ version: REPLAY_VERSION, inputs: [] })), /missing its seed/);
+    assert.throws(() => parseReplay(JSON.stringify({ version: REPLAY_VERSION, seed: 1 })), /missing its seed/);
+    const hulls = JSON.parse(JSON.stringify(HULLS));
+    const withHulls = changes => JSON.stringify({ version: REPLAY_VERSION, seed: 1, inputs: [], hulls: Object.assign({}, hulls, changes) });
+    assert.doesNotThrow(() => parseReplay(withHulls({})));
+    assert.throws(() => parseReplay(JSON.stringify({ version: REPLAY_VERSION, seed: 1, inputs: [] })), /collision hulls/);
+    assert.throws(() => parseReplay(withHulls({ obstacle: undefined })), /collision hulls/);
+    assert.throws(() => parseReplay(withHulls({ player: { halfExtents: { x: 0.5, y: 0.35 }, offset: hulls.player.offset } })), /collision hulls/);
+    assert.throws(() => parseReplay(withHulls({ player: { halfExtents: { x: '0.5', y: 0.35, z: 1 }, offset: hulls.player.offset } })), /collision hulls/);
+    assert.throws(() => parseReplay(withHulls({ obstacle: { halfExtents: { x: 0, y: 0, z: 0 }, offset: hulls.obstacle.offset } })), /collision hulls/);
+});
@@ -0,0 +1,91 @@
+// The road spline: smooth from one segment to the next, never bending or
+// climbing harder than its limits, and the same road for the same seed.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STRAIGHT_SEGMENTS, MAX_TURN, MAX_HEIGHT, MAX_CLIMB, Road } = require('../scripts/road.js');
+
+const SEGMENT = 50;
+const LENGTH = SEGMENT * 400;
+
+function heading(from, to) {
+    return Math.atan2(-(to.x - from.x), -(to.z - from.z));
+}
+
+// Difference between two angles, wrapped to [-PI, PI]
+function turn(a, b) {
+    return Math.atan2(Math.sin(b - a), Math.cos(b - a));
+}
+
+test('the same seed lays the same road', () => {
+    const a = new Road(12345, SEGMENT), b = new Road(12345, SEGMENT), c = new Road(54321, SEGMENT);
+    const frames = road => [1000, 5000, 9000].map(s => road.frameAt(s));
+    assert.deepEqual(frames(a), frames(b));
+    assert.notDeepEqual(frames(a), frames(c));
+});
+
+test('the road starts straight and flat', () => {
+    const road = new Road(7, SEGMENT);
+    for (let s = 0; s <= STRAIGHT_SEGMENTS * SEGMENT - SEGMENT; s += 5) {
+        const frame = road.frameAt(s);
+        [frame.x, frame.y, frame.yaw, frame.pitch].forEach(value => assert.ok(Math.abs(value) < 1e-12, `at ${s}`));
+        assert.ok(Math.abs(frame.z + s) < 1e-9);
+    }
+});
+
+test('position and heading are continuous across segment joins', () => {
+    const road = new Road(99, SEGMENT);
+    for (let i = 1; i < LENGTH / SEGMENT; i++) {
+        const s = i * SEGMENT;
+        const before = road.frameAt(s - 1e-6), after = road.frameAt(s);
+        const gap = Math.hypot(after.x - before.x, after.y - before.y, after.z - before.z);
+        assert.ok(gap < 1e-4, `position jumps ${gap} at segment ${i}`);
+        assert.ok(Math.abs(turn(before.yaw, after.yaw)) < 1e-6, `heading jumps at segment ${i}`);
+        assert.ok(Math.abs(after.pitch - before.pitch) < 1e-6, `pitch jumps at segment ${i}`);
+    }
+});
+
+test('curves and hills stay within their limits', () => {
+    for (const seed of [1, 2, 3, 0xdeadbeef]) {
+        const road = new Road(seed, SEGMENT);
+        let previous = heading(road.point(0), road.point(1));
+        for (let i = 1; i < LENGTH / SEGMENT; i++) {
+            const from = road.point(i), to = road.point(i + 1);
+            const yaw = heading(from, to);
+            assert.ok(Math.abs(turn(previous, yaw)) <= MAX_TURN + 1e-9, `seed ${seed}: too sharp at ${i}`);
+            assert.ok(to.y >= 0 && to.y <= MAX_HEIGHT, `seed ${seed}: height ${to.y} at ${i}`);
+            assert.ok(Math.abs(to.y - from.y) <= MAX_CLIMB + 1e-9, `seed ${seed}: too steep at ${i}`);
+            assert.ok(Math.abs(Math.hypot(to.x - from.x, to.z - from.z) - SEGMENT) < 1e-6);
+            previous = yaw;
+        }
+    }
+});
+
+test('the road still curves somewhere', () => {
+    const road = new Road(4, SEGMENT);
+    const yaws = [];
+    for (let s = 0; s < LENGTH; s += SEGMENT) yaws.push(road.frameAt(s).yaw);
+    assert.ok(yaws.some(yaw => Math.abs(yaw) > 0.5));
+});
+
+test('trimming far behind does not change the road ahead', () => {
+    const trimmed = new Road(8, SEGMENT), kept = new Road(8, SEGMENT);
+    for (let s = 0; s < LENGTH; s += 500) {
+        trimmed.trim(s);
+        assert.deepEqual(trimmed.frameAt(s + 100), kept.frameAt(s + 100));
+    }
+    assert.ok(trimmed.points.length < kept.points.length);
+});
+
+test('toWorld puts the centreline on the spline and x across it', () => {
+    const road = new Road(5, SEGMENT);
+    const s = 3210;
+    const frame = road.frameAt(s);
+    const centre = road.toWorld(0, 0, -s);
+    assert.deepEqual([centre.x, centre.y, centre.z], [frame.x, frame.y, frame.z]);
+    const side = road.toWorld(3, 0, -s);
+    assert.ok(Math.abs(Math.hypot(side.x - centre.x, side.y - centre.y, side.z - centre.z) - 3) < 1e-9);
+    // Across the road is at right angles to the direction of travel
+    const behind = road.frameAt(s - 0.5), ahead = road.frameAt(s + 0.5);
+    const along = { x: ahead.x - behind.x, z: ahead.z - behind.z };
+    assert.ok(Math.abs((side.x - centre.x) * along.x + (side.z - centre.z) * along.z) < 1e-3);
+});
@@ -0,0 +1,111 @@
+// Near misses and the combo: a close pass pays more the longer the streak,
+// the multiplier holds for a while and then winds down, and braking ends it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameState, step, HULLS } = require('../scripts/core.js');
+const {
+    NEAR_MISS_GAP, NEAR_MISS_POINTS, MAX_COMBO, COMBO_HOLD_TICKS, COMBO_DECAY_TICKS,
+    createCombo, awardNearMiss, updateCombo
+} = require('../scripts/scoring.js');
+
+const COAST = { steer: 0, throttle: 0, brake: 0 };
+const BRAKE = { steer: 0, throttle: 0, brake: 1 };
+
+function createState() {
+    return { tick: 0, score: 0, events: [], combo: createCombo(), stats: { nearMisses: 0 } };
+}
+
+test('each near miss in a streak pays more, up to the maximum multiplier', () => {
+    const state = createState();
+    const paid = [];
+    for (let i = 0; i < MAX_COMBO + 2; i++) {
+        const before = state.score;
+        awardNearMiss(state, { id: i });
+        paid.push(state.score - before);
+    }
+    const expected = paid.map((_, i) => NEAR_MISS_POINTS * Math.min(i + 1, MAX_COMBO));
+    assert.deepEqual(paid, expected);
+    assert.equal(state.stats.nearMisses, MAX_COMBO + 2);
+    assert.deepEqual(state.events.filter(event => event.type === 'nearMiss').map(event => event.multiplier),
+        expected.map(points => points / NEAR_MISS_POINTS));
+});
+
+test('the multiplier holds, then drops one step at a time', () => {
+    const state = createState();
+    awardNearMiss(state, { id: 1 });
+    awardNearMiss(state, { id: 2 });
+    for (let i = 1; i < COMBO_HOLD_TICKS; i++) updateCombo(state, COAST);
+    assert.equal(state.combo.multiplier, 2, 'still held');
+    updateCombo(state, COAST);
+    assert.equal(state.combo.multiplier, 1);
+    assert.equal(state.events[state.events.length - 1].type, 'comboDecay');
+    for (let i = 1; i < COMBO_DECAY_TICKS; i++) updateCombo(state, COAST);
+    assert.equal(state.combo.multiplier, 1);
+    updateCombo(state, COAST);
+    assert.equal(state.combo.multiplier, 0);
+    assert.equal(state.events[state.events.length - 1].type, 'comboReset');
+});
+
+test('a near miss inside the window keeps the streak going', () => {
+    const state = createState();
+    awardNearMiss(state, { id: 1 });
+    for (let i = 0; i < COMBO_HOLD_TICKS - 10; i++) updateCombo(state, COAST);
+    awardNearMiss(state, { id: 2 });
+    for (let i = 0; i < COMBO_HOLD_TICKS - 10; i++) updateCombo(state, COAST);
+    assert.equal(state.combo.multiplier, 2);
+});
+
+test('braking ends the combo at once', () => {
+    const state = createState();
+    awardNearMiss(state, { id: 1 });
+    awardNearMiss(state, { id: 2 });
+    updateCombo(state, BRAKE);
+    assert.equal(state.combo.multiplier, 0);
+    assert.deepEqual(state.events[state.events.length - 1], { type: 'comboReset', tick: 0, reason: 'brake' });
+    awardNearMiss(state, { id: 3 });
+    assert.equal(state.combo.multiplier, 1, 'the next streak starts over');
+});
+
+// A car coming the other way with `gap` between its side and the player's
+function passingCar(state, gap) {
+    const player = state.player;
+    const x = player.position.x + HULLS.player.halfExtents.x + HULLS.obstacle.halfExtents.x + gap;
+    const obstacle = {
+        id: 999,
+        position: { x, y: 0, z: player.position.z - 12 },
+        prevPosition: { x, y: 0, z: player.position.z - 12 },
+        rotation: { x: 0, y: 0, z: 0 },
+        hull: HULLS.obstacle,
+        movementSpeed: 0.05,
+        cruiseSpeed: 0.05,
+        initialX: x,
+        lane: 2,
+        laneOffset: 0,
+        fromLane: 2,
+        targetLane: 2,
+        signal: 0,
+        signalTimer: 0,
+        passed: false,
+        nearMissChecked: false
+    };
+    state.obstacles = [obstacle];
+    return obstacle;
+}
+
+// Drive on until the car is behind the player; returns the near-miss events
+function drivePast(gap) {
+    const state = new GameState({ seed: 7 });
+    passingCar(state, gap);
+    const nearMisses = [];
+    for (let tick = 0; tick < 150; tick++) {
+        step(state, { steer: 0, throttle: 1, brake: 0 });
+        nearMisses.push(...state.events.filter(event => event.type === 'nearMiss' && event.obstacleId === 999));
+    }
+    assert.equal(state.gameOver, false);
+    return nearMisses;
+}
+
+test('only a pass closer than the near-miss gap counts', () => {
+    assert.equal(drivePast(NEAR_MISS_GAP * 0.5).length, 1);
+    assert.equal(drivePast(NEAR_MISS_GAP * 1.5).length, 0);
+});
@@ -0,0 +1,109 @@
+// Traffic AI: cars keep their distance to slower cars ahead and signal
+// before they move over into a clear lane.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LANE_COUNT, TRAFFIC, laneCenter, buildLaneIndex, findFreeLane, driveObstacle } = require('../scripts/traffic.js');
+
+const HULL = { halfExtents: { x: 0.65, y: 0.35, z: 1.1 }, offset: { x: 0, y: 0, z: 0 } };
+
+// A car as the core places it (see createObstacle in core.js)
+function car(id, lane, z, speed) {
+    return {
+        id,
+        position: { x: laneCenter(lane), y: 0, z },
+        rotation: { x: 0, y: 0, z: 0 },
+        hull: HULL,
+        movementSpeed: speed,
+        cruiseSpeed: speed,
+        lane,
+        laneOffset: 0,
+        fromLane: lane,
+        targetLane: lane,
+        signal: 0,
+        signalTimer: 0
+    };
+}
+
+// `random` answers every draw; 0 means "yes" to every chance
+function drive(cars, ticks, random = () => 0.99) {
+    const state = { random };
+    for (let tick = 0; tick < ticks; tick++) {
+        const lanes = buildLaneIndex(cars);
+        cars.forEach(obstacle => driveObstacle(state, obstacle, lanes));
+        cars.forEach(obstacle => { obstacle.position.z += obstacle.movementSpeed; });
+    }
+}
+
+function gap(behind, ahead) {
+    return ahead.position.z - behind.position.z - 2 * HULL.halfExtents.z;
+}
+
+test('a faster car closes in on a slower one and then holds its speed', () => {
+    const ahead = car(1, 1, 0, 0.03);
+    const behind = car(2, 1, -20, 0.07);
+    drive([ahead, behind], 3000);
+    assert.ok(gap(behind, ahead) > TRAFFIC.minGap, 'never runs into the car ahead');
+    assert.ok(gap(behind, ahead) < TRAFFIC.followDistance, 'drops back only as far as it has to');
+    assert.ok(Math.abs(behind.movementSpeed - ahead.movementSpeed) < 1e-3);
+    assert.equal(behind.lane, 1, 'no lane change when the chance never comes up');
+});
+
+test('a car stops short of a stopped car ahead', () => {
+    const ahead = car(1, 0, 0, 0);
+    const behind = car(2, 0, -12, 0.07);
+    drive([ahead, behind], 2000);
+    assert.equal(behind.movementSpeed, 0);
+    assert.ok(gap(behind, ahead) >= TRAFFIC.minGap - 1e-9);
+});
+
+test('cars in other lanes do not hold each other up', () => {
+    const ahead = car(1, 2, 0, 0.03);
+    const beside = car(2, 3, -4, 0.07);
+    drive([ahead, beside], 600);
+    assert.equal(beside.movementSpeed, 0.07);
+});
+
+test('a held-up car signals, waits, then moves over into the clear lane', () => {
+    const ahead = car(1, 0, 0, 0.03);
+    const behind = car(2, 0, -7, 0.06);
+    const cars = [ahead, behind];
+    // Lane 0 is the edge, so the only way round is lane 1
+    drive(cars, 1, () => 0);
+    assert.equal(behind.signal, 1);
+    assert.equal(behind.targetLane, 1);
+    assert.equal(behind.lane, 0, 'still in its lane while indicating');
+
+    // Indicating counts as the first tick of signalTicks
+    drive(cars, TRAFFIC.signalTicks - 2);
+    assert.equal(behind.lane, 0);
+    assert.equal(behind.position.x, laneCenter(0));
+    drive(cars, 1);
+    assert.equal(behind.lane, 1);
+    assert.equal(behind.fromLane, 0, 'blocks both lanes while moving over');
+    assert.deepEqual(buildLaneIndex(cars)[0].map(obstacle => obstacle.id), [1, 2]);
+
+    drive(cars, Math.ceil(TRAFFIC.signalTicks * 3));
+    assert.equal(behind.position.x, laneCenter(1));
+    assert.equal(behind.signal, 0);
+    assert.equal(behind.fromLane, 1);
+    assert.equal(behind.rotation.y, 0);
+    assert.ok(behind.movementSpeed > ahead.movementSpeed, 'free to speed up again');
+});
+
+test('no lane change into a lane with a car alongside', () => {
+    const ahead = car(1, 0, 0, 0.03);
+    const behind = car(2, 0, -7, 0.06);
+    const blocker = car(3, 1, -7 + TRAFFIC.laneChangeClearance / 2, 0.03);
+    drive([ahead, behind, blocker], 1, () => 0);
+    assert.equal(behind.signal, 0);
+});
+
+test('spawns only go to lanes with room', () => {
+    const cars = [];
+    for (let lane = 0; lane < LANE_COUNT; lane++) cars.push(car(lane + 1, lane, -100, 0.05));
+    const state = { random: () => 0 };
+    assert.equal(findFreeLane(state, buildLaneIndex(cars), -100 - TRAFFIC.spawnGap / 2), -1);
+    cars.pop();
+    assert.equal(findFreeLane(state, buildLaneIndex(cars), -100), LANE_COUNT - 1);
+    assert.equal(findFreeLane(state, buildLaneIndex(cars), -100 - TRAFFIC.spawnGap), 0);
+});
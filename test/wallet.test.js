@@ -0,0 +1,69 @@
+// Wallet: coins are banked and spent on cars, and the garage survives a reload.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CARS, DEFAULT_CAR_ID } = require('../scripts/cars.js');
+const { Wallet } = require('../scripts/wallet.js');
+
+// localStorage for storage.js, kept in memory
+const saved = new Map();
+global.localStorage = {
+    getItem: key => (saved.has(key) ? saved.get(key) : null),
+    setItem: (key, value) => saved.set(key, String(value))
+};
+
+const cheapest = CARS.filter(car => car.price > 0).sort((a, b) => a.price - b.price)[0];
+
+test.beforeEach(() => saved.clear());
+
+test('a new wallet is empty and owns only the default car', () => {
+    const wallet = new Wallet();
+    assert.equal(wallet.coins, 0);
+    assert.deepEqual(wallet.unlocked, [DEFAULT_CAR_ID]);
+    assert.equal(wallet.selected, DEFAULT_CAR_ID);
+});
+
+test('unlocking spends coins, and only when there are enough', () => {
+    const wallet = new Wallet();
+    wallet.deposit(cheapest.price - 1);
+    assert.equal(wallet.unlock(cheapest.id), false);
+    assert.equal(wallet.coins, cheapest.price - 1);
+    assert.equal(wallet.owns(cheapest.id), false);
+    assert.equal(wallet.select(cheapest.id), false, 'a locked car cannot be driven');
+
+    wallet.deposit(11);
+    assert.equal(wallet.unlock(cheapest.id), true);
+    assert.equal(wallet.coins, 10);
+    assert.ok(wallet.owns(cheapest.id));
+    assert.equal(wallet.unlock(cheapest.id), false, 'a car is only bought once');
+    assert.equal(wallet.coins, 10);
+    assert.equal(wallet.select(cheapest.id), true);
+});
+
+test('deposits of nothing are ignored', () => {
+    const wallet = new Wallet();
+    wallet.deposit(0);
+    wallet.deposit(-5);
+    assert.equal(wallet.coins, 0);
+});
+
+test('the wallet is saved and loaded again', () => {
+    const wallet = new Wallet();
+    wallet.deposit(cheapest.price + 3);
+    wallet.unlock(cheapest.id);
+    wallet.select(cheapest.id);
+    const reloaded = new Wallet();
+    assert.equal(reloaded.coins, 3);
+    assert.deepEqual(reloaded.unlocked, [DEFAULT_CAR_ID, cheapest.id]);
+    assert.equal(reloaded.selected, cheapest.id);
+});
+
+test('a damaged save falls back to a fresh wallet', t => {
+    t.mock.method(console, 'warn', () => {});
+    saved.set('carGame.wallet', '{ not json');
+    assert.equal(new Wallet().coins, 0);
+    saved.set('carGame.wallet', JSON.stringify({ coins: -40, unlocked: 'rocket', selected: 'rocket' }));
+    const wallet = new Wallet();
+    assert.equal(wallet.coins, 0);
+    assert.deepEqual(wallet.unlocked, [DEFAULT_CAR_ID]);
+    assert.equal(wallet.selected, DEFAULT_CAR_ID);
+});
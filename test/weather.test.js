@@ -0,0 +1,102 @@
+// Weather: the schedule of spells follows from the seed alone, and a wet
+// road has less grip, so the car slides sideways for longer.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameState, step } = require('../scripts/core.js');
+const {
+    WEATHER_KINDS, MIN_SPELL_TICKS, MAX_SPELL_TICKS, WET_GRIP, DAY_TICKS,
+    createWeather, updateWeather, gripScale, timeOfDay
+} = require('../scripts/weather.js');
+
+// The spells a seed's weather goes through in `ticks` ticks, as [kind, tick started]
+function schedule(seed, ticks) {
+    const state = { tick: 0, events: [], weather: createWeather(seed) };
+    const spells = [[state.weather.kind, 0]];
+    for (; state.tick < ticks; state.tick++) {
+        const kind = state.weather.kind;
+        updateWeather(state);
+        if (state.weather.kind !== kind) spells.push([state.weather.kind, state.tick]);
+    }
+    return spells;
+}
+
+test('the same seed always brings the same weather', () => {
+    const hour = 60 * 60 * 60;
+    assert.deepEqual(schedule(11, hour), schedule(11, hour));
+    assert.notDeepEqual(schedule(11, hour), schedule(12, hour));
+    assert.equal(createWeather(11).startTime, createWeather(11).startTime);
+});
+
+test('spells are known kinds and last between their limits', () => {
+    for (let seed = 0; seed < 20; seed++) {
+        const spells = schedule(seed, 60 * 60 * 30);
+        assert.ok(spells.length > 2, 'the weather changes');
+        spells.forEach(([kind], i) => {
+            assert.ok(WEATHER_KINDS.includes(kind));
+            if (i === 0 || i === spells.length - 1) return;
+            const length = spells[i + 1][1] - spells[i][1];
+            // A spell may be followed by another of the same kind
+            assert.ok(length >= MIN_SPELL_TICKS, `seed ${seed}: spell ${i} lasts ${length}`);
+        });
+        const kinds = new Set(spells.map(([kind]) => kind));
+        assert.ok(kinds.size > 1);
+    }
+    const state = { tick: 0, events: [], weather: createWeather(3) };
+    assert.ok(state.weather.timer >= MIN_SPELL_TICKS && state.weather.timer < MAX_SPELL_TICKS);
+});
+
+test('the weather never shifts the traffic', () => {
+    const drive = options => {
+        const state = new GameState(options);
+        for (let tick = 0; tick < 1500 && !state.gameOver; tick++) step(state, { steer: 0, throttle: 0.4, brake: 0 });
+        return state.obstacles.map(obstacle => [obstacle.id, obstacle.position.x, obstacle.position.z]);
+    };
+    assert.deepEqual(drive({ seed: 21 }), drive({ seed: 21, weather: false }));
+});
+
+test('rain soaks the road slowly and takes grip away', () => {
+    const state = { tick: 0, events: [], weather: createWeather(1) };
+    assert.equal(gripScale(state), 1, 'runs start on a dry road');
+    state.weather.kind = 'rain';
+    state.weather.timer = MAX_SPELL_TICKS;
+    updateWeather(state);
+    assert.ok(gripScale(state) < 1 && gripScale(state) > 0.99, 'only a little wet at first');
+    for (let i = 0; i < MIN_SPELL_TICKS; i++) updateWeather(state);
+    assert.equal(state.weather.wetness, 1);
+    assert.ok(Math.abs(gripScale(state) - WET_GRIP) < 1e-12);
+
+    state.weather.kind = 'clear';
+    for (let i = 0; i < MIN_SPELL_TICKS; i++) updateWeather(state);
+    assert.equal(gripScale(state), 1, 'and dries out again');
+    assert.equal(gripScale({ weather: null }), 1);
+});
+
+test('on a wet road the car keeps sliding sideways for longer', () => {
+    // Ticks until a flick of the steering has died away
+    const slide = wetness => {
+        const state = new GameState({ seed: 4 });
+        state.obstacles.length = 0;
+        state.weather.kind = 'clear';
+        state.weather.timer = MAX_SPELL_TICKS;
+        state.weather.rain = state.weather.wetness = wetness;
+        for (let i = 0; i < 10; i++) step(state, { steer: 1, throttle: 0, brake: 0 });
+        let ticks = 0;
+        while (Math.abs(state.player.velocityX) > 1e-3) {
+            step(state, { steer: 0, throttle: 0, brake: 0 });
+            ticks++;
+        }
+        return ticks;
+    };
+    assert.ok(slide(1) > slide(0) * 1.5, `${slide(1)} vs ${slide(0)}`);
+});
+
+test('the clock runs from the start hour with the ticks', () => {
+    const state = { tick: 0, weather: createWeather(9) };
+    const start = timeOfDay(state);
+    assert.ok(start > 0.3 && start < 0.6, 'runs start in daylight');
+    state.tick = DAY_TICKS / 4;
+    assert.ok(Math.abs(timeOfDay(state) - (start + 0.25)) < 1e-12);
+    state.tick = DAY_TICKS;
+    assert.ok(Math.abs(timeOfDay(state) - start) < 1e-12);
+    assert.equal(timeOfDay({ tick: 1000, weather: null }), 0.5);
+});
@@ -0,0 +1,20 @@
+// Autopilot for headless runs: full throttle, steer away from the closest car
+// ahead in our lane. Shared by tools/simulate.js and tools/submit-runs.js.
+function autopilot(state) {
+    const player = state.player.position;
+    let threat = null;
+    state.obstacles.forEach(obstacle => {
+        const ahead = player.z - obstacle.position.z;
+        if (ahead > 0 && ahead < 25 && Math.abs(obstacle.position.x - player.x) < 1.6) {
+            if (!threat || obstacle.position.z > threat.position.z) threat = obstacle;
+        }
+    });
+    let steer = 0;
+    if (threat) {
+        steer = threat.position.x > player.x || player.x < -3.5 ? -1 : 1;
+        if (player.x > 3.5) steer = -1;
+    }
+    return { steer, throttle: true, brake: false };
+}
+
+module.exports = { autopilot };
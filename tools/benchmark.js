@@ -0,0 +1,30 @@
+// Collision benchmark - compares the broad phase against testing every car.
+// Usage: node tools/benchmark.js [obstacles] [ticks]
+const { GameState, step } = require('../scripts/core.js');
+
+function benchmark(count, ticks, broadPhase) {
+    const state = new GameState({ seed: 1, benchmark: count, profile: true, broadPhase });
+    let total = 0, worst = 0, candidates = 0;
+    for (let i = 0; i < ticks; i++) {
+        step(state, { steer: Math.sin(i / 30), throttle: true, brake: false });
+        total += state.profile.collisionTime;
+        worst = Math.max(worst, state.profile.collisionTime);
+        candidates += state.profile.candidates;
+    }
+    return {
+        average: total / ticks,
+        worst,
+        candidates: candidates / ticks,
+        collisions: state.profile.collisions
+    };
+}
+
+const count = parseInt(process.argv[2], 10) || 500;
+const ticks = parseInt(process.argv[3], 10) || 3000;
+console.log(`${count} obstacles, ${ticks} ticks`);
+[true, false].forEach(broadPhase => {
+    const result = benchmark(count, ticks, broadPhase);
+    console.log(`${broadPhase ? 'sweep and prune' : 'brute force    '}: ` +
+        `${result.average.toFixed(4)} ms/tick avg, ${result.worst.toFixed(3)} ms worst, ` +
+        `${result.candidates.toFixed(1)} narrow-phase tests/tick, ${result.collisions} hits`);
+});
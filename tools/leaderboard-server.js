@@ -0,0 +1,115 @@
+// Reference leaderboard server - keeps scores in a JSON file and rejects runs
+// that fail the plausibility checks. Only uses Node's standard library.
+// Usage: node tools/leaderboard-server.js [port] [dataFile]
+// Then open index.html?leaderboard=http://localhost:8787
+const fs = require('fs');
+const http = require('http');
+const { checkRun } = require('../scripts/plausibility.js');
+const { entryFromRun, entriesAround } = require('../scripts/leaderboard-client.js');
+
+const port = parseInt(process.argv[2], 10) || 8787;
+const dataFile = process.argv[3] || 'leaderboard-data.json';
+const MAX_ENTRIES = 10000;
+const MAX_BODY = 64 * 1024; // a five minute run's timeline is a few KB
+const DEFAULT_LIMIT = 10;
+
+function loadEntries() {
+    try {
+        return JSON.parse(fs.readFileSync(dataFile, 'utf8')).entries || [];
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.warn(`Could not read ${dataFile}, starting empty:`, e.message);
+        return [];
+    }
+}
+
+// Write to a temporary file first so a crash never leaves half a file
+function saveEntries(entries) {
+    fs.writeFileSync(`${dataFile}.tmp`, JSON.stringify({ entries }));
+    fs.renameSync(`${dataFile}.tmp`, dataFile);
+}
+
+const entries = loadEntries(); // best first
+
+// `close` ends the connection after the response, for requests whose body was not read
+function send(response, status, body, close = false) {
+    response.writeHead(status, Object.assign({
+        'Content-Type': 'application/json',
+        // The game is usually opened from another origin or from file://
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    }, close ? { Connection: 'close' } : {}));
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let tooLarge = false;
+        request.on('data', chunk => {
+            if (tooLarge) return; // the rest is ignored; the 413 closes the connection
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                tooLarge = true;
+                body = '';
+                reject(Object.assign(new Error('Submission too large'), { status: 413, close: true }));
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+function submit(run) {
+    const name = typeof run.name === 'string' ? run.name.trim().slice(0, 20) : '';
+    if (!name) return [400, { error: 'Name is required' }];
+    const problems = checkRun(run);
+    if (problems.length) return [422, { error: 'Implausible run', problems }];
+
+    const entry = entryFromRun(Object.assign({}, run, { name }));
+    const previousBest = entries.find(other => other.name === name);
+    const personalBest = !previousBest || entry.score > previousBest.score;
+
+    let rank = entries.findIndex(other => other.score < entry.score);
+    if (rank < 0) rank = entries.length;
+    entries.splice(rank, 0, entry);
+    if (entries.length > MAX_ENTRIES) entries.length = MAX_ENTRIES;
+    saveEntries(entries);
+    console.log(`#${rank + 1} ${name}: ${entry.score}`);
+    return [201, { entry, rank: rank < MAX_ENTRIES ? rank : -1, personalBest }];
+}
+
+function route(request, url) {
+    if (request.method === 'OPTIONS') return Promise.resolve([204]);
+    if (url.pathname === '/scores' && request.method === 'POST') {
+        return readBody(request).then(body => {
+            let run;
+            try {
+                run = JSON.parse(body);
+            } catch (e) {
+                return [400, { error: 'Body is not valid JSON' }];
+            }
+            return submit(run || {});
+        });
+    }
+    if (url.pathname === '/scores' && request.method === 'GET') {
+        const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT, 100);
+        return Promise.resolve([200, { entries: entries.slice(0, limit) }]);
+    }
+    if (url.pathname === '/scores/around' && request.method === 'GET') {
+        const radius = Math.min(parseInt(url.searchParams.get('radius'), 10) || 2, 20);
+        return Promise.resolve([200, entriesAround(entries, url.searchParams.get('name') || '', radius)]);
+    }
+    return Promise.resolve([404, { error: 'Not found' }]);
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    route(request, url)
+        .then(([status, body]) => send(response, status, body))
+        .catch(error => send(response, error.status || 500, { error: error.message }, error.close));
+});
+
+server.listen(port, () => {
+    console.log(`Leaderboard server on http://localhost:${port} (${entries.length} scores in ${dataFile})`);
+});
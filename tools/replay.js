@@ -0,0 +1,25 @@
+// Replay checker - plays an exported run headlessly and compares the outcome.
+// Usage: node tools/replay.js <replay.json>
+const fs = require('fs');
+const { parseReplay, playReplay } = require('../scripts/replay.js');
+
+const file = process.argv[2];
+if (!file) {
+    console.error('Usage: node tools/replay.js <replay.json>');
+    process.exit(1);
+}
+
+const replay = parseReplay(fs.readFileSync(file, 'utf8'));
+const state = playReplay(replay);
+const result = { ticks: state.tick, score: state.score, gameOver: state.gameOver };
+console.log(`seed ${replay.seed}, mode ${state.mode.label}, car ${replay.car}`);
+const outcome = gameOver => (gameOver ? (state.race.timeUp ? 'ran out of time' : 'crashed') : 'ended');
+console.log(`replayed: ${outcome(result.gameOver)} at tick ${result.ticks} (${(result.ticks / 60).toFixed(1)}s), score ${result.score}`);
+
+if (replay.result) {
+    const expected = replay.result;
+    const matches = expected.ticks === result.ticks && expected.score === result.score && expected.gameOver === result.gameOver;
+    console.log(`recorded: ${outcome(expected.gameOver)} at tick ${expected.ticks}, score ${expected.score}`);
+    console.log(matches ? 'replay matches the recording' : 'replay DIVERGED from the recording');
+    if (!matches) process.exitCode = 1;
+}
@@ -0,0 +1,30 @@
+// Headless simulation runner - plays many runs of the game core under Node.
+// Usage: node tools/simulate.js [runs] [maxTicks] [mode]
+// Run i uses seed i, so results are the same every time. `mode` is a game
+// mode id from scripts/modes.js (Endless by default).
+const { GameState, step } = require('../scripts/core.js');
+const { modeById } = require('../scripts/modes.js');
+const { autopilot } = require('./autopilot.js');
+
+function simulateRun(seed, maxTicks, mode) {
+    const state = new GameState({ seed, mode });
+    while (!state.gameOver && state.tick < maxTicks) {
+        step(state, autopilot(state));
+    }
+    return { score: state.score, ticks: state.tick, crashed: state.gameOver && !state.race.timeUp };
+}
+
+const runs = parseInt(process.argv[2], 10) || 1000;
+const maxTicks = parseInt(process.argv[3], 10) || 60 * 60 * 5; // five minutes of game time
+const mode = modeById(process.argv[4]);
+const results = [];
+for (let i = 0; i < runs; i++) {
+    results.push(simulateRun(i, maxTicks, mode.id));
+}
+
+const scores = results.map(r => r.score).sort((a, b) => a - b);
+const crashes = results.filter(r => r.crashed).length;
+console.log(`mode: ${mode.label}, runs: ${runs}`);
+console.log(`crashed: ${crashes} (${(crashes / runs * 100).toFixed(1)}%)`);
+console.log(`score min/median/max: ${scores[0]} / ${scores[Math.floor(runs / 2)]} / ${scores[runs - 1]}`);
+console.log(`mean survival: ${(results.reduce((sum, r) => sum + r.ticks, 0) / runs / 60).toFixed(1)}s`);
@@ -0,0 +1,52 @@
+// Leaderboard server check - submits autopilot runs plus a forged one and
+// prints what the server answers. Needs tools/leaderboard-server.js running.
+// Usage: node tools/submit-runs.js [serverUrl] [runs]
+const { GameState, step, runSummary } = require('../scripts/core.js');
+const { HttpLeaderboardClient } = require('../scripts/leaderboard-client.js');
+const { autopilot } = require('./autopilot.js');
+
+const client = new HttpLeaderboardClient(process.argv[2] || 'http://localhost:8787');
+const runs = parseInt(process.argv[3], 10) || 5;
+
+function playRun(seed) {
+    const state = new GameState({ seed });
+    while (!state.gameOver && state.tick < 60 * 60 * 5) {
+        step(state, autopilot(state));
+    }
+    return Object.assign({
+        name: `Autopilot ${seed % 3}`,
+        car: 'classic',
+        ticks: state.tick,
+        timeline: state.stats.timeline
+    }, runSummary(state));
+}
+
+async function main() {
+    for (let seed = 0; seed < runs; seed++) {
+        const run = playRun(seed);
+        const result = await client.submit(run);
+        console.log(`${run.name} scored ${run.score}: rank #${result.rank + 1}${result.personalBest ? ', personal best' : ''}`);
+    }
+
+    // Ten times the points of a real run in the same time must be turned away
+    const forged = playRun(runs);
+    forged.name = 'Cheater';
+    forged.score *= 10;
+    try {
+        await client.submit(forged);
+        console.log('Forged run was ACCEPTED');
+        process.exitCode = 1;
+    } catch (error) {
+        console.log(`Forged run rejected: ${error.message}`);
+    }
+
+    const top = await client.top(5);
+    console.log('Top 5:', top.map(entry => `${entry.name} ${entry.score}`).join(', '));
+    const around = await client.around('Autopilot 1', 1);
+    console.log(`Autopilot 1 is #${around.rank + 1}:`, around.entries.map(entry => `${entry.name} ${entry.score}`).join(', '));
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});